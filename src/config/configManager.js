@@ -38,12 +38,24 @@ export class ConfigManager {
             console.log('✅ Input validation successful');
             console.log(`📊 Configuration summary:
   - Start URLs: ${this.config.startUrls.length}
-  - Crawl Depth: ${this.config.crawlDepth}
-  - URL Patterns: ${this.config.includeUrlGlobs.length}
-  - Chunk Size: ${this.config.chunkSize} chars
-  - Chunk Overlap: ${this.config.chunkOverlap} chars
+  - Crawler Type: ${this.config.crawlerType}
+  - Crawl Depth: ${this.config.crawlDepth} (${this.config.depthMode === 'path' ? 'path segments below start URL' : 'link hops'})
+  - URL Patterns: ${this.config.includeUrlGlobs.length} include, ${this.config.excludeUrlGlobs.length} exclude, ${this.config.urlDepthRules.length} depth rules
+  - Chunk Size: ${this.config.chunkSize} ${this.config.chunkSizeUnit}${this.config.maxTokensPerChunk ? ` (max ${this.config.maxTokensPerChunk} tokens)` : ''}
+  - Chunk Overlap: ${this.config.chunkOverlap} ${this.config.chunkSizeUnit}
+  - Token Model: ${this.config.tokenModel}
+  - Chunking Strategy: ${this.config.chunkingStrategy}${this.config.atomicBlocks ? ' (atomic code blocks/tables)' : ''}
   - Max Requests: ${this.config.maxRequestsPerCrawl}
-  - Request Delay: ${this.config.requestDelay}ms`);
+  - Rate Limit: ${this.config.maxRequestsPerSecondPerHost > 0 ? `${this.config.maxRequestsPerSecondPerHost} req/s` : 'unlimited'} and ${this.config.maxConcurrencyPerHost} concurrent per host${this.config.requestDelay > 0 ? `, at least ${this.config.requestDelay}ms apart` : ''} (max concurrency ${this.config.maxConcurrency})
+  - Retry Budgets: ${Object.keys(this.config.retryBudgets).length > 0 ? Object.entries(this.config.retryBudgets).map(([category, budget]) => `${category} ${budget}`).join(', ') : 'unlimited'}
+  - Sitemaps: ${this.config.useSitemaps ? 'enabled' : 'disabled'}
+  - robots.txt: ${this.config.ignoreRobotsTxt ? 'ignored' : 'respected'}
+  - URL Normalization: ${this.config.normalizeUrls ? `enabled (ignoring ${this.config.removeQueryParams.join(', ') || 'no'} params)` : 'disabled'}, canonical links ${this.config.honorCanonicalUrls ? 'honored' : 'ignored'}
+  - Incremental Mode: ${this.config.incrementalMode ? `enabled (state in "${this.config.stateStoreName}")` : 'disabled'}
+  - Exports: ${this.config.exportFormats.length > 0 ? `${this.config.exportFormats.join(', ')} → ${this.config.exportDestination}` : 'none'}
+  - Embeddings: ${this.config.embeddingProvider === 'none' ? 'disabled' : `${this.config.embeddingProvider}${this.config.embeddingModel ? ` (${this.config.embeddingModel})` : ''}${this.config.embeddingProvider === 'openai' ? ` via ${this.config.embeddingBaseUrl}` : ''}, batches of ${this.config.embeddingBatchSize}`}
+  - Vector Store: ${this.config.vectorStore === 'none' ? 'none' : `${this.config.vectorStore} ("${this.config.vectorStoreCollection}")`}
+  - Deduplication: ${this.config.dedupMode === 'off' ? 'disabled' : `${this.config.dedupMode} ${this.config.dedupLevel === 'both' ? 'pages and chunks' : `${this.config.dedupLevel}s`} (near-duplicate distance ${this.config.nearDuplicateDistance})`}`);
             
             return this.config;
             
@@ -97,13 +109,14 @@ export class ConfigManager {
         
         return {
             startUrls: config.startUrls,
+            crawlerType: config.crawlerType,
             maxRequestsPerCrawl: config.maxRequestsPerCrawl,
             requestHandlerTimeoutSecs: 120,
             navigationTimeoutSecs: 30,
             proxyConfiguration: config.proxyConfiguration,
             
             // Crawler behavior settings - valid PlaywrightCrawler options
-            maxConcurrency: Math.max(1, Math.min(10, Math.floor(10000 / Math.max(config.requestDelay, 100)))),
+            maxConcurrency: config.maxConcurrency,
             maxRequestRetries: 3,
             
             // Memory management
@@ -111,8 +124,21 @@ export class ConfigManager {
             useSessionPool: true,
             persistCookiesPerSession: false,
             
-            // Store request delay for manual implementation in request handler
-            _requestDelay: config.requestDelay
+            // Browser pages: wait for client-side rendering before reading the content
+            waitForDynamicContent: true,
+            dynamicContentWaitSecs: 2,
+            
+            // Retries allowed per error category over the crawl
+            errorHandling: {
+                retryBudgets: config.retryBudgets
+            },
+            
+            // Per-host rate limits, enforced by the politeness scheduler
+            politeness: {
+                maxRequestsPerSecond: config.maxRequestsPerSecondPerHost,
+                maxConcurrencyPerOrigin: config.maxConcurrencyPerHost,
+                minDelayMs: config.requestDelay
+            }
         };
     }
     
@@ -139,7 +165,11 @@ export class ConfigManager {
             
             // Content filtering
             minContentLength: 100,
-            maxContentLength: 1000000 // 1MB
+            maxContentLength: 1000000, // 1MB
+            
+            // Link handling in Markdown output
+            stripTrackingParams: config.stripTrackingParams,
+            extraTrackingParams: config.extraTrackingParams
         };
     }
     
@@ -153,6 +183,10 @@ export class ConfigManager {
         return {
             chunkSize: config.chunkSize,
             chunkOverlap: config.chunkOverlap,
+            chunkSizeUnit: config.chunkSizeUnit,
+            maxTokensPerChunk: config.maxTokensPerChunk,
+            chunkingStrategy: config.chunkingStrategy,
+            atomicBlocks: config.atomicBlocks,
             
             // Chunking behavior
             separators: ['\n\n', '\n', ' ', ''],
@@ -160,7 +194,7 @@ export class ConfigManager {
             
             // Token estimation
             enableTokenEstimation: true,
-            tokenModel: 'gpt-3.5-turbo', // For estimation purposes
+            tokenModel: config.tokenModel,
             
             // Metadata settings
             includeMetadata: true,
@@ -168,6 +202,82 @@ export class ConfigManager {
         };
     }
     
+    /**
+     * Gets configuration for incremental re-crawls
+     * @returns {Object} - Incremental mode configuration
+     */
+    getIncrementalConfig() {
+        const config = this.getConfig();
+        
+        return {
+            enabled: config.incrementalMode,
+            stateStoreName: config.stateStoreName
+        };
+    }
+    
+    /**
+     * Gets configuration for chunk embedding
+     * @returns {Object} - Embedding configuration
+     */
+    getEmbeddingConfig() {
+        const config = this.getConfig();
+        
+        return {
+            enabled: config.embeddingProvider !== 'none',
+            provider: config.embeddingProvider,
+            model: config.embeddingModel,
+            batchSize: config.embeddingBatchSize,
+            baseUrl: config.embeddingBaseUrl,
+            apiKey: config.embeddingApiKey
+        };
+    }
+    
+    /**
+     * Gets configuration for the vector store sink
+     * @returns {Object} - Vector store configuration
+     */
+    getVectorStoreConfig() {
+        const config = this.getConfig();
+        
+        return {
+            enabled: config.vectorStore !== 'none',
+            store: config.vectorStore,
+            url: config.vectorStoreUrl,
+            apiKey: config.vectorStoreApiKey,
+            collection: config.vectorStoreCollection,
+            batchSize: config.vectorStoreBatchSize
+        };
+    }
+    
+    /**
+     * Gets configuration for page and chunk deduplication
+     * @returns {Object} - Deduplication configuration
+     */
+    getDedupConfig() {
+        const config = this.getConfig();
+        
+        return {
+            enabled: config.dedupMode !== 'off',
+            mode: config.dedupMode,
+            level: config.dedupLevel,
+            maxHammingDistance: config.nearDuplicateDistance
+        };
+    }
+    
+    /**
+     * Gets configuration for JSONL and chunk table exports
+     * @returns {Object} - Export configuration
+     */
+    getExportConfig() {
+        const config = this.getConfig();
+        
+        return {
+            formats: config.exportFormats,
+            destination: config.exportDestination,
+            directory: config.exportDirectory
+        };
+    }
+    
     /**
      * Gets configuration for URL filtering
      * @returns {Object} - URL filtering configuration
@@ -177,9 +287,12 @@ export class ConfigManager {
         
         return {
             includeUrlGlobs: config.includeUrlGlobs,
+            excludeUrlGlobs: config.excludeUrlGlobs,
+            urlDepthRules: config.urlDepthRules,
             crawlDepth: config.crawlDepth,
+            depthMode: config.depthMode,
             
-            // Additional filtering rules
+            // Always excluded: binary documents the pipeline cannot extract
             excludePatterns: [
                 '**/*.pdf',
                 '**/*.doc',
@@ -194,10 +307,11 @@ export class ConfigManager {
                 '**/*.dmg'
             ],
             
-            // URL normalization
-            normalizeUrls: true,
+            // URL normalization (request queue keys and canonical links)
+            normalizeUrls: config.normalizeUrls,
             removeFragments: true,
-            removeQueryParams: ['utm_*', 'ref', 'source']
+            removeQueryParams: config.removeQueryParams,
+            honorCanonicalUrls: config.honorCanonicalUrls
         };
     }
     
@@ -235,12 +349,35 @@ export class ConfigManager {
         return {
             valid: true,
             startUrls: config.startUrls.length,
+            crawlerType: config.crawlerType,
             crawlDepth: config.crawlDepth,
+            depthMode: config.depthMode,
             urlPatterns: config.includeUrlGlobs.length,
+            excludePatterns: config.excludeUrlGlobs.length,
+            depthRules: config.urlDepthRules.length,
             chunkSize: config.chunkSize,
             chunkOverlap: config.chunkOverlap,
+            chunkSizeUnit: config.chunkSizeUnit,
+            maxTokensPerChunk: config.maxTokensPerChunk,
+            tokenModel: config.tokenModel,
+            chunkingStrategy: config.chunkingStrategy,
+            atomicBlocks: config.atomicBlocks,
             maxRequests: config.maxRequestsPerCrawl,
+            maxConcurrency: config.maxConcurrency,
+            maxRequestsPerSecondPerHost: config.maxRequestsPerSecondPerHost,
+            maxConcurrencyPerHost: config.maxConcurrencyPerHost,
             requestDelay: config.requestDelay,
+            retryBudgets: config.retryBudgets,
+            useSitemaps: config.useSitemaps,
+            ignoreRobotsTxt: config.ignoreRobotsTxt,
+            stripTrackingParams: config.stripTrackingParams,
+            normalizeUrls: config.normalizeUrls,
+            honorCanonicalUrls: config.honorCanonicalUrls,
+            incrementalMode: config.incrementalMode,
+            exportFormats: config.exportFormats,
+            embeddingProvider: config.embeddingProvider,
+            vectorStore: config.vectorStore,
+            dedupMode: config.dedupMode,
             proxyEnabled: config.proxyConfiguration?.useApifyProxy || false
         };
     }
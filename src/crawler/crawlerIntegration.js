@@ -3,19 +3,23 @@
  * 
  * This module integrates the web crawler with the content processing pipeline,
  * orchestrating the complete flow from page crawling to chunk extraction.
+ * It runs the same Pipeline as the Actor entry point.
  * 
  * Requirements: 1.1, 1.4, 2.4
  */
 
-import { WebCrawler, createWebCrawler } from './webCrawler.js';
+import { createWebCrawler } from './webCrawler.js';
+import { createRobotsTxtCache } from './robotsTxt.js';
 import { ContentExtractor } from '../extraction/contentExtractor.js';
-import { TextProcessor } from '../processing/textProcessor.js';
-import { 
-    createErrorHandler, 
-    CrawlerError, 
-    ErrorCategory, 
-    ErrorSeverity 
-} from '../utils/errorHandler.js';
+import { createPipeline, PageStatus } from '../pipeline/pipeline.js';
+import {
+    createExtractStage,
+    createChunkStage,
+    createEnrichStage,
+    createDatasetSink,
+    createMemorySink
+} from '../pipeline/stages.js';
+import { createErrorHandler } from '../utils/errorHandler.js';
 
 /**
  * Default configuration for crawler integration
@@ -58,6 +62,17 @@ const DEFAULT_INTEGRATION_OPTIONS = {
     }
 };
 
+/**
+ * Default options for fetching a single page over HTTP
+ */
+const DEFAULT_FETCH_OPTIONS = {
+    timeoutSecs: 30,
+    headers: {
+        'User-Agent': 'Mozilla/5.0 (compatible; RAG-Spider/1.0)',
+        'Accept': 'text/html,application/xhtml+xml;q=0.9,*/*;q=0.8'
+    }
+};
+
 /**
  * Error class for integration failures
  */
@@ -112,18 +127,8 @@ export class IntegratedCrawler {
         };
         
         this.crawler = null;
-        this.contentExtractor = null;
-        this.textProcessor = null;
+        this.pipeline = null;
         this.startTime = null;
-        this.processingStats = {
-            totalPages: 0,
-            totalChunks: 0,
-            totalTokens: 0,
-            successfulExtractions: 0,
-            failedExtractions: 0,
-            errors: [],
-            warnings: []
-        };
         
         // Initialize error handler for integration-level errors
         this.errorHandler = createErrorHandler({
@@ -145,16 +150,7 @@ export class IntegratedCrawler {
             async () => {
                 console.log('🔧 Initializing integrated crawler components...');
                 
-                // Initialize content extractor
-                this.contentExtractor = new ContentExtractor(this.options.extractionOptions);
-                
-                // Initialize text processor
-                this.textProcessor = new TextProcessor({
-                    ...this.options.processingOptions,
-                    separators: ['\n\n', '\n', ' ', '']  // Add required separators
-                });
-                
-                // Initialize web crawler with error handling configuration
+                // Initialize web crawler (fetch stage) with error handling configuration
                 this.crawler = createWebCrawler({
                     maxRequestsPerCrawl: this.options.maxRequestsPerCrawl,
                     maxConcurrency: this.options.maxConcurrency,
@@ -175,9 +171,8 @@ export class IntegratedCrawler {
                     }
                 });
                 
-                // Set up the integration
-                this.crawler.setContentExtractor(this.contentExtractor);
-                this.crawler.setTextProcessor(this.textProcessor);
+                // Set up the processing pipeline around the crawler
+                this.initializePipeline(this.crawler);
                 
                 // Initialize crawler
                 await this.crawler.initialize();
@@ -188,14 +183,46 @@ export class IntegratedCrawler {
             { 
                 clearCache: async () => {
                     // Clear any initialization caches
-                    this.contentExtractor = null;
-                    this.textProcessor = null;
+                    this.pipeline = null;
                     this.crawler = null;
                 }
             }
         );
     }
     
+    /**
+     * Creates the processing pipeline (extract → chunk → enrich → sink)
+     * @param {WebCrawler|null} fetcher - Fetch stage, or null for page-by-page processing
+     * @returns {Pipeline} - Configured pipeline
+     */
+    initializePipeline(fetcher = null) {
+        const { processingOptions } = this.options;
+        
+        this.pipeline = createPipeline({
+            fetcher,
+            extractor: createExtractStage({
+                contentExtractor: new ContentExtractor(this.options.extractionOptions)
+            }),
+            chunker: createChunkStage({
+                chunkingOptions: {
+                    chunkSize: processingOptions.chunkSize,
+                    chunkOverlap: processingOptions.chunkOverlap,
+                    separators: processingOptions.chunkingOptions?.separators || ['\n\n', '\n', ' ', '']
+                }
+            }),
+            enricher: createEnrichStage({
+                tokenOptions: {
+                    model: processingOptions.tokenModel,
+                    cacheResults: processingOptions.tokenOptions?.cacheResults !== false
+                }
+            }),
+            sink: this.options.sink || createDatasetSink(),
+            logger: this.options.logger
+        });
+        
+        return this.pipeline;
+    }
+    
     /**
      * Starts the integrated crawling and processing pipeline
      */
@@ -216,11 +243,11 @@ export class IntegratedCrawler {
                 console.log(`🚀 Starting integrated crawl and processing for ${startUrls.length} URLs...`);
                 
                 // Start crawling with integrated processing
-                const crawlingStats = await this.crawler.crawl(startUrls);
+                await this.pipeline.run(startUrls);
                 
                 // Calculate final statistics
                 const duration = Math.round((new Date() - this.startTime) / 1000);
-                const result = this.buildIntegrationResult(crawlingStats, duration);
+                const result = this.buildIntegrationResult(this.crawler.stats, duration);
                 
                 console.log(`✅ Integrated crawling completed in ${duration}s`);
                 console.log(`📊 Processed ${result.totalPages} pages, extracted ${result.totalChunks} chunks`);
@@ -255,88 +282,70 @@ export class IntegratedCrawler {
     /**
      * Processes a single page through the complete pipeline
      */
-    async processPage(url, htmlContent) {
-        try {
-            console.log(`🔄 Processing page through pipeline: ${url}`);
-            
-            // Extract content
-            const extractionResult = await this.contentExtractor.extract(htmlContent, { url });
-            
-            if (!extractionResult.success) {
-                this.processingStats.failedExtractions++;
-                this.processingStats.warnings.push({
-                    message: 'Content extraction failed',
-                    url,
-                    timestamp: new Date().toISOString()
-                });
-                return null;
-            }
-            
-            // Process text (chunk and estimate tokens)
-            const processingResult = await this.textProcessor.process(extractionResult.markdown, {
-                sourceUrl: url,
-                title: extractionResult.title || '',
-                extractedAt: new Date().toISOString()
-            });
-            
-            if (!processingResult.success) {
-                this.processingStats.failedExtractions++;
-                this.processingStats.warnings.push({
-                    message: 'Text processing failed',
-                    url,
-                    timestamp: new Date().toISOString()
-                });
-                return null;
-            }
-            
-            // Update statistics
-            this.processingStats.totalPages++;
-            this.processingStats.successfulExtractions++;
-            this.processingStats.totalChunks += processingResult.chunks.length;
-            this.processingStats.totalTokens += processingResult.tokenEstimation?.totalTokens || 0;
-            
-            console.log(`✅ Page processed: ${processingResult.chunks.length} chunks, ${processingResult.tokenEstimation?.totalTokens || 0} tokens`);
-            
-            return {
-                url,
-                extractionResult,
-                processingResult,
-                chunks: processingResult.chunks,
-                metadata: {
-                    processedAt: new Date().toISOString(),
-                    chunkCount: processingResult.chunks.length,
-                    tokenCount: processingResult.tokenEstimation?.totalTokens || 0,
-                    title: extractionResult.title || ''
-                }
-            };
-            
-        } catch (error) {
-            this.processingStats.failedExtractions++;
-            this.processingStats.errors.push({
-                message: error.message,
-                url,
-                timestamp: new Date().toISOString()
-            });
-            
-            console.error(`❌ Failed to process page ${url}:`, error.message);
+    async processPage(url, htmlContent, title = '') {
+        if (!this.pipeline) {
+            throw new CrawlerIntegrationError('Crawler not initialized. Call initialize() first.');
+        }
+        
+        console.log(`🔄 Processing page through pipeline: ${url}`);
+        
+        const result = await this.pipeline.processPage({ url, html: htmlContent, title });
+        
+        if (result.status !== PageStatus.SUCCESS) {
+            console.error(`❌ Failed to process page ${url}: ${result.record.error}`);
             return null;
         }
+        
+        console.log(`✅ Page processed: ${result.record.totalChunks} chunks, ${result.record.totalTokens} tokens`);
+        
+        return this.buildPageResult(result);
+    }
+    
+    /**
+     * Builds the processed page result from a pipeline page result
+     * @param {Object} result - Pipeline page result
+     * @returns {Object} - Processed page with Markdown, chunks, metadata and token counts
+     */
+    buildPageResult(result) {
+        const { record, extraction } = result;
+        
+        return {
+            url: record.url,
+            title: record.title,
+            markdown: extraction.markdown,
+            extractionResult: extraction,
+            chunkingResult: result.chunking,
+            record,
+            chunks: record.chunks,
+            totalTokens: record.totalTokens,
+            totalWords: record.totalWords,
+            metadata: {
+                processedAt: record.timestamp,
+                chunkCount: record.totalChunks,
+                tokenCount: record.totalTokens,
+                title: record.title,
+                description: extraction.description || '',
+                byline: extraction.byline || '',
+                extractionMethod: record.extractionMethod
+            }
+        };
     }
     
     /**
      * Builds the final integration result with comprehensive statistics
      */
     buildIntegrationResult(crawlingStats, duration) {
-        const totalPages = this.processingStats.totalPages;
-        const totalChunks = this.processingStats.totalChunks;
-        const totalTokens = this.processingStats.totalTokens;
+        const pipelineStats = this.pipeline.stats;
+        const totalPages = pipelineStats.successfulRequests;
+        const totalChunks = pipelineStats.totalChunks;
+        const totalTokens = pipelineStats.totalTokens;
         
         const averageChunksPerPage = totalPages > 0 ? Math.round(totalChunks / totalPages) : 0;
         const averageTokensPerChunk = totalChunks > 0 ? Math.round(totalTokens / totalChunks) : 0;
         
         // Combine errors and warnings from all components
         const allErrors = [
-            ...this.processingStats.errors,
+            ...pipelineStats.errors,
             ...crawlingStats.errors.map(e => ({
                 message: e.message,
                 url: e.url || '',
@@ -346,7 +355,7 @@ export class IntegratedCrawler {
         ];
         
         const allWarnings = [
-            ...this.processingStats.warnings,
+            ...pipelineStats.warnings,
             ...crawlingStats.warnings.map(w => ({
                 message: w.message,
                 url: w.url || '',
@@ -358,7 +367,7 @@ export class IntegratedCrawler {
         return new IntegrationResult({
             success: true,
             crawlingStats,
-            processingStats: { ...this.processingStats },
+            processingStats: this.pipeline.getStats(),
             totalPages,
             totalChunks,
             totalTokens,
@@ -374,16 +383,19 @@ export class IntegratedCrawler {
      * Gets current processing statistics
      */
     getProcessingStats() {
+        if (!this.pipeline) {
+            return null;
+        }
+        
+        const stats = this.pipeline.getStats();
+        
         return {
-            ...this.processingStats,
-            averageChunksPerPage: this.processingStats.totalPages > 0 
-                ? Math.round(this.processingStats.totalChunks / this.processingStats.totalPages) 
+            ...stats,
+            averageChunksPerPage: stats.successfulRequests > 0 
+                ? Math.round(stats.totalChunks / stats.successfulRequests) 
                 : 0,
-            averageTokensPerChunk: this.processingStats.totalChunks > 0 
-                ? Math.round(this.processingStats.totalTokens / this.processingStats.totalChunks) 
-                : 0,
-            successRate: this.processingStats.totalPages > 0 
-                ? Math.round((this.processingStats.successfulExtractions / this.processingStats.totalPages) * 100) 
+            averageTokensPerChunk: stats.totalChunks > 0 
+                ? Math.round(stats.totalTokens / stats.totalChunks) 
                 : 0
         };
     }
@@ -426,7 +438,9 @@ export class IntegratedCrawler {
      */
     async cleanup() {
         try {
-            if (this.crawler) {
+            if (this.pipeline) {
+                await this.pipeline.cleanup();
+            } else if (this.crawler) {
                 await this.crawler.cleanup();
             }
             console.log('🧹 Integrated crawler cleanup completed');
@@ -464,24 +478,104 @@ export async function crawlAndProcessUrls(startUrls, options = {}) {
     }
 }
 
+/**
+ * Fetches raw HTML for a single page over HTTP
+ * @param {string} url - Page URL
+ * @param {Object} options - Fetch options ({ timeoutSecs, headers })
+ * @returns {Promise<Object>} - { html, url } with the final URL after redirects
+ */
+async function fetchPageHtml(url, options = {}) {
+    const fetchOptions = {
+        ...DEFAULT_FETCH_OPTIONS,
+        ...options,
+        headers: { ...DEFAULT_FETCH_OPTIONS.headers, ...options.headers }
+    };
+    
+    let response;
+    try {
+        response = await fetch(url, {
+            headers: fetchOptions.headers,
+            redirect: 'follow',
+            signal: AbortSignal.timeout(fetchOptions.timeoutSecs * 1000)
+        });
+    } catch (error) {
+        throw new CrawlerIntegrationError(`Failed to fetch ${url}: ${error.message}`, error);
+    }
+    
+    if (!response.ok) {
+        throw new CrawlerIntegrationError(`Failed to fetch ${url}: HTTP ${response.status}`);
+    }
+    
+    const contentType = response.headers.get('content-type') || '';
+    if (contentType && !/html|xml/i.test(contentType)) {
+        throw new CrawlerIntegrationError(`Unsupported content type for ${url}: ${contentType}`);
+    }
+    
+    return {
+        html: await response.text(),
+        url: response.url || url
+    };
+}
+
+/**
+ * Checks a URL against its site's robots.txt before it is fetched
+ * @param {string} url - Page URL
+ * @param {RobotsTxtCache} robotsTxt - Cache of robots.txt rules
+ * @throws {CrawlerIntegrationError} - If robots.txt disallows the URL
+ */
+async function checkRobotsTxt(url, robotsTxt = createRobotsTxtCache()) {
+    await robotsTxt.load(url);
+    
+    if (!robotsTxt.isAllowed(url)) {
+        console.warn(`🤖 Skipping ${url}: disallowed by robots.txt`);
+        throw new CrawlerIntegrationError(`Not fetching ${url}: disallowed by robots.txt`);
+    }
+}
+
 /**
  * Processes a single URL through the complete pipeline
+ * 
+ * Fetches the page over HTTP (or uses pre-fetched HTML passed as `options.html`)
+ * and returns the extracted Markdown, chunks, metadata and token counts. Records
+ * are kept in memory unless a `sink` is provided, so no dataset is opened.
+ * Like the crawler, it only fetches pages that robots.txt allows unless
+ * `respectRobotsTxt` is false.
+ * 
+ * @param {string} url - Page URL
+ * @param {Object} options - Integration options plus { html, title, fetchOptions, respectRobotsTxt, robotsTxt }
+ * @returns {Promise<Object>} - Processed page result
+ * @throws {CrawlerIntegrationError} - If robots.txt disallows the URL, or fetching or processing fails
  */
 export async function processSingleUrl(url, options = {}) {
-    const crawler = createIntegratedCrawler(options);
+    const { html = null, title = '', fetchOptions = {}, ...integrationOptions } = options;
+    
+    if (html === null && integrationOptions.respectRobotsTxt !== false) {
+        await checkRobotsTxt(url, integrationOptions.robotsTxt);
+    }
+    
+    const crawler = createIntegratedCrawler({
+        ...integrationOptions,
+        sink: integrationOptions.sink || createMemorySink()
+    });
     
     try {
-        await crawler.initialize();
+        crawler.initializePipeline();
         
-        // Fetch the page content (simplified for single URL processing)
-        // In a real implementation, this would use Playwright to fetch the page
         console.log(`📄 Processing single URL: ${url}`);
         
-        // For now, return a placeholder result
-        // This would be implemented with actual page fetching in a complete system
-        throw new CrawlerIntegrationError('Single URL processing requires page fetching implementation');
+        const page = html !== null
+            ? { html, url }
+            : await fetchPageHtml(url, fetchOptions);
+        
+        const result = await crawler.pipeline.processPage({ url: page.url, html: page.html, title });
+        
+        if (result.status !== PageStatus.SUCCESS) {
+            throw new CrawlerIntegrationError(`Failed to process ${url}: ${result.record.error} (${result.status})`);
+        }
+        
+        return crawler.buildPageResult(result);
         
     } finally {
         await crawler.cleanup();
     }
-}
\ No newline at end of file
+}
@@ -0,0 +1,270 @@
+/**
+ * Politeness Scheduler for RAG Spider
+ *
+ * This module rate limits requests per origin (scheme, host and port).
+ * Each origin gets a number of concurrent request slots and a minimum
+ * interval between request starts: the strictest of the configured
+ * requests per second, the minimum delay and the robots.txt Crawl-delay.
+ * Origins that answer 429 or 503 are backed off: the interval is
+ * multiplied for every such response and recovers gradually with
+ * successful responses, and a Retry-After header pauses the origin
+ * for the time the server asked for. Requests to different origins
+ * never wait for each other.
+ *
+ * Requirements: 3.5, 4.1
+ */
+
+import { parseRetryAfter } from '../utils/errorHandler.js';
+import { systemClock } from '../utils/clock.js';
+
+/**
+ * Default configuration for the politeness scheduler
+ */
+export const DEFAULT_POLITENESS_OPTIONS = {
+    maxRequestsPerSecond: 1,      // Per origin; 0 = no limit
+    minDelayMs: 0,                // Minimum time between request starts per origin
+    maxConcurrencyPerOrigin: 2,   // Requests in flight per origin
+    backoffMultiplier: 2,         // Interval factor per rate-limited response
+    maxBackoffFactor: 32,
+    backoffRecovery: 0.8,         // Factor applied to the backoff per successful response
+    backoffBaseMs: 1000,          // Interval backed off from when no rate limit is configured
+    maxRetryAfterMs: 60000,
+    rateLimitStatusCodes: [429, 503],
+    robotsTxt: null,              // RobotsTxtCache for Crawl-delay
+    clock: systemClock
+};
+
+/**
+ * Scheduling state of one origin
+ */
+class OriginState {
+    constructor(origin) {
+        this.origin = origin;
+        this.active = new Set();
+        this.waiting = [];
+        this.nextStartAt = 0;
+        this.pausedUntil = 0;
+        this.backoffFactor = 1;
+        this.wakeAt = null;
+    }
+}
+
+/**
+ * Per-origin rate limiter with adaptive backoff
+ */
+export class PolitenessScheduler {
+    constructor(options = {}) {
+        this.options = { ...DEFAULT_POLITENESS_OPTIONS, ...options };
+        this.clock = this.options.clock;
+
+        this.origins = new Map();
+        // Request key → origin state of the slot it holds or waits for
+        this.holders = new Map();
+        this.stats = {
+            scheduledRequests: 0,
+            throttledRequests: 0,
+            totalWaitMs: 0,
+            rateLimitedResponses: 0,
+            retryAfterPauses: 0
+        };
+    }
+
+    /**
+     * Gets the scheduling state of a URL's origin
+     * @param {string} url - URL
+     * @returns {OriginState} - Origin state
+     */
+    getOriginState(url) {
+        let origin;
+        try {
+            origin = new URL(url).origin;
+        } catch {
+            origin = url;
+        }
+
+        let state = this.origins.get(origin);
+        if (!state) {
+            state = new OriginState(origin);
+            this.origins.set(origin, state);
+        }
+
+        return state;
+    }
+
+    /**
+     * Gets the current minimum time between request starts for a URL's
+     * origin, including backoff
+     * @param {string} url - URL
+     * @returns {number} - Interval in milliseconds
+     */
+    getIntervalMs(url) {
+        const { maxRequestsPerSecond, minDelayMs, backoffBaseMs, robotsTxt } = this.options;
+        const state = this.getOriginState(url);
+
+        const crawlDelayMs = (robotsTxt?.getCrawlDelay(url) || 0) * 1000;
+        const intervalMs = Math.max(maxRequestsPerSecond > 0 ? 1000 / maxRequestsPerSecond : 0, minDelayMs, crawlDelayMs);
+
+        if (state.backoffFactor <= 1) {
+            return intervalMs;
+        }
+
+        return Math.max(intervalMs, backoffBaseMs) * state.backoffFactor;
+    }
+
+    /**
+     * Waits until a request may start: a slot of its origin is free and
+     * the origin's interval has passed since the previous start. Acquiring
+     * a key again gives up the slot the key held before.
+     * @param {string} url - URL about to be requested
+     * @param {string} key - Request key used to release the slot
+     * @returns {Promise<boolean>} - False if the wait was cancelled by release()
+     */
+    async acquire(url, key = url) {
+        if (this.holders.has(key)) {
+            this.release(key);
+        }
+
+        const state = this.getOriginState(url);
+        const queuedAt = this.clock.now();
+        this.stats.scheduledRequests++;
+
+        const granted = await new Promise(resolve => {
+            state.waiting.push({ key, url, resolve });
+            this.holders.set(key, state);
+            this.pump(state);
+        });
+
+        const waitMs = this.clock.now() - queuedAt;
+        if (granted && waitMs > 0) {
+            this.stats.throttledRequests++;
+            this.stats.totalWaitMs += waitMs;
+        }
+
+        return granted;
+    }
+
+    /**
+     * Frees the slot of a request (or cancels its wait) and adapts the
+     * origin's rate to the response. Releasing a key twice is a no-op.
+     * @param {string} key - Request key passed to acquire()
+     * @param {Object} response - { statusCode, headers } of the response, if any
+     */
+    release(key, { statusCode = null, headers = {} } = {}) {
+        const state = this.holders.get(key);
+        if (!state) {
+            return;
+        }
+
+        this.holders.delete(key);
+        state.active.delete(key);
+
+        const index = state.waiting.findIndex(waiter => waiter.key === key);
+        if (index !== -1) {
+            state.waiting.splice(index, 1)[0].resolve(false);
+        }
+
+        if (statusCode) {
+            this.recordResponse(state, statusCode, headers);
+        }
+
+        this.pump(state);
+    }
+
+    /**
+     * Backs an origin off after a rate-limited response, or lets it
+     * recover after a successful one
+     * @param {OriginState} state - Origin state
+     * @param {number} statusCode - HTTP status code
+     * @param {Object} headers - Lowercase response headers
+     */
+    recordResponse(state, statusCode, headers) {
+        const options = this.options;
+
+        if (!options.rateLimitStatusCodes.includes(statusCode)) {
+            if (statusCode < 400 && state.backoffFactor > 1) {
+                state.backoffFactor = Math.max(1, state.backoffFactor * options.backoffRecovery);
+            }
+            return;
+        }
+
+        const now = this.clock.now();
+        this.stats.rateLimitedResponses++;
+        state.backoffFactor = Math.min(state.backoffFactor * options.backoffMultiplier, options.maxBackoffFactor);
+
+        const retryAfterMs = Math.min(parseRetryAfter(headers['retry-after'], now), options.maxRetryAfterMs);
+        if (retryAfterMs > 0) {
+            this.stats.retryAfterPauses++;
+            state.pausedUntil = Math.max(state.pausedUntil, now + retryAfterMs);
+        }
+
+        const intervalMs = this.getIntervalMs(state.origin);
+        state.nextStartAt = Math.max(state.nextStartAt, now + intervalMs);
+
+        console.warn(`🚦 ${state.origin} responded ${statusCode}${retryAfterMs > 0 ? `, pausing for ${Math.ceil(retryAfterMs / 1000)}s` : ''}; slowing down to one request every ${(intervalMs / 1000).toFixed(1)}s`);
+    }
+
+    /**
+     * Starts waiting requests of an origin while slots are free and the
+     * interval allows, and schedules a wake-up for the next start
+     * @param {OriginState} state - Origin state
+     */
+    pump(state) {
+        while (state.waiting.length > 0 && state.active.size < this.options.maxConcurrencyPerOrigin) {
+            const now = this.clock.now();
+            const startAt = Math.max(state.nextStartAt, state.pausedUntil);
+
+            if (startAt > now) {
+                this.wakeAt(state, startAt);
+                return;
+            }
+
+            const waiter = state.waiting.shift();
+            state.active.add(waiter.key);
+            state.nextStartAt = now + this.getIntervalMs(waiter.url);
+            waiter.resolve(true);
+        }
+    }
+
+    /**
+     * Pumps an origin again at the given time (an earlier pending
+     * wake-up makes this a no-op; pump() reschedules as needed)
+     * @param {OriginState} state - Origin state
+     * @param {number} time - Time in milliseconds
+     */
+    wakeAt(state, time) {
+        if (state.wakeAt !== null && state.wakeAt <= time) {
+            return;
+        }
+
+        state.wakeAt = time;
+        this.clock.sleep(time - this.clock.now()).then(() => {
+            if (state.wakeAt === time) {
+                state.wakeAt = null;
+                this.pump(state);
+            }
+        });
+    }
+
+    /**
+     * Gets scheduling statistics
+     * @returns {Object} - { scheduledRequests, throttledRequests, totalWaitMs, rateLimitedResponses, retryAfterPauses, origins, backedOffOrigins }
+     */
+    getStats() {
+        const states = [...this.origins.values()];
+
+        return {
+            ...this.stats,
+            origins: states.length,
+            backedOffOrigins: states.filter(state => state.backoffFactor > 1).length
+        };
+    }
+}
+
+/**
+ * Creates a new politeness scheduler
+ * @param {Object} options - Scheduler options
+ * @returns {PolitenessScheduler} - New scheduler
+ */
+export function createPolitenessScheduler(options = {}) {
+    return new PolitenessScheduler(options);
+}
@@ -0,0 +1,323 @@
+/**
+ * robots.txt Support for RAG Spider
+ *
+ * This module fetches, parses and caches robots.txt rules per origin
+ * following RFC 9309: the most specific (longest) matching rule wins,
+ * `Allow` wins ties, `*` and `$` wildcards are supported, a missing
+ * robots.txt (4xx) allows everything and an unreachable one (5xx or
+ * network error) disallows everything. Crawl-delay and Sitemap
+ * directives are exposed for the request scheduler and sitemap loader.
+ *
+ * Requirements: 3.1, 3.2
+ */
+
+/**
+ * Default configuration for robots.txt handling
+ */
+const DEFAULT_ROBOTS_OPTIONS = {
+    userAgent: 'RAG-Spider',
+    timeoutSecs: 15,
+    maxCrawlDelaySecs: 60,
+    maxSizeBytes: 500 * 1024,
+    headers: {
+        'User-Agent': 'Mozilla/5.0 (compatible; RAG-Spider/1.0)',
+        'Accept': 'text/plain,*/*;q=0.8'
+    }
+};
+
+/**
+ * Error class for robots.txt failures
+ */
+export class RobotsTxtError extends Error {
+    constructor(message, url = '', originalError = null) {
+        super(message);
+        this.name = 'RobotsTxtError';
+        this.url = url;
+        this.originalError = originalError;
+    }
+}
+
+/**
+ * Rules from a robots.txt file that apply to our user agent
+ */
+export class RobotsRules {
+    constructor({
+        rules = [],
+        crawlDelay = null,
+        sitemaps = [],
+        disallowAll = false
+    } = {}) {
+        this.rules = rules;
+        this.crawlDelay = crawlDelay;
+        this.sitemaps = sitemaps;
+        this.disallowAll = disallowAll;
+    }
+
+    /**
+     * Checks whether a URL may be crawled
+     * @param {string} url - Absolute URL
+     * @returns {boolean} - True if crawling is allowed
+     */
+    isAllowed(url) {
+        if (this.disallowAll) {
+            return false;
+        }
+
+        let path;
+        try {
+            const parsed = new URL(url);
+            path = `${parsed.pathname}${parsed.search}`;
+        } catch {
+            return true;
+        }
+
+        // robots.txt is always allowed
+        if (path === '/robots.txt') {
+            return true;
+        }
+
+        let bestMatch = null;
+        for (const rule of this.rules) {
+            if (!rule.regex.test(path)) continue;
+
+            if (!bestMatch ||
+                rule.pattern.length > bestMatch.pattern.length ||
+                (rule.pattern.length === bestMatch.pattern.length && rule.allow)) {
+                bestMatch = rule;
+            }
+        }
+
+        return bestMatch ? bestMatch.allow : true;
+    }
+}
+
+/**
+ * Converts a robots.txt path pattern to a regular expression
+ * @param {string} pattern - Path pattern (supports `*` and trailing `$`)
+ * @returns {RegExp} - Anchored regular expression
+ */
+function patternToRegex(pattern) {
+    const anchored = pattern.endsWith('$');
+    const body = (anchored ? pattern.slice(0, -1) : pattern)
+        .split('*')
+        .map(part => part.replace(/[.+?^${}()|[\]\\]/g, '\\$&'))
+        .join('.*');
+
+    return new RegExp(`^${body}${anchored ? '$' : ''}`);
+}
+
+/**
+ * Parses robots.txt content for a user agent
+ * @param {string} content - robots.txt content
+ * @param {string} userAgent - Product token to match (e.g. "RAG-Spider")
+ * @param {Object} options - Parsing options ({ maxCrawlDelaySecs })
+ * @returns {RobotsRules} - Rules applying to the user agent
+ */
+export function parseRobotsTxt(content, userAgent = DEFAULT_ROBOTS_OPTIONS.userAgent, options = {}) {
+    const maxCrawlDelaySecs = options.maxCrawlDelaySecs ?? DEFAULT_ROBOTS_OPTIONS.maxCrawlDelaySecs;
+    const token = userAgent.toLowerCase();
+    const groups = [];
+    const sitemaps = [];
+    let current = null;
+    let lastWasAgent = false;
+
+    for (const rawLine of content.split(/\r?\n/)) {
+        const line = rawLine.replace(/#.*$/, '').trim();
+        const separator = line.indexOf(':');
+        if (separator === -1) continue;
+
+        const field = line.slice(0, separator).trim().toLowerCase();
+        const value = line.slice(separator + 1).trim();
+
+        switch (field) {
+            case 'user-agent':
+                // Consecutive user-agent lines share one group
+                if (!lastWasAgent) {
+                    current = { agents: [], rules: [], crawlDelay: null };
+                    groups.push(current);
+                }
+                current.agents.push(value.toLowerCase());
+                lastWasAgent = true;
+                break;
+
+            case 'allow':
+            case 'disallow':
+                lastWasAgent = false;
+                // An empty Disallow means "allow everything" and adds no rule
+                if (current && value) {
+                    current.rules.push({
+                        allow: field === 'allow',
+                        pattern: value,
+                        regex: patternToRegex(value)
+                    });
+                }
+                break;
+
+            case 'crawl-delay': {
+                lastWasAgent = false;
+                const delay = parseFloat(value);
+                if (current && Number.isFinite(delay) && delay >= 0) {
+                    current.crawlDelay = delay;
+                }
+                break;
+            }
+
+            case 'sitemap':
+                sitemaps.push(value);
+                break;
+
+            default:
+                lastWasAgent = false;
+        }
+    }
+
+    // Prefer groups naming our product token, otherwise fall back to "*"
+    let matching = groups.filter(group => group.agents.includes(token));
+    if (matching.length === 0) {
+        matching = groups.filter(group => group.agents.includes('*'));
+    }
+
+    const crawlDelays = matching.map(group => group.crawlDelay).filter(delay => delay !== null);
+
+    return new RobotsRules({
+        rules: matching.flatMap(group => group.rules),
+        crawlDelay: crawlDelays.length > 0 ? Math.min(Math.max(...crawlDelays), maxCrawlDelaySecs) : null,
+        sitemaps
+    });
+}
+
+/**
+ * Per-origin cache of robots.txt rules
+ */
+export class RobotsTxtCache {
+    constructor(options = {}) {
+        this.options = {
+            ...DEFAULT_ROBOTS_OPTIONS,
+            ...options,
+            headers: { ...DEFAULT_ROBOTS_OPTIONS.headers, ...options.headers }
+        };
+
+        this.rules = new Map();
+        this.pending = new Map();
+        this.warnings = [];
+    }
+
+    /**
+     * Loads (or returns cached) rules for the origin of a URL
+     * @param {string} url - Any URL on the origin
+     * @returns {Promise<RobotsRules>} - Rules for the origin
+     */
+    async load(url) {
+        const origin = this.getOrigin(url);
+        if (!origin) {
+            return new RobotsRules();
+        }
+
+        if (this.rules.has(origin)) {
+            return this.rules.get(origin);
+        }
+
+        // Share a single in-flight request between concurrent callers
+        if (!this.pending.has(origin)) {
+            this.pending.set(origin, this.fetchRules(origin).then(rules => {
+                this.rules.set(origin, rules);
+                this.pending.delete(origin);
+                return rules;
+            }));
+        }
+
+        return await this.pending.get(origin);
+    }
+
+    /**
+     * Gets already loaded rules for the origin of a URL
+     * @param {string} url - Any URL on the origin
+     * @returns {RobotsRules|null} - Rules or null when not loaded yet
+     */
+    getRules(url) {
+        const origin = this.getOrigin(url);
+        return origin ? this.rules.get(origin) || null : null;
+    }
+
+    /**
+     * Checks a URL against already loaded rules
+     * @param {string} url - URL to check
+     * @returns {boolean} - False only if loaded rules disallow the URL
+     */
+    isAllowed(url) {
+        const rules = this.getRules(url);
+        return rules ? rules.isAllowed(url) : true;
+    }
+
+    /**
+     * Gets the Crawl-delay for the origin of a URL
+     * @param {string} url - Any URL on the origin
+     * @returns {number|null} - Crawl-delay in seconds or null
+     */
+    getCrawlDelay(url) {
+        return this.getRules(url)?.crawlDelay ?? null;
+    }
+
+    /**
+     * Fetches and parses robots.txt for an origin
+     * @param {string} origin - Site origin
+     * @returns {Promise<RobotsRules>} - Parsed rules
+     */
+    async fetchRules(origin) {
+        const robotsUrl = `${origin}/robots.txt`;
+
+        try {
+            const response = await fetch(robotsUrl, {
+                headers: this.options.headers,
+                redirect: 'follow',
+                signal: AbortSignal.timeout(this.options.timeoutSecs * 1000)
+            });
+
+            if (response.status >= 400 && response.status < 500) {
+                return new RobotsRules();
+            }
+
+            if (!response.ok) {
+                throw new RobotsTxtError(`HTTP ${response.status}`, robotsUrl);
+            }
+
+            const content = (await response.text()).slice(0, this.options.maxSizeBytes);
+            const rules = parseRobotsTxt(content, this.options.userAgent, this.options);
+
+            if (rules.crawlDelay !== null) {
+                console.log(`🤖 ${origin} requests a crawl delay of ${rules.crawlDelay}s`);
+            }
+
+            return rules;
+
+        } catch (error) {
+            // RFC 9309: an unreachable robots.txt means complete disallow
+            const message = `robots.txt unreachable for ${origin}, disallowing crawl: ${error.message}`;
+            console.warn(`⚠️ ${message}`);
+            this.warnings.push(message);
+            return new RobotsRules({ disallowAll: true });
+        }
+    }
+
+    /**
+     * Gets the origin of a URL
+     * @param {string} url - URL
+     * @returns {string|null} - Origin or null for invalid URLs
+     */
+    getOrigin(url) {
+        try {
+            return new URL(url).origin;
+        } catch {
+            return null;
+        }
+    }
+}
+
+/**
+ * Creates a new robots.txt cache
+ * @param {Object} options - Configuration options
+ * @returns {RobotsTxtCache} - New cache instance
+ */
+export function createRobotsTxtCache(options = {}) {
+    return new RobotsTxtCache(options);
+}
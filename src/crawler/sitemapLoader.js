@@ -0,0 +1,307 @@
+/**
+ * Sitemap Discovery and Parsing for RAG Spider
+ *
+ * This module discovers a site's sitemaps (robots.txt `Sitemap:` directives,
+ * falling back to the conventional /sitemap.xml location), follows sitemap indexes,
+ * decompresses gzipped sitemaps and returns page URLs with their lastmod
+ * dates so they can seed the request queue.
+ *
+ * Requirements: 3.1, 3.2
+ */
+
+import { gunzipSync } from 'node:zlib';
+import { createRobotsTxtCache } from './robotsTxt.js';
+
+/**
+ * Default configuration for sitemap loading
+ */
+const DEFAULT_SITEMAP_OPTIONS = {
+    maxSitemaps: 50,
+    maxUrls: 10000,
+    timeoutSecs: 30,
+    headers: {
+        'User-Agent': 'Mozilla/5.0 (compatible; RAG-Spider/1.0)',
+        'Accept': 'application/xml,text/xml;q=0.9,*/*;q=0.8'
+    }
+};
+
+/**
+ * Error class for sitemap loading failures
+ */
+export class SitemapError extends Error {
+    constructor(message, sitemapUrl = '', originalError = null) {
+        super(message);
+        this.name = 'SitemapError';
+        this.sitemapUrl = sitemapUrl;
+        this.originalError = originalError;
+    }
+}
+
+/**
+ * Page URL listed in a sitemap
+ */
+export class SitemapEntry {
+    constructor({
+        url = '',
+        lastmod = null,
+        sitemapUrl = ''
+    } = {}) {
+        this.url = url;
+        this.lastmod = lastmod;
+        this.sitemapUrl = sitemapUrl;
+    }
+}
+
+/**
+ * Sitemap loading result
+ */
+export class SitemapLoadResult {
+    constructor({
+        entries = [],
+        sitemaps = [],
+        warnings = []
+    } = {}) {
+        this.entries = entries;
+        this.sitemaps = sitemaps;
+        this.warnings = warnings;
+    }
+}
+
+/**
+ * Loader that discovers, fetches and parses sitemaps
+ */
+export class SitemapLoader {
+    constructor(options = {}) {
+        this.options = {
+            ...DEFAULT_SITEMAP_OPTIONS,
+            ...options,
+            headers: { ...DEFAULT_SITEMAP_OPTIONS.headers, ...options.headers }
+        };
+
+        // Share the crawler's robots.txt cache when provided
+        this.robotsTxt = options.robotsTxt || createRobotsTxtCache();
+    }
+
+    /**
+     * Loads all sitemap entries for the origins of the given URLs
+     * @param {string[]} urls - Start URLs whose origins should be inspected
+     * @returns {Promise<SitemapLoadResult>} - Entries, sitemaps visited and warnings
+     */
+    async load(urls) {
+        const origins = [...new Set(urls.map(url => {
+            try {
+                return new URL(url).origin;
+            } catch {
+                return null;
+            }
+        }).filter(Boolean))];
+
+        const warnings = [];
+        const queue = [];
+
+        for (const origin of origins) {
+            queue.push(...await this.discoverSitemapUrls(origin));
+        }
+
+        const visited = new Set();
+        const entries = new Map();
+
+        while (queue.length > 0 && visited.size < this.options.maxSitemaps && entries.size < this.options.maxUrls) {
+            const sitemapUrl = queue.shift();
+            if (visited.has(sitemapUrl)) {
+                continue;
+            }
+            visited.add(sitemapUrl);
+
+            let parsed;
+            try {
+                const xml = await this.fetchSitemap(sitemapUrl);
+                parsed = this.parseSitemap(xml);
+            } catch (error) {
+                warnings.push(`Failed to load sitemap ${sitemapUrl}: ${error.message}`);
+                continue;
+            }
+
+            if (parsed.type === 'index') {
+                queue.push(...parsed.items.map(item => item.loc));
+                continue;
+            }
+
+            for (const item of parsed.items) {
+                if (entries.size >= this.options.maxUrls) {
+                    warnings.push(`Sitemap URL limit reached (${this.options.maxUrls})`);
+                    break;
+                }
+
+                if (!entries.has(item.loc)) {
+                    entries.set(item.loc, new SitemapEntry({
+                        url: item.loc,
+                        lastmod: item.lastmod,
+                        sitemapUrl
+                    }));
+                }
+            }
+        }
+
+        if (queue.length > 0 && visited.size >= this.options.maxSitemaps) {
+            warnings.push(`Sitemap limit reached (${this.options.maxSitemaps}), ${queue.length} sitemaps skipped`);
+        }
+
+        return new SitemapLoadResult({
+            entries: [...entries.values()],
+            sitemaps: [...visited],
+            warnings
+        });
+    }
+
+    /**
+     * Discovers sitemap URLs for an origin from robots.txt, falling back to /sitemap.xml
+     * @param {string} origin - Site origin (e.g. https://docs.example.com)
+     * @returns {Promise<string[]>} - Sitemap URLs
+     */
+    async discoverSitemapUrls(origin) {
+        const rules = await this.robotsTxt.load(origin);
+        const sitemapUrls = [];
+
+        for (const sitemap of rules.sitemaps) {
+            try {
+                sitemapUrls.push(new URL(sitemap, origin).toString());
+            } catch {
+                // Ignore malformed sitemap directives
+            }
+        }
+
+        // Fall back to the conventional location when robots.txt lists none
+        if (sitemapUrls.length === 0) {
+            sitemapUrls.push(`${origin}/sitemap.xml`);
+        }
+
+        return sitemapUrls;
+    }
+
+    /**
+     * Fetches a sitemap and decompresses it when gzipped
+     * @param {string} sitemapUrl - Sitemap URL
+     * @returns {Promise<string>} - Sitemap XML
+     * @throws {SitemapError} - If the sitemap cannot be fetched
+     */
+    async fetchSitemap(sitemapUrl) {
+        const response = await this.request(sitemapUrl);
+
+        if (!response.ok) {
+            throw new SitemapError(`HTTP ${response.status}`, sitemapUrl);
+        }
+
+        let body = Buffer.from(await response.arrayBuffer());
+
+        // .xml.gz files are served as-is; detect them by the gzip magic bytes
+        if (body.length > 2 && body[0] === 0x1f && body[1] === 0x8b) {
+            try {
+                body = gunzipSync(body);
+            } catch (error) {
+                throw new SitemapError(`Failed to decompress sitemap: ${error.message}`, sitemapUrl, error);
+            }
+        }
+
+        return body.toString('utf8');
+    }
+
+    /**
+     * Parses sitemap XML into a list of locations
+     * @param {string} xml - Sitemap XML
+     * @returns {Object} - { type: 'index' | 'urlset', items: [{ loc, lastmod }] }
+     * @throws {SitemapError} - If the XML is not a sitemap
+     */
+    parseSitemap(xml) {
+        let type;
+        let blockTag;
+
+        if (/<(?:\w+:)?sitemapindex[\s>]/i.test(xml)) {
+            type = 'index';
+            blockTag = 'sitemap';
+        } else if (/<(?:\w+:)?urlset[\s>]/i.test(xml)) {
+            type = 'urlset';
+            blockTag = 'url';
+        } else {
+            throw new SitemapError('Document is not a sitemap or sitemap index');
+        }
+
+        const items = [];
+        const blockPattern = new RegExp(`<(?:\\w+:)?${blockTag}\\b[^>]*>([\\s\\S]*?)</(?:\\w+:)?${blockTag}>`, 'gi');
+
+        for (const [, block] of xml.matchAll(blockPattern)) {
+            const loc = this.extractTag(block, 'loc');
+            if (!loc) continue;
+
+            items.push({
+                loc,
+                lastmod: this.extractTag(block, 'lastmod') || null
+            });
+        }
+
+        return { type, items };
+    }
+
+    /**
+     * Extracts the text content of a child tag
+     * @param {string} block - XML block
+     * @param {string} tag - Tag name
+     * @returns {string} - Decoded tag content or empty string
+     */
+    extractTag(block, tag) {
+        const match = block.match(new RegExp(`<(?:\\w+:)?${tag}[^>]*>([\\s\\S]*?)</(?:\\w+:)?${tag}>`, 'i'));
+        if (!match) return '';
+
+        const value = match[1].replace(/^\s*<!\[CDATA\[([\s\S]*?)\]\]>\s*$/, '$1');
+        return this.decodeXmlEntities(value.trim());
+    }
+
+    /**
+     * Decodes the predefined XML entities and numeric character references
+     * @param {string} text - Encoded text
+     * @returns {string} - Decoded text
+     */
+    decodeXmlEntities(text) {
+        return text
+            .replace(/&#x([0-9a-f]+);/gi, (match, hex) => String.fromCodePoint(parseInt(hex, 16)))
+            .replace(/&#(\d+);/g, (match, dec) => String.fromCodePoint(parseInt(dec, 10)))
+            .replace(/&lt;/g, '<')
+            .replace(/&gt;/g, '>')
+            .replace(/&quot;/g, '"')
+            .replace(/&apos;/g, "'")
+            .replace(/&amp;/g, '&');
+    }
+
+    /**
+     * Performs an HTTP GET request with the configured headers and timeout
+     * @param {string} url - URL to fetch
+     * @returns {Promise<Response>} - Fetch response
+     */
+    async request(url) {
+        return await fetch(url, {
+            headers: this.options.headers,
+            redirect: 'follow',
+            signal: AbortSignal.timeout(this.options.timeoutSecs * 1000)
+        });
+    }
+}
+
+/**
+ * Creates a new sitemap loader instance
+ * @param {Object} options - Configuration options
+ * @returns {SitemapLoader} - New loader instance
+ */
+export function createSitemapLoader(options = {}) {
+    return new SitemapLoader(options);
+}
+
+/**
+ * Convenience function to load sitemap entries for a set of URLs
+ * @param {string[]} urls - Start URLs
+ * @param {Object} options - Loader options
+ * @returns {Promise<SitemapLoadResult>} - Loading result
+ */
+export async function loadSitemaps(urls, options = {}) {
+    const loader = createSitemapLoader(options);
+    return await loader.load(urls);
+}
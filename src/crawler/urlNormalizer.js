@@ -0,0 +1,202 @@
+/**
+ * URL Normalization for RAG Spider
+ *
+ * This module maps equivalent URLs to one normalized URL, used as the
+ * request queue key so the same page is not crawled under several URLs:
+ * fragments and configured query parameters (globs such as `utm_*`) are
+ * removed, the remaining parameters are sorted, scheme and host are
+ * lowercased, default ports and duplicate slashes are dropped, index
+ * files (`index.html`, ...) are stripped and trailing slashes removed.
+ * Pages can also declare their canonical URL with
+ * `<link rel="canonical">` or a `Link: <...>; rel="canonical"` header.
+ *
+ * Requirements: 3.3, 3.4
+ */
+
+import { minimatch } from 'minimatch';
+
+/**
+ * Default configuration for URL normalization
+ */
+export const DEFAULT_URL_NORMALIZATION_OPTIONS = {
+    enabled: true,
+    removeQueryParams: ['utm_*', 'ref', 'source'],
+    sortQueryParams: true,
+    indexFiles: ['index.html', 'index.htm', 'index.php', 'default.htm', 'default.html', 'default.aspx'],
+    removeTrailingSlash: true,
+    honorCanonical: true
+};
+
+/**
+ * Reads an attribute from a single HTML tag
+ * @param {string} tag - Tag source (e.g. `<link rel="canonical" href="...">`)
+ * @param {string} name - Attribute name
+ * @returns {string|null} - Attribute value
+ */
+function getAttribute(tag, name) {
+    const match = tag.match(new RegExp(`\\s${name}\\s*=\\s*(?:"([^"]*)"|'([^']*)'|([^\\s"'>]+))`, 'i'));
+    if (!match) {
+        return null;
+    }
+
+    return (match[1] ?? match[2] ?? match[3]).trim().replace(/&amp;/g, '&');
+}
+
+/**
+ * Finds the `<link rel="canonical">` href in the document head
+ * @param {string} html - Page HTML
+ * @returns {string|null} - Canonical href as written (may be relative)
+ */
+export function findCanonicalLink(html) {
+    if (typeof html !== 'string') {
+        return null;
+    }
+
+    const headEnd = html.search(/<\/head\s*>/i);
+    const head = headEnd === -1 ? html : html.slice(0, headEnd);
+
+    for (const [tag] of head.matchAll(/<link\b[^>]*>/gi)) {
+        const rel = getAttribute(tag, 'rel');
+        if (rel && rel.toLowerCase().split(/\s+/).includes('canonical')) {
+            const href = getAttribute(tag, 'href');
+            if (href) {
+                return href;
+            }
+        }
+    }
+
+    return null;
+}
+
+/**
+ * Finds the canonical URL in an HTTP `Link` header
+ * @param {string} header - Link header value
+ * @returns {string|null} - Canonical URL as written
+ */
+export function parseCanonicalLinkHeader(header) {
+    if (typeof header !== 'string') {
+        return null;
+    }
+
+    for (const part of header.split(/,(?=\s*<)/)) {
+        const match = part.match(/<([^>]*)>(.*)/);
+        if (match && /;\s*rel\s*=\s*"?[^";]*\bcanonical\b/i.test(match[2])) {
+            return match[1].trim();
+        }
+    }
+
+    return null;
+}
+
+/**
+ * Normalizes URLs and resolves canonical URLs
+ */
+export class UrlNormalizer {
+    constructor(options = {}) {
+        this.options = { ...DEFAULT_URL_NORMALIZATION_OPTIONS, ...options };
+        this.indexFiles = new Set(this.options.indexFiles.map(file => file.toLowerCase()));
+    }
+
+    /**
+     * Removes the fragment of a URL
+     * @param {string} url - URL
+     * @returns {string} - URL without fragment (the input for unparsable URLs)
+     */
+    stripFragment(url) {
+        try {
+            const parsed = new URL(url);
+            parsed.hash = '';
+            return parsed.toString();
+        } catch {
+            return url;
+        }
+    }
+
+    /**
+     * Normalizes a URL (only removes the fragment when normalization is disabled)
+     * @param {string} url - Absolute URL
+     * @returns {string} - Normalized URL (the input for unparsable URLs)
+     */
+    normalize(url) {
+        if (!this.options.enabled) {
+            return this.stripFragment(url);
+        }
+
+        let parsed;
+        try {
+            // WHATWG URL parsing already lowercases scheme and host and drops default ports
+            parsed = new URL(url);
+        } catch {
+            return url;
+        }
+
+        parsed.hash = '';
+
+        for (const name of [...parsed.searchParams.keys()]) {
+            if (this.isRemovedQueryParam(name)) {
+                parsed.searchParams.delete(name);
+            }
+        }
+
+        if (this.options.sortQueryParams) {
+            parsed.searchParams.sort();
+        }
+
+        let pathname = parsed.pathname.replace(/\/{2,}/g, '/');
+        const lastSegment = pathname.slice(pathname.lastIndexOf('/') + 1);
+
+        if (this.indexFiles.has(lastSegment.toLowerCase())) {
+            pathname = pathname.slice(0, pathname.length - lastSegment.length);
+        }
+
+        if (this.options.removeTrailingSlash && pathname.length > 1) {
+            pathname = pathname.replace(/\/+$/, '') || '/';
+        }
+
+        parsed.pathname = pathname;
+        return parsed.toString();
+    }
+
+    /**
+     * Checks whether a query parameter is removed during normalization
+     * @param {string} name - Parameter name
+     * @returns {boolean} - True if the name matches a removeQueryParams glob
+     */
+    isRemovedQueryParam(name) {
+        return this.options.removeQueryParams.some(pattern => minimatch(name, pattern, { nocase: true }));
+    }
+
+    /**
+     * Resolves the normalized canonical URL a page declares
+     * @param {string} pageUrl - URL the page was fetched from
+     * @param {string} html - Page HTML
+     * @param {string} linkHeader - HTTP Link header (optional)
+     * @returns {string|null} - Normalized canonical URL, or null if none is declared
+     */
+    resolveCanonical(pageUrl, html, linkHeader = null) {
+        if (!this.options.honorCanonical) {
+            return null;
+        }
+
+        const href = findCanonicalLink(html) || parseCanonicalLinkHeader(linkHeader);
+        if (!href) {
+            return null;
+        }
+
+        try {
+            const canonical = new URL(href, pageUrl);
+            return ['http:', 'https:'].includes(canonical.protocol) ? this.normalize(canonical.toString()) : null;
+        } catch {
+            return null;
+        }
+    }
+}
+
+/**
+ * Creates a new URL normalizer
+ * @param {Object} options - Normalization options
+ * @returns {UrlNormalizer} - New URL normalizer
+ */
+export function createUrlNormalizer(options = {}) {
+    return new UrlNormalizer(options);
+}
@@ -0,0 +1,65 @@
+/**
+ * URL Patterns for RAG Spider
+ *
+ * This module compiles the URL patterns used for include and exclude
+ * lists and per-pattern depth rules. A pattern is either a glob matched
+ * against the full URL (`https://docs.example.com/**`, `**\/*.pdf`) or a
+ * regular expression written between slashes with optional flags
+ * (`/\/v[0-9]+\//i`).
+ *
+ * Requirements: 3.3, 3.4
+ */
+
+import { minimatch } from 'minimatch';
+
+const REGEX_PATTERN = /^\/(.+)\/([dgimsuy]*)$/;
+
+/**
+ * Parses a `/source/flags` pattern as a regular expression
+ * @param {string} pattern - URL pattern
+ * @returns {RegExp|null} - Regular expression, or null if the pattern is a glob
+ * @throws {SyntaxError} - If the pattern looks like a regex but does not compile
+ */
+export function parseRegexPattern(pattern) {
+    const match = typeof pattern === 'string' ? pattern.match(REGEX_PATTERN) : null;
+    if (!match) {
+        return null;
+    }
+
+    // The global and sticky flags would make test() stateful
+    return new RegExp(match[1], match[2].replace(/[gy]/g, ''));
+}
+
+/**
+ * Compiles a glob or regex pattern to a URL matcher
+ * @param {string} pattern - URL pattern
+ * @returns {Function} - (url) => boolean
+ */
+export function compileUrlPattern(pattern) {
+    const regex = parseRegexPattern(pattern);
+
+    if (regex) {
+        return url => regex.test(url);
+    }
+
+    return url => {
+        try {
+            return minimatch(url, pattern);
+        } catch {
+            return false;
+        }
+    };
+}
+
+/**
+ * Compiles per-pattern depth rules; the first matching rule wins
+ * @param {Array} rules - Rules ({ pattern, crawlDepth })
+ * @returns {Array} - Compiled rules ({ pattern, crawlDepth, matches })
+ */
+export function compileDepthRules(rules = []) {
+    return rules.map(rule => ({
+        pattern: rule.pattern,
+        crawlDepth: rule.crawlDepth,
+        matches: compileUrlPattern(rule.pattern)
+    }));
+}
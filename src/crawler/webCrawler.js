@@ -1,26 +1,61 @@
 /**
  * Web Crawler Service for RAG Spider
  * 
- * This module provides a Crawlee-based web crawler with URL filtering,
- * depth limiting, and content extraction capabilities for documentation sites.
+ * This module provides a Crawlee-based web crawler with URL filtering and
+ * depth limiting for documentation sites. Pages are fetched with a headless
+ * browser, a plain HTTP client or both (HTTP first, browser only for pages
+ * that need JavaScript to render). It is the fetch stage of the
+ * processing pipeline: every fetched page is handed to the page handler
+ * passed to crawl(). With a change tracker (incremental mode) pages known
+ * from previous runs are seeded and skipped when the server reports them
+ * as not modified. Requests are deduplicated by their normalized URL, and
+ * pages whose declared canonical URL was already crawled are skipped.
+ * Requests are rate limited per origin by the politeness scheduler.
  * 
  * Requirements: 3.1, 3.2, 3.3, 3.4, 3.5
  */
 
-import { PlaywrightCrawler, Dataset } from 'crawlee';
-import { minimatch } from 'minimatch';
+import { CheerioCrawler, PlaywrightCrawler } from 'crawlee';
+import { createSitemapLoader } from './sitemapLoader.js';
+import { createRobotsTxtCache } from './robotsTxt.js';
+import { createUrlNormalizer } from './urlNormalizer.js';
+import { compileUrlPattern, compileDepthRules } from './urlPatterns.js';
+import { createPolitenessScheduler } from './politenessScheduler.js';
 import { 
     createErrorHandler, 
     CrawlerError, 
     ErrorCategory, 
     ErrorSeverity,
-    categorizeError 
+    categorizeError,
+    getErrorStatusCode
 } from '../utils/errorHandler.js';
 
+/**
+ * How page depth is measured for crawlDepth
+ */
+export const DepthMode = {
+    // Links followed from a start URL (start URLs are at depth 0)
+    HOPS: 'hops',
+    // Path segments below the start URL's path (the start URL is at depth 0)
+    PATH: 'path'
+};
+
+/**
+ * Supported fetchers
+ */
+export const CrawlerType = {
+    PLAYWRIGHT: 'playwright',
+    HTTP: 'http',
+    AUTO: 'auto'
+};
+
 /**
  * Default configuration for web crawling
  */
 const DEFAULT_CRAWLER_OPTIONS = {
+    crawlerType: CrawlerType.PLAYWRIGHT,
+    // Auto mode: static pages with less visible text than this are re-fetched in the browser
+    minStaticTextLength: 200,
     maxRequestsPerCrawl: 1000,
     maxConcurrency: 5,
     requestHandlerTimeoutSecs: 60,
@@ -29,19 +64,36 @@ const DEFAULT_CRAWLER_OPTIONS = {
     useSessionPool: true,
     persistCookiesPerSession: false,
     maxRequestRetries: 3,
-    requestDelaySecs: 1,
+    keepAlive: false,
     maxCrawlDepth: 3,
+    depthMode: DepthMode.HOPS,
+    // Globs or /regex/ patterns (see urlPatterns.js)
     includeUrlGlobs: ['**'],
     excludeUrlGlobs: [],
+    // Per-pattern depth limits ({ pattern, crawlDepth }), first match wins over maxCrawlDepth
+    urlDepthRules: [],
     waitForDynamicContent: true,
     dynamicContentWaitSecs: 2,
+    // robots.txt compliance (Disallow rules and Crawl-delay)
+    respectRobotsTxt: true,
+    // Sitemap seeding (robots.txt Sitemap: directives and /sitemap.xml)
+    useSitemaps: false,
+    maxSitemapUrls: null,
+    // Incremental mode: ChangeTracker with the state of previous runs
+    changeTracker: null,
+    // URL normalization and canonical links (see urlNormalizer.js)
+    urlNormalization: {},
+    // Per-origin rate limiting and backoff (see politenessScheduler.js)
+    politeness: {},
     // Error handling configuration
     errorHandling: {
         maxRetries: 3,
         baseDelay: 1000,
         maxDelay: 30000,
         backoffMultiplier: 2,
-        jitter: true
+        jitter: true,
+        // Category → retries allowed over the crawl, for page requests too (unlisted = unlimited)
+        retryBudgets: {}
     },
     // Proxy configuration for rate limiting avoidance
     proxyConfiguration: null
@@ -69,11 +121,20 @@ export class CrawlingStats {
         this.totalRequests = 0;
         this.successfulRequests = 0;
         this.failedRequests = 0;
+        this.enqueuedUrls = 0;
+        this.sitemapUrls = 0;
         this.filteredUrls = 0;
+        this.robotsDisallowedUrls = 0;
         this.depthExceededUrls = 0;
-        this.processedPages = 0;
-        this.extractedChunks = 0;
-        this.totalTokens = 0;
+        this.browserFallbackUrls = 0;
+        this.knownUrls = 0;
+        this.notModifiedUrls = 0;
+        this.canonicalDuplicateUrls = 0;
+        this.throttledRequests = 0;
+        this.rateLimitedResponses = 0;
+        // Depth → number of pages fetched at that depth
+        this.depthHistogram = {};
+        this.requestLimitReached = false;
         this.errors = [];
         this.warnings = [];
     }
@@ -101,6 +162,13 @@ export class CrawlingStats {
         return Math.round((this.successfulRequests / this.totalRequests) * 100);
     }
     
+    /**
+     * Counts a fetched page in the depth histogram
+     */
+    recordDepth(depth) {
+        this.depthHistogram[depth] = (this.depthHistogram[depth] || 0) + 1;
+    }
+    
     /**
      * Adds an error to the statistics
      */
@@ -125,14 +193,23 @@ export class CrawlingStats {
 }
 
 /**
- * URL filter for pattern matching and depth control
+ * URL filter for pattern matching and depth control. Include and exclude
+ * patterns are globs or /regex/ patterns; depth rules set the crawl depth
+ * for URLs matching their pattern.
  */
 export class UrlFilter {
     constructor(options = {}) {
-        this.includeGlobs = options.includeUrlGlobs || ['**'];
+        this.includeGlobs = options.includeUrlGlobs?.length > 0 ? options.includeUrlGlobs : ['**'];
         this.excludeGlobs = options.excludeUrlGlobs || [];
+        this.includeMatchers = this.includeGlobs.map(compileUrlPattern);
+        this.excludeMatchers = this.excludeGlobs.map(compileUrlPattern);
+        this.depthRules = compileDepthRules(options.urlDepthRules);
         this.maxDepth = options.maxCrawlDepth || 3;
-        this.baseUrls = new Set();
+        this.depthMode = options.depthMode || DepthMode.HOPS;
+        this.robotsTxt = options.robotsTxt || null;
+        this.urlNormalizer = options.urlNormalizer || createUrlNormalizer(options.urlNormalization);
+        // Origin → path segments of the start URLs on that origin
+        this.baseUrls = new Map();
     }
     
     /**
@@ -141,55 +218,86 @@ export class UrlFilter {
     addBaseUrls(urls) {
         urls.forEach(url => {
             try {
-                const parsed = new URL(url);
-                this.baseUrls.add(parsed.origin);
+                const parsed = new URL(this.normalizeUrl(url));
+                const paths = this.baseUrls.get(parsed.origin) || [];
+                paths.push(this.getPathSegments(parsed));
+                this.baseUrls.set(parsed.origin, paths);
             } catch (error) {
                 console.warn(`Invalid base URL: ${url}`);
             }
         });
     }
     
+    /**
+     * Splits the path of a parsed URL into segments
+     */
+    getPathSegments(parsed) {
+        return parsed.pathname.split('/').filter(segment => segment.length > 0);
+    }
+    
     /**
      * Checks if URL matches inclusion patterns
      */
     matchesIncludePatterns(url) {
-        try {
-            return this.includeGlobs.some(pattern => minimatch(url, pattern));
-        } catch (error) {
-            return false;
-        }
+        return this.includeMatchers.some(matches => matches(url));
     }
     
     /**
      * Checks if URL matches exclusion patterns
      */
     matchesExcludePatterns(url) {
-        try {
-            return this.excludeGlobs.some(pattern => minimatch(url, pattern));
-        } catch (error) {
-            return false;
-        }
+        return this.excludeMatchers.some(matches => matches(url));
     }
     
     /**
-     * Calculates URL depth from base URLs
+     * Gets the crawl depth limit for a URL: the first matching depth rule's, or the global one
+     */
+    getMaxDepth(url) {
+        const rule = this.depthRules.find(rule => rule.matches(url));
+        return rule ? rule.crawlDepth : this.maxDepth;
+    }
+    
+    /**
+     * Calculates the path depth of a URL relative to the nearest start URL
+     * on its origin (the site root for origins without a start URL): path
+     * segments below the start URL's path, plus segments up for URLs
+     * outside it. With a start URL of /docs/v2/, /docs/v2/api/auth is at
+     * depth 2 and /docs/v1/intro at depth 3.
      */
     calculateDepth(url) {
         try {
-            const parsed = new URL(url);
-            const pathSegments = parsed.pathname.split('/').filter(segment => segment.length > 0);
-            return pathSegments.length;
+            const parsed = new URL(this.normalizeUrl(url));
+            const pathSegments = this.getPathSegments(parsed);
+            const basePaths = this.baseUrls.get(parsed.origin) || [[]];
+            
+            return Math.min(...basePaths.map(basePath => {
+                let common = 0;
+                while (common < basePath.length && basePath[common] === pathSegments[common]) {
+                    common++;
+                }
+                return (pathSegments.length - common) + (basePath.length - common);
+            }));
         } catch (error) {
             return 0;
         }
     }
     
+    /**
+     * Gets the depth used for crawlDepth: the link hops, or the path depth in path mode
+     * @param {string} url - URL
+     * @param {number} hops - Links followed from a start URL
+     * @returns {number} - Depth
+     */
+    getDepth(url, hops) {
+        return this.depthMode === DepthMode.PATH ? this.calculateDepth(url) : hops;
+    }
+    
     /**
      * Checks if URL should be crawled based on patterns and depth
      */
     shouldCrawl(url, currentDepth = 0) {
         // Check depth limit
-        if (currentDepth >= this.maxDepth) {
+        if (currentDepth >= this.getMaxDepth(url)) {
             return { allowed: false, reason: 'depth_exceeded' };
         }
         
@@ -198,6 +306,11 @@ export class UrlFilter {
             return { allowed: false, reason: 'excluded_pattern' };
         }
         
+        // Check robots.txt rules (only origins whose rules are loaded)
+        if (this.robotsTxt && !this.robotsTxt.isAllowed(url)) {
+            return { allowed: false, reason: 'robots_disallowed' };
+        }
+        
         // Check inclusion patterns
         if (!this.matchesIncludePatterns(url)) {
             return { allowed: false, reason: 'not_included' };
@@ -207,17 +320,10 @@ export class UrlFilter {
     }
     
     /**
-     * Normalizes URL for consistent filtering
+     * Normalizes URL so equivalent URLs share one request queue key
      */
     normalizeUrl(url) {
-        try {
-            const parsed = new URL(url);
-            // Remove fragment and normalize
-            parsed.hash = '';
-            return parsed.toString();
-        } catch (error) {
-            return url;
-        }
+        return this.urlNormalizer.normalize(url);
     }
 }
 
@@ -228,15 +334,24 @@ export class WebCrawler {
     constructor(options = {}) {
         this.options = {
             ...DEFAULT_CRAWLER_OPTIONS,
-            ...options
+            ...options,
+            errorHandling: { ...DEFAULT_CRAWLER_OPTIONS.errorHandling, ...options.errorHandling }
         };
         
         this.stats = new CrawlingStats();
-        this.urlFilter = new UrlFilter(this.options);
+        this.robotsTxt = this.options.respectRobotsTxt
+            ? this.options.robotsTxt || createRobotsTxtCache()
+            : null;
+        this.urlNormalizer = createUrlNormalizer(this.options.urlNormalization);
+        this.urlFilter = new UrlFilter({ ...this.options, robotsTxt: this.robotsTxt, urlNormalizer: this.urlNormalizer });
+        // Normalized and canonical URLs → normalized URL of the page that claimed them
+        this.canonicalOwners = new Map();
+        this.scheduler = createPolitenessScheduler({ ...this.options.politeness, robotsTxt: this.robotsTxt });
         this.crawler = null;
-        this.contentExtractor = null;
-        this.textProcessor = null;
-        this.dataset = null;
+        this.browserCrawler = null;
+        this.browserFallbackRequests = [];
+        this.changeTracker = this.options.changeTracker;
+        this.handlers = null;
         
         // Initialize comprehensive error handler
         this.errorHandler = createErrorHandler({
@@ -249,64 +364,198 @@ export class WebCrawler {
     }
     
     /**
-     * Sets the content extractor for processing pages
-     */
-    setContentExtractor(extractor) {
-        this.contentExtractor = extractor;
-    }
-    
-    /**
-     * Sets the text processor for chunking and metadata
+     * Initializes the crawler with configuration
      */
-    setTextProcessor(processor) {
-        this.textProcessor = processor;
+    async initialize() {
+        if (this.crawler) {
+            return;
+        }
+        
+        try {
+            console.log(`🚀 Initializing web crawler (${this.options.crawlerType})...`);
+            
+            // Auto mode starts with the HTTP fetcher; the browser is only launched if needed
+            this.crawler = this.createCrawler(
+                this.options.crawlerType === CrawlerType.PLAYWRIGHT ? CrawlerType.PLAYWRIGHT : CrawlerType.HTTP
+            );
+            
+            console.log('✅ Web crawler initialized successfully');
+            
+        } catch (error) {
+            console.error('❌ Failed to initialize web crawler:', error.message);
+            throw new WebCrawlerError(`Failed to initialize crawler: ${error.message}`, '', error);
+        }
     }
     
     /**
-     * Initializes the crawler with configuration
+     * Creates a Crawlee crawler for the given fetcher type
+     * @param {string} type - CrawlerType.PLAYWRIGHT or CrawlerType.HTTP
+     * @param {Object} overrides - Crawler options overriding the defaults
+     * @returns {PlaywrightCrawler|CheerioCrawler} - New crawler
      */
-    async initialize() {
-        try {
-            console.log('🚀 Initializing web crawler...');
-            
-            // Initialize Apify Dataset for storing results
-            this.dataset = await Dataset.open();
-            
-            // Create PlaywrightCrawler instance
-            this.crawler = new PlaywrightCrawler({
-                maxRequestsPerCrawl: this.options.maxRequestsPerCrawl,
-                maxConcurrency: this.options.maxConcurrency,
-                requestHandlerTimeoutSecs: this.options.requestHandlerTimeoutSecs,
-                navigationTimeoutSecs: this.options.navigationTimeoutSecs,
-                headless: this.options.headless,
-                useSessionPool: this.options.useSessionPool,
-                persistCookiesPerSession: this.options.persistCookiesPerSession,
-                maxRequestRetries: this.options.maxRequestRetries,
-                proxyConfiguration: this.options.proxyConfiguration,
+    createCrawler(type, overrides = {}) {
+        const crawlerOptions = {
+            maxRequestsPerCrawl: this.options.maxRequestsPerCrawl,
+            maxConcurrency: this.options.maxConcurrency,
+            requestHandlerTimeoutSecs: this.options.requestHandlerTimeoutSecs,
+            navigationTimeoutSecs: this.options.navigationTimeoutSecs,
+            useSessionPool: this.options.useSessionPool,
+            persistCookiesPerSession: this.options.persistCookiesPerSession,
+            maxRequestRetries: this.options.maxRequestRetries,
+            keepAlive: this.options.keepAlive,
+            proxyConfiguration: this.options.proxyConfiguration || undefined,
+            
+            // Wait for the origin's rate limit before navigating
+            preNavigationHooks: [
+                async ({ request, page, crawler }, navigationOptions) => {
+                    this.limitConcurrency(crawler, request.url);
+                    await this.scheduler.acquire(request.url, request.uniqueKey);
+                    request.userData = { ...request.userData, startTime: Date.now() };
+                    
+                    // Incremental mode: let the server answer 304 for pages that did not change
+                    if (this.changeTracker) {
+                        await this.addConditionalHeaders(request.url, page, navigationOptions);
+                    }
+                }
+            ],
+            
+            // Free the origin's slot and adapt its rate to the response
+            postNavigationHooks: [
+                async ({ request, response }) => {
+                    this.releaseRequestSlot(request, response);
+                }
+            ],
+            
+            // Failed navigations never reach the post-navigation hooks; Crawlee's
+            // retries of failed requests count against the retry budgets
+            errorHandler: async ({ request }, error) => {
+                this.releaseRequestSlot(request);
                 
-                // Request handler for processing pages
-                requestHandler: async ({ request, page, enqueueLinks, log }) => {
-                    await this.handleRequestWithErrorHandling({ request, page, enqueueLinks, log });
-                },
+                if (!this.errorHandler.retryPolicy.consumeRetryBudget(categorizeError(error))) {
+                    request.noRetry = true;
+                    console.warn(`🪫 Not retrying ${request.url}: ${categorizeError(error)} retry budget used up`);
+                }
+            },
+            
+            // Failed request handler
+            failedRequestHandler: async ({ request, error }) => {
+                this.releaseRequestSlot(request);
+                await this.handleFailedRequestWithRecovery({ request, error });
+            },
+            
+            ...overrides
+        };
+        
+        if (type === CrawlerType.HTTP) {
+            const crawler = new CheerioCrawler({
+                ...crawlerOptions,
                 
-                // Failed request handler
-                failedRequestHandler: async ({ request, error }) => {
-                    await this.handleFailedRequestWithRecovery({ request, error });
+                // Request handler for processing static pages
+                requestHandler: async ({ request, response, body, $, enqueueLinks, log }) => {
+                    await this.handleRequestWithErrorHandling({ request, response, body, $, enqueueLinks, log });
                 }
             });
             
-            console.log('✅ Web crawler initialized successfully');
+            // 304 responses have no body or Content-Type, which Crawlee's own
+            // post-navigation check rejects; label them as HTML ahead of it
+            crawler.postNavigationHooks.unshift(({ response }) => {
+                if (response?.statusCode === 304) {
+                    response.headers['content-type'] = 'text/html';
+                }
+            });
             
-        } catch (error) {
-            console.error('❌ Failed to initialize web crawler:', error.message);
-            throw new WebCrawlerError(`Failed to initialize crawler: ${error.message}`, '', error);
+            return crawler;
         }
+        
+        return new PlaywrightCrawler({
+            ...crawlerOptions,
+            headless: this.options.headless,
+            
+            // Request handler for processing pages
+            requestHandler: async ({ request, page, response, enqueueLinks, log }) => {
+                await this.handleRequestWithErrorHandling({ request, page, response, enqueueLinks, log });
+            }
+        });
+    }
+    
+    /**
+     * Frees the request's slot in the politeness scheduler, passing on the
+     * response so rate-limited origins are backed off
+     * @param {Object} request - Crawlee request
+     * @param {Object} response - Navigation response (none if navigation failed)
+     */
+    releaseRequestSlot(request, response = null) {
+        this.scheduler.release(request.uniqueKey, {
+            statusCode: this.getResponseInfo(response).statusCode,
+            headers: this.getResponseHeaders(response)
+        });
+    }
+
+    /**
+     * Adds If-None-Match / If-Modified-Since from the previous run to the
+     * navigation of a known page. The browser only sends them with the
+     * page's own request, so its subresources are loaded as usual.
+     * @param {string} url - URL about to be requested
+     * @param {Object} page - Playwright page (none for HTTP crawling)
+     * @param {Object} navigationOptions - got options for HTTP crawling
+     */
+    async addConditionalHeaders(url, page, navigationOptions) {
+        const conditionalHeaders = this.changeTracker.getConditionalHeaders(this.urlFilter.normalizeUrl(url));
+        if (Object.keys(conditionalHeaders).length === 0) {
+            return;
+        }
+
+        if (!page) {
+            navigationOptions.headers = { ...navigationOptions.headers, ...conditionalHeaders };
+            return;
+        }
+
+        await page.route(url, route => {
+            if (!route.request().isNavigationRequest()) {
+                return route.fallback();
+            }
+            return route.continue({ headers: { ...route.request().headers(), ...conditionalHeaders } });
+        }, { times: 1 });
+    }
+
+    /**
+     * Caps the crawler's concurrency while an origin's requests are spaced
+     * so far apart that queued requests would wait past half the request
+     * handler timeout (the wait counts against it), and restores it once
+     * the origin's rate recovers
+     * @param {BasicCrawler} crawler - Crawlee crawler running the request
+     * @param {string} url - URL about to be requested
+     */
+    limitConcurrency(crawler, url) {
+        const pool = crawler?.autoscaledPool;
+        if (!pool) {
+            return;
+        }
+        
+        const intervalMs = this.scheduler.getIntervalMs(url);
+        const budgetMs = this.options.requestHandlerTimeoutSecs * 1000 / 2;
+        const limit = intervalMs > 0 ? Math.max(1, Math.floor(budgetMs / intervalMs)) : Infinity;
+        const maxConcurrency = Math.min(this.options.maxConcurrency, limit);
+        
+        if (pool.maxConcurrency === maxConcurrency) {
+            return;
+        }
+        
+        if (maxConcurrency < pool.maxConcurrency) {
+            console.log(`🐢 Lowering concurrency to ${maxConcurrency}: ${new URL(url).origin} allows one request every ${(intervalMs / 1000).toFixed(1)}s`);
+        }
+        
+        pool.maxConcurrency = maxConcurrency;
+        pool.desiredConcurrency = Math.min(pool.desiredConcurrency, maxConcurrency);
     }
     
     /**
      * Starts crawling with the provided start URLs
+     * @param {Array} startUrls - Start URLs (strings or request objects)
+     * @param {Object} handlers - Page handlers ({ onPage, onFailure })
+     * @returns {Promise<CrawlingStats>} - Crawling statistics
      */
-    async crawl(startUrls) {
+    async crawl(startUrls, handlers = {}) {
         if (!this.crawler) {
             throw new WebCrawlerError('Crawler not initialized. Call initialize() first.');
         }
@@ -315,20 +564,57 @@ export class WebCrawler {
             throw new WebCrawlerError('Start URLs must be a non-empty array');
         }
         
+        this.handlers = handlers;
+        
         try {
             console.log(`🕷️ Starting crawl with ${startUrls.length} URLs...`);
             
+            const urls = startUrls.map(item => (typeof item === 'string' ? item : item.url));
+            
             // Add base URLs to filter for depth calculation
-            this.urlFilter.addBaseUrls(startUrls);
+            this.urlFilter.addBaseUrls(urls);
+            
+            // Load robots.txt rules before anything is enqueued
+            if (this.robotsTxt) {
+                await Promise.all(urls.map(url => this.robotsTxt.load(url)));
+            }
+            
+            const requests = startUrls
+                .filter((item, index) => this.isAllowedByRobots(urls[index]))
+                .map(item => this.toRequest(typeof item === 'string' ? { url: item } : item));
+            
+            // Seed the queue with sitemap URLs when enabled
+            if (this.options.useSitemaps) {
+                requests.push(...await this.loadSitemapRequests(urls));
+            }
+            
+            // Incremental mode: revisit pages known from previous runs
+            if (this.changeTracker) {
+                requests.push(...this.loadKnownRequests());
+            }
             
             // Start crawling
-            await this.crawler.run(startUrls);
+            await this.crawler.run(requests);
+            
+            // Auto mode: render pages that came back empty without JavaScript
+            if (this.browserFallbackRequests.length > 0) {
+                await this.runBrowserFallback();
+            }
+            
+            this.stats.requestLimitReached =
+                this.stats.totalRequests + this.stats.failedRequests >= this.options.maxRequestsPerCrawl;
+            
+            const schedulerStats = this.scheduler.getStats();
+            this.stats.throttledRequests = schedulerStats.throttledRequests;
+            this.stats.rateLimitedResponses = schedulerStats.rateLimitedResponses;
+            
+            this.robotsTxt?.warnings.forEach(warning => this.stats.addWarning(warning));
             
             // Mark crawling as complete
             this.stats.complete();
             
             console.log(`✅ Crawling completed in ${this.stats.getDuration()}s`);
-            console.log(`📊 Processed ${this.stats.processedPages} pages, extracted ${this.stats.extractedChunks} chunks`);
+            console.log(`📊 Fetched ${this.stats.successfulRequests} pages, enqueued ${this.stats.enqueuedUrls} URLs`);
             
             return this.stats;
             
@@ -340,16 +626,203 @@ export class WebCrawler {
         }
     }
     
+    /**
+     * Keys a request by its normalized URL so equivalent URLs are crawled once
+     * @param {Object} request - Request ({ url, userData })
+     * @returns {Object} - Request with the fragment removed and a uniqueKey
+     */
+    toRequest(request) {
+        const url = this.urlNormalizer.stripFragment(request.url);
+        
+        return {
+            ...request,
+            url,
+            uniqueKey: request.uniqueKey || this.urlFilter.normalizeUrl(url)
+        };
+    }
+    
+    /**
+     * Resolves the canonical URL of a fetched page: the normalized
+     * `rel="canonical"` URL it declares, or its own normalized URL
+     * @param {string} url - Page URL
+     * @param {string} content - Page HTML
+     * @param {Object} response - Navigation response
+     * @returns {string} - Normalized canonical URL
+     */
+    resolveCanonicalUrl(url, content, response) {
+        return this.urlNormalizer.resolveCanonical(url, content, this.getResponseHeaders(response).link)
+            || this.urlFilter.normalizeUrl(url);
+    }
+    
+    /**
+     * Claims a page's normalized and canonical URL for it, unless another
+     * page already claimed one of them (retries of the same page succeed)
+     * @param {string} url - Page URL
+     * @param {string} canonicalUrl - Normalized canonical URL
+     * @returns {boolean} - False if the page duplicates a page already crawled
+     */
+    claimCanonicalUrl(url, canonicalUrl) {
+        const key = this.urlFilter.normalizeUrl(url);
+        
+        for (const candidate of [key, canonicalUrl]) {
+            const owner = this.canonicalOwners.get(candidate);
+            if (owner && owner !== key) {
+                return false;
+            }
+        }
+        
+        this.canonicalOwners.set(key, key);
+        this.canonicalOwners.set(canonicalUrl, key);
+        return true;
+    }
+    
+    /**
+     * Re-fetches pages that need JavaScript with the browser crawler
+     */
+    async runBrowserFallback() {
+        const requests = this.browserFallbackRequests;
+        this.browserFallbackRequests = [];
+        
+        console.log(`🌐 Rendering ${requests.length} pages that need JavaScript in the browser...`);
+        
+        this.browserCrawler = this.createCrawler(CrawlerType.PLAYWRIGHT, {
+            maxRequestsPerCrawl: Math.max(1, this.options.maxRequestsPerCrawl - this.stats.totalRequests)
+        });
+        
+        await this.browserCrawler.run(requests);
+    }
+    
+    /**
+     * Checks whether a statically fetched page needs a browser to render its content
+     * @param {CheerioAPI} $ - Parsed page
+     * @returns {boolean} - True if the page has little visible text but runs scripts
+     */
+    needsBrowserRendering($) {
+        if ($('script').length === 0) {
+            return false;
+        }
+        
+        const body = $('body').clone();
+        body.find('script, style, noscript, template, svg').remove();
+        const textLength = body.text().replace(/\s+/g, ' ').trim().length;
+        
+        return textLength < this.options.minStaticTextLength;
+    }
+    
+    /**
+     * Checks a start URL against robots.txt, recording it when disallowed
+     * @param {string} url - Start URL
+     * @returns {boolean} - True if the URL may be crawled
+     */
+    isAllowedByRobots(url) {
+        if (!this.robotsTxt || this.robotsTxt.isAllowed(url)) {
+            return true;
+        }
+        
+        this.stats.robotsDisallowedUrls++;
+        this.stats.addWarning('Start URL disallowed by robots.txt', url);
+        console.warn(`🤖 Skipping ${url}: disallowed by robots.txt`);
+        return false;
+    }
+    
+    /**
+     * Loads sitemap URLs for the start URLs' sites and turns them into requests
+     * @param {string[]} urls - Start URLs
+     * @returns {Promise<Array>} - Requests at depth 0 carrying the sitemap lastmod
+     */
+    async loadSitemapRequests(urls) {
+        const hostnames = new Set(urls.map(url => {
+            try {
+                return new URL(url).hostname;
+            } catch {
+                return null;
+            }
+        }).filter(Boolean));
+        
+        const loader = createSitemapLoader({
+            maxUrls: this.options.maxSitemapUrls || this.options.maxRequestsPerCrawl,
+            robotsTxt: this.robotsTxt || undefined
+        });
+        
+        console.log('🗺️ Discovering sitemaps...');
+        const { entries, sitemaps, warnings } = await loader.load(urls);
+        warnings.forEach(warning => this.stats.addWarning(warning));
+        
+        const requests = [];
+        for (const entry of entries) {
+            let url;
+            try {
+                url = this.urlNormalizer.stripFragment(entry.url);
+                if (!hostnames.has(new URL(url).hostname)) {
+                    this.stats.filteredUrls++;
+                    continue;
+                }
+            } catch {
+                this.stats.filteredUrls++;
+                continue;
+            }
+            
+            const depth = this.urlFilter.getDepth(url, 0);
+            const filterResult = this.urlFilter.shouldCrawl(url, depth);
+            if (!filterResult.allowed) {
+                if (filterResult.reason === 'depth_exceeded') {
+                    this.stats.depthExceededUrls++;
+                } else if (filterResult.reason === 'robots_disallowed') {
+                    this.stats.robotsDisallowedUrls++;
+                } else {
+                    this.stats.filteredUrls++;
+                }
+                continue;
+            }
+            
+            requests.push(this.toRequest({
+                url,
+                userData: {
+                    depth,
+                    ...(entry.lastmod && { lastmod: entry.lastmod })
+                }
+            }));
+        }
+        
+        this.stats.sitemapUrls = requests.length;
+        console.log(`🗺️ Seeded ${requests.length} URLs from ${sitemaps.length} sitemaps`);
+        
+        return requests;
+    }
+    
+    /**
+     * Turns pages known from previous runs into requests at their stored
+     * depth (recomputed in path mode)
+     * @returns {Array} - Requests for known pages that still pass the URL filter
+     */
+    loadKnownRequests() {
+        const requests = [];
+        
+        for (const known of this.changeTracker.getKnownPages()) {
+            const { url } = known;
+            const depth = this.urlFilter.getDepth(url, known.depth);
+            if (this.urlFilter.shouldCrawl(url, depth).allowed) {
+                requests.push(this.toRequest({ url, userData: { depth } }));
+            }
+        }
+        
+        this.stats.knownUrls = requests.length;
+        console.log(`🗂️ Seeded ${requests.length} URLs known from previous runs`);
+        
+        return requests;
+    }
+    
     /**
      * Handles individual page requests with comprehensive error handling
      */
-    async handleRequestWithErrorHandling({ request, page, enqueueLinks, log }) {
+    async handleRequestWithErrorHandling(context) {
+        const { request, page } = context;
         const url = request.url;
         const operationId = `page-request-${url}`;
         
         const result = await this.errorHandler.executeWithErrorHandling(
             async () => {
-                return await this.handleRequest({ request, page, enqueueLinks, log });
+                return await this.handleRequest(context);
             },
             operationId,
             { 
@@ -384,36 +857,125 @@ export class WebCrawler {
 
     /**
      * Core request handling logic (wrapped by error handler)
+     * @param {Object} context - Crawling context ({ request, response, enqueueLinks, log } plus
+     *                           `page` for the browser or `body` and `$` for HTTP)
      */
-    async handleRequest({ request, page, enqueueLinks, log }) {
+    async handleRequest({ request, page, response, body, $, enqueueLinks, log }) {
         const url = request.url;
         
+        // Incremental mode: the server reported the page as not modified
+        if (this.changeTracker && this.getResponseInfo(response).statusCode === 304) {
+            this.stats.totalRequests++;
+            this.stats.notModifiedUrls++;
+            this.stats.recordDepth(request.userData.depth || 0);
+            
+            if (this.handlers?.onPage) {
+                await this.handlers.onPage({ url, html: null, title: '', notModified: true, userData: request.userData });
+            }
+            
+            this.stats.successfulRequests++;
+            return;
+        }
+        
+        // Auto mode: hand pages that render client-side over to the browser pass
+        if (!page && this.options.crawlerType === CrawlerType.AUTO && this.needsBrowserRendering($)) {
+            log.info(`Page needs JavaScript, deferring to browser: ${url}`);
+            this.stats.browserFallbackUrls++;
+            this.browserFallbackRequests.push({
+                url,
+                uniqueKey: `${request.uniqueKey}#browser`,
+                userData: { ...request.userData, fetchedWith: CrawlerType.PLAYWRIGHT }
+            });
+            return;
+        }
+        
         this.stats.totalRequests++;
         
         log.info(`Processing page: ${url}`);
         
         // Wait for dynamic content if enabled
-        if (this.options.waitForDynamicContent) {
+        if (page && this.options.waitForDynamicContent) {
             await this.waitForDynamicContentWithRetry(page, url);
         }
         
         // Extract page content with error handling
-        const content = await this.extractPageContentWithRetry(page, url);
+        const content = await this.extractPageContentWithRetry(
+            page ? () => page.content() : () => (typeof body === 'string' ? body : body.toString()),
+            url
+        );
         
-        // Process content if extractors are available
-        if (this.contentExtractor && this.textProcessor) {
-            await this.processPageContentWithErrorHandling(url, content);
-        } else {
-            console.warn(`No content processors configured for ${url}`);
-            this.stats.addWarning('No content processors configured', url);
+        // Skip pages that another URL of the same page (or its canonical URL) already covered
+        const canonicalUrl = this.resolveCanonicalUrl(url, content, response);
+        if (!this.claimCanonicalUrl(url, canonicalUrl)) {
+            log.info(`Skipping duplicate of ${canonicalUrl}: ${url}`);
+            // The page is crawled under another URL; known state of this URL is not deleted
+            this.changeTracker?.markSeen(this.urlFilter.normalizeUrl(url));
+            this.changeTracker?.markSeen(canonicalUrl);
+            this.stats.canonicalDuplicateUrls++;
+            this.stats.successfulRequests++;
+            return;
         }
         
-        // Discover and enqueue new links
-        await this.discoverLinksWithErrorHandling({ page, enqueueLinks, currentUrl: url, currentDepth: request.userData?.depth || 0 });
+        // Discover links before processing so pages with little content still lead somewhere
+        await this.discoverLinksWithErrorHandling({ enqueueLinks, currentUrl: url, currentDepth: request.userData?.depth || 0 });
+        
+        if (typeof content !== 'string') {
+            this.stats.addWarning(`Page content unavailable: ${content?.reason || 'unknown reason'}`, url);
+            return;
+        }
+        
+        this.stats.recordDepth(request.userData?.depth || 0);
+        
+        // Hand the fetched page to the pipeline
+        if (this.handlers?.onPage) {
+            await this.handlers.onPage({
+                url,
+                html: content,
+                title: page ? await page.title().catch(() => '') : $('title').first().text().trim(),
+                canonicalUrl,
+                ...this.getResponseInfo(response),
+                userData: request.userData || {}
+            });
+        } else {
+            console.warn(`No page handler configured for ${url}`);
+            this.stats.addWarning('No page handler configured', url);
+        }
         
         this.stats.successfulRequests++;
     }
 
+    /**
+     * Reads the status code and cache validators of a navigation response
+     * @param {Object} response - Playwright Response or HTTP response
+     * @returns {Object} - { statusCode, etag, lastModified }
+     */
+    getResponseInfo(response) {
+        if (!response) {
+            return { statusCode: null, etag: null, lastModified: null };
+        }
+        
+        const headers = this.getResponseHeaders(response);
+        
+        return {
+            statusCode: typeof response.status === 'function' ? response.status() : response.statusCode ?? null,
+            etag: headers.etag || null,
+            lastModified: headers['last-modified'] || null
+        };
+    }
+    
+    /**
+     * Reads the headers of a navigation response
+     * @param {Object} response - Playwright Response or HTTP response
+     * @returns {Object} - Lowercase header names → values (empty without a response)
+     */
+    getResponseHeaders(response) {
+        if (!response) {
+            return {};
+        }
+        
+        return (typeof response.headers === 'function' ? response.headers() : response.headers) || {};
+    }
+
     /**
      * Waits for dynamic content with retry logic
      */
@@ -442,13 +1004,15 @@ export class WebCrawler {
 
     /**
      * Extracts page content with retry logic
+     * @param {Function} getContent - Returns the page HTML (browser or HTTP response)
+     * @param {string} url - Page URL
      */
-    async extractPageContentWithRetry(page, url) {
+    async extractPageContentWithRetry(getContent, url) {
         const operationId = `content-extraction-${url}`;
         
         return await this.errorHandler.executeWithErrorHandling(
             async () => {
-                const content = await page.content();
+                const content = await getContent();
                 
                 if (!content || content.length < 100) {
                     throw new CrawlerError(
@@ -466,141 +1030,15 @@ export class WebCrawler {
         );
     }
     
-    /**
-     * Processes page content with comprehensive error handling
-     */
-    async processPageContentWithErrorHandling(url, htmlContent) {
-        const operationId = `content-processing-${url}`;
-        
-        const result = await this.errorHandler.executeWithErrorHandling(
-            async () => {
-                return await this.processPageContent(url, htmlContent);
-            },
-            operationId,
-            { url, contentLength: htmlContent?.length || 0 }
-        );
-        
-        if (result && result.skipped) {
-            this.stats.addWarning(`Content processing skipped: ${result.reason}`, url);
-        }
-    }
-
-    /**
-     * Core content processing logic (wrapped by error handler)
-     */
-    async processPageContent(url, htmlContent) {
-        console.log(`📄 Processing content for ${url}`);
-        
-        // Extract clean content with fallback handling
-        const extractionResult = await this.extractContentWithFallback(url, htmlContent);
-        
-        if (!extractionResult.success || !extractionResult.markdown) {
-            throw new CrawlerError(
-                'Content extraction failed completely',
-                ErrorCategory.EXTRACTION,
-                ErrorSeverity.MEDIUM,
-                { url, fallbackUsed: extractionResult.fallbackUsed }
-            );
-        }
-        
-        // Process text (chunk and add metadata)
-        const processingResult = await this.processTextWithRetry(url, extractionResult);
-        
-        if (!processingResult.success || processingResult.chunks.length === 0) {
-            throw new CrawlerError(
-                'Text processing failed',
-                ErrorCategory.PROCESSING,
-                ErrorSeverity.MEDIUM,
-                { url, markdown: extractionResult.markdown?.substring(0, 200) }
-            );
-        }
-        
-        // Store results in dataset
-        await this.storeResultsWithRetry(url, processingResult);
-        
-        this.stats.processedPages++;
-        this.stats.extractedChunks += processingResult.chunks.length;
-        this.stats.totalTokens += processingResult.tokenEstimation?.totalTokens || 0;
-        
-        return processingResult;
-    }
-
-    /**
-     * Extracts content with fallback mechanisms
-     */
-    async extractContentWithFallback(url, htmlContent) {
-        try {
-            // Primary extraction attempt
-            const result = await this.contentExtractor.extract(htmlContent, { url });
-            if (result.success && result.markdown) {
-                return result;
-            }
-        } catch (error) {
-            console.warn(`Primary content extraction failed for ${url}, trying fallback`);
-        }
-        
-        // Fallback: try with different extraction settings
-        try {
-            const fallbackResult = await this.contentExtractor.extract(htmlContent, { 
-                url, 
-                fallback: true,
-                minContentLength: 50 // Lower threshold for fallback
-            });
-            
-            if (fallbackResult.success && fallbackResult.markdown) {
-                fallbackResult.fallbackUsed = true;
-                return fallbackResult;
-            }
-        } catch (error) {
-            console.warn(`Fallback content extraction also failed for ${url}`);
-        }
-        
-        return { success: false, fallbackUsed: true };
-    }
-
-    /**
-     * Processes text with retry logic
-     */
-    async processTextWithRetry(url, extractionResult) {
-        const operationId = `text-processing-${url}`;
-        
-        return await this.errorHandler.executeWithErrorHandling(
-            async () => {
-                return await this.textProcessor.process(extractionResult.markdown, {
-                    sourceUrl: url,
-                    title: extractionResult.title || '',
-                    extractedAt: new Date().toISOString()
-                });
-            },
-            operationId,
-            { url, markdownLength: extractionResult.markdown?.length || 0 }
-        );
-    }
-
-    /**
-     * Stores results with retry logic
-     */
-    async storeResultsWithRetry(url, processingResult) {
-        const operationId = `result-storage-${url}`;
-        
-        return await this.errorHandler.executeWithErrorHandling(
-            async () => {
-                return await this.storeResults(url, processingResult);
-            },
-            operationId,
-            { url, chunkCount: processingResult.chunks?.length || 0 }
-        );
-    }
-    
     /**
      * Discovers and enqueues new links with error handling
      */
-    async discoverLinksWithErrorHandling({ page, enqueueLinks, currentUrl, currentDepth }) {
+    async discoverLinksWithErrorHandling({ enqueueLinks, currentUrl, currentDepth }) {
         const operationId = `link-discovery-${currentUrl}`;
         
         const result = await this.errorHandler.executeWithErrorHandling(
             async () => {
-                return await this.discoverLinks({ page, enqueueLinks, currentUrl, currentDepth });
+                return await this.discoverLinks({ enqueueLinks, currentUrl, currentDepth });
             },
             operationId,
             { url: currentUrl, depth: currentDepth }
@@ -614,21 +1052,37 @@ export class WebCrawler {
     /**
      * Core link discovery logic (wrapped by error handler)
      */
-    async discoverLinks({ page, enqueueLinks, currentUrl, currentDepth }) {
+    async discoverLinks({ enqueueLinks, currentUrl, currentDepth }) {
         const nextDepth = currentDepth + 1;
         
+        // Make sure robots.txt rules for this origin are available to the filter
+        if (this.robotsTxt) {
+            await this.robotsTxt.load(currentUrl);
+        }
+        
         // Use Crawlee's enqueueLinks with custom filtering
-        await enqueueLinks({
+        const { processedRequests } = await enqueueLinks({
             selector: 'a[href]',
             transformRequestFunction: (req) => {
                 try {
-                    const url = this.urlFilter.normalizeUrl(req.url);
-                    const filterResult = this.urlFilter.shouldCrawl(url, nextDepth);
+                    const url = this.urlNormalizer.stripFragment(req.url);
+                    const uniqueKey = this.urlFilter.normalizeUrl(url);
+                    
+                    // Already covered as the canonical URL of a page crawled under another URL
+                    const owner = this.canonicalOwners.get(uniqueKey);
+                    if (owner && owner !== uniqueKey) {
+                        return false;
+                    }
+                    
+                    const depth = this.urlFilter.getDepth(url, nextDepth);
+                    const filterResult = this.urlFilter.shouldCrawl(url, depth);
                     
                     if (!filterResult.allowed) {
                         // Track filtered URLs
                         if (filterResult.reason === 'depth_exceeded') {
                             this.stats.depthExceededUrls++;
+                        } else if (filterResult.reason === 'robots_disallowed') {
+                            this.stats.robotsDisallowedUrls++;
                         } else {
                             this.stats.filteredUrls++;
                         }
@@ -636,7 +1090,9 @@ export class WebCrawler {
                     }
                     
                     // Add depth information to request
-                    req.userData = { depth: nextDepth };
+                    req.url = url;
+                    req.uniqueKey = uniqueKey;
+                    req.userData = { ...req.userData, depth };
                     return req;
                 } catch (error) {
                     // Log URL filtering errors but don't fail the entire operation
@@ -645,41 +1101,8 @@ export class WebCrawler {
                 }
             }
         });
-    }
-    
-    /**
-     * Stores processing results in the dataset
-     */
-    async storeResults(url, processingResult) {
-        try {
-            const records = processingResult.chunks.map((chunk, index) => ({
-                url,
-                title: chunk.metadata.title || '',
-                content: chunk.content,
-                markdown: chunk.content, // Keep both for compatibility
-                chunkIndex: index,
-                totalChunks: processingResult.chunks.length,
-                chunkSize: chunk.length,
-                tokenCount: chunk.metadata.tokenCount || 0,
-                extractedAt: chunk.metadata.extractedAt || new Date().toISOString(),
-                metadata: {
-                    sourceUrl: url,
-                    chunkId: `${url}#chunk-${index}`,
-                    hasOverlap: chunk.metadata.hasOverlapStart || chunk.metadata.hasOverlapEnd || false,
-                    processingStats: {
-                        originalLength: processingResult.originalLength || 0,
-                        chunkingMethod: 'recursive-character-splitter',
-                        tokenEstimation: chunk.metadata.tokenCount || 0
-                    }
-                }
-            }));
-            
-            await this.dataset.pushData(records);
-            
-        } catch (error) {
-            this.stats.addError(error, url);
-            console.error(`Failed to store results for ${url}:`, error.message);
-        }
+        
+        this.stats.enqueuedUrls += processedRequests.filter(item => !item.wasAlreadyPresent).length;
     }
     
     /**
@@ -688,13 +1111,14 @@ export class WebCrawler {
     async handleFailedRequestWithRecovery({ request, error }) {
         const url = request.url;
         const category = categorizeError(error);
+        const statusCode = getErrorStatusCode(error);
         
         // Create a proper CrawlerError
         const crawlerError = new CrawlerError(
             error.message,
             category,
             this.getErrorSeverity(category),
-            { url, retryCount: request.retryCount || 0 }
+            { url, retryCount: request.retryCount || 0, ...(statusCode && { statusCode }) }
         );
         
         this.stats.failedRequests++;
@@ -714,6 +1138,11 @@ export class WebCrawler {
             await this.performMemoryCleanup();
             console.log('🧹 Performed memory cleanup due to memory error');
         }
+        
+        // Let the pipeline record the failure
+        if (this.handlers?.onFailure) {
+            await this.handlers.onFailure({ url, error: crawlerError, retryCount: request.retryCount || 0 });
+        }
     }
 
     /**
@@ -725,8 +1154,11 @@ export class WebCrawler {
                 return ErrorSeverity.HIGH;
             case ErrorCategory.NETWORK:
             case ErrorCategory.TIMEOUT:
+            case ErrorCategory.SERVER_ERROR:
+            case ErrorCategory.TLS:
                 return ErrorSeverity.MEDIUM;
             case ErrorCategory.RATE_LIMIT:
+            case ErrorCategory.CLIENT_ERROR:
                 return ErrorSeverity.LOW;
             default:
                 return ErrorSeverity.MEDIUM;
@@ -765,6 +1197,12 @@ export class WebCrawler {
                 return '⏱️';
             case ErrorCategory.RATE_LIMIT:
                 return '🚦';
+            case ErrorCategory.CLIENT_ERROR:
+                return '🚫';
+            case ErrorCategory.SERVER_ERROR:
+                return '🔥';
+            case ErrorCategory.TLS:
+                return '🔒';
             case ErrorCategory.MEMORY:
                 return '💾';
             case ErrorCategory.PARSING:
@@ -803,11 +1241,6 @@ export class WebCrawler {
                 global.gc();
             }
             
-            // Clear any internal caches
-            if (this.dataset && typeof this.dataset.clearCache === 'function') {
-                await this.dataset.clearCache();
-            }
-            
             // Wait for cleanup to complete
             await new Promise(resolve => setTimeout(resolve, 1000));
             
@@ -824,8 +1257,7 @@ export class WebCrawler {
             ...this.stats,
             duration: this.stats.getDuration(),
             successRate: this.stats.getSuccessRate(),
-            pagesPerSecond: this.stats.getDuration() > 0 ? Math.round(this.stats.processedPages / this.stats.getDuration()) : 0,
-            chunksPerPage: this.stats.processedPages > 0 ? Math.round(this.stats.extractedChunks / this.stats.processedPages) : 0
+            pagesPerSecond: this.stats.getDuration() > 0 ? Math.round(this.stats.successfulRequests / this.stats.getDuration()) : 0
         };
     }
     
@@ -834,8 +1266,10 @@ export class WebCrawler {
      */
     async cleanup() {
         try {
-            if (this.crawler && typeof this.crawler.teardown === 'function') {
-                await this.crawler.teardown();
+            for (const crawler of [this.crawler, this.browserCrawler]) {
+                if (crawler && typeof crawler.teardown === 'function') {
+                    await crawler.teardown();
+                }
             }
             console.log('🧹 Crawler cleanup completed');
         } catch (error) {
@@ -854,12 +1288,12 @@ export function createWebCrawler(options = {}) {
 /**
  * Convenience function to crawl URLs with default settings
  */
-export async function crawlUrls(startUrls, options = {}) {
+export async function crawlUrls(startUrls, options = {}, handlers = {}) {
     const crawler = createWebCrawler(options);
     await crawler.initialize();
     
     try {
-        const stats = await crawler.crawl(startUrls);
+        const stats = await crawler.crawl(startUrls, handlers);
         return { success: true, stats };
     } finally {
         await crawler.cleanup();
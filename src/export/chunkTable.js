@@ -0,0 +1,127 @@
+/**
+ * Chunk Table for RAG Spider
+ *
+ * This module flattens page records into a chunk table (one row per chunk)
+ * and serializes it as CSV or Parquet for analytics tools such as DuckDB
+ * and Spark. Nested chunk metadata is kept in a JSON `metadata` column.
+ *
+ * Requirements: 2.4
+ */
+
+import { parquetWriteBuffer } from 'hyparquet-writer';
+import { ExportFormat } from './formats.js';
+
+/**
+ * Columns of the chunk table with their Parquet types
+ */
+export const CHUNK_TABLE_COLUMNS = [
+    { name: 'url', type: 'STRING' },
+    { name: 'canonicalUrl', type: 'STRING' },
+    { name: 'title', type: 'STRING' },
+    { name: 'documentId', type: 'STRING' },
+    { name: 'chunkId', type: 'STRING' },
+    { name: 'chunkIndex', type: 'INT32' },
+    { name: 'totalChunks', type: 'INT32' },
+    { name: 'content', type: 'STRING' },
+    { name: 'tokens', type: 'INT32' },
+    { name: 'wordCount', type: 'INT32' },
+    { name: 'characterCount', type: 'INT32' },
+    { name: 'headingPath', type: 'STRING' },
+    { name: 'contentType', type: 'STRING' },
+    { name: 'tokenModel', type: 'STRING' },
+    { name: 'tokenizer', type: 'STRING' },
+    { name: 'lastmod', type: 'STRING' },
+    { name: 'crawledAt', type: 'TIMESTAMP' },
+    { name: 'duplicateOf', type: 'STRING' },
+    { name: 'metadata', type: 'JSON' }
+];
+
+/**
+ * Converts a page record to chunk table rows
+ * @param {Object} record - Page record with chunks
+ * @returns {Object[]} - Rows keyed by column name
+ */
+export function toChunkRows(record) {
+    return record.chunks.map(chunk => {
+        const metadata = chunk.metadata || {};
+
+        return {
+            url: record.url,
+            canonicalUrl: record.canonicalUrl || metadata.source?.canonicalUrl || null,
+            title: record.title || '',
+            documentId: record.documentId || chunk.documentId,
+            chunkId: chunk.chunkId,
+            chunkIndex: chunk.chunkIndex,
+            totalChunks: record.totalChunks,
+            content: chunk.content,
+            tokens: chunk.tokens ?? null,
+            wordCount: chunk.wordCount ?? null,
+            characterCount: chunk.content.length,
+            headingPath: metadata.headingPath || null,
+            contentType: metadata.content?.contentType || null,
+            tokenModel: metadata.tokens?.model || null,
+            tokenizer: metadata.tokens?.tokenizer || null,
+            lastmod: metadata.source?.lastmod || null,
+            crawledAt: metadata.source?.crawledAt || null,
+            duplicateOf: chunk.duplicateOf || null,
+            metadata
+        };
+    });
+}
+
+/**
+ * Escapes a value for a CSV field (RFC 4180)
+ * @param {*} value - Field value
+ * @returns {string} - Escaped field
+ */
+function toCsvField(value) {
+    if (value === null || value === undefined) {
+        return '';
+    }
+
+    const text = typeof value === 'object' ? JSON.stringify(value) : String(value);
+    return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+/**
+ * Serializes chunk rows as CSV with a header row
+ * @param {Object[]} rows - Chunk table rows
+ * @param {Object[]} columns - Table columns
+ * @returns {Buffer} - UTF-8 CSV
+ */
+export function toCsv(rows, columns = CHUNK_TABLE_COLUMNS) {
+    const lines = [columns.map(column => column.name).join(',')];
+
+    for (const row of rows) {
+        lines.push(columns.map(column => toCsvField(row[column.name])).join(','));
+    }
+
+    return Buffer.from(`${lines.join('\r\n')}\r\n`, 'utf8');
+}
+
+/**
+ * Serializes chunk rows as a Parquet file (Snappy-compressed)
+ * @param {Object[]} rows - Chunk table rows
+ * @param {Object[]} columns - Table columns
+ * @returns {Buffer} - Parquet file
+ */
+export function toParquet(rows, columns = CHUNK_TABLE_COLUMNS) {
+    const columnData = columns.map(({ name, type }) => ({
+        name,
+        type,
+        data: rows.map(row => {
+            const value = row[name] ?? null;
+            return type === 'TIMESTAMP' && value !== null ? new Date(value) : value;
+        })
+    }));
+
+    return Buffer.from(parquetWriteBuffer({ columnData }));
+}
+
+/**
+ * Table serializers by export format
+ */
+export const TABLE_SERIALIZERS = {
+    [ExportFormat.CSV]: { fileName: 'chunks.csv', contentType: 'text/csv; charset=utf-8', serialize: toCsv },
+    [ExportFormat.PARQUET]: { fileName: 'chunks.parquet', contentType: 'application/vnd.apache.parquet', serialize: toParquet }
+};
@@ -0,0 +1,281 @@
+/**
+ * Export Sink for RAG Spider
+ *
+ * This module provides a pipeline sink that writes chunks as JSONL files
+ * in one or more export formats (see formats.js) and as CSV/Parquet chunk
+ * tables (see chunkTable.js), either to a key-value store or to local
+ * disk. Only records that carry chunks are exported;
+ * status records (failures, unchanged and deleted pages) are skipped.
+ *
+ * Requirements: 2.4
+ */
+
+import { mkdir, open, writeFile } from 'node:fs/promises';
+import { join, resolve } from 'node:path';
+import { KeyValueStore } from 'crawlee';
+import { EXPORT_FORMATTERS } from './formats.js';
+import { TABLE_SERIALIZERS, toChunkRows } from './chunkTable.js';
+
+/**
+ * Export destinations
+ */
+export const ExportDestination = {
+    KEY_VALUE_STORE: 'key-value-store',
+    DISK: 'disk'
+};
+
+/**
+ * Default configuration for exports
+ */
+const DEFAULT_EXPORT_OPTIONS = {
+    formats: [],
+    destination: ExportDestination.KEY_VALUE_STORE,
+    directory: './exports',
+    storeName: null,
+    // Key-value store records are split into parts of at most this size
+    maxPartBytes: 8 * 1024 * 1024
+};
+
+/**
+ * Error class for export failures
+ */
+export class ExportError extends Error {
+    constructor(message, format = '', originalError = null) {
+        super(message);
+        this.name = 'ExportError';
+        this.format = format;
+        this.originalError = originalError;
+    }
+}
+
+/**
+ * Writes JSONL parts to a key-value store as `<format>-0001.jsonl`, ...
+ */
+export class KeyValueStoreWriter {
+    constructor(options = {}) {
+        this.storeName = options.storeName || null;
+        this.store = options.store || null;
+        this.maxPartBytes = options.maxPartBytes || DEFAULT_EXPORT_OPTIONS.maxPartBytes;
+        this.buffers = new Map();
+        this.keys = [];
+    }
+
+    /**
+     * Buffers lines for a format, storing a part when the buffer is full
+     * @param {string} format - Export format
+     * @param {string[]} lines - JSONL lines
+     */
+    async write(format, lines) {
+        const buffer = this.buffers.get(format) || { lines: [], bytes: 0, part: 0 };
+        this.buffers.set(format, buffer);
+
+        for (const line of lines) {
+            const bytes = Buffer.byteLength(line) + 1;
+            if (buffer.lines.length > 0 && buffer.bytes + bytes > this.maxPartBytes) {
+                await this.flush(format);
+            }
+
+            buffer.lines.push(line);
+            buffer.bytes += bytes;
+        }
+    }
+
+    /**
+     * Stores the buffered lines of a format as the next part
+     * @param {string} format - Export format
+     */
+    async flush(format) {
+        const buffer = this.buffers.get(format);
+        if (!buffer || buffer.lines.length === 0) {
+            return;
+        }
+
+        if (!this.store) {
+            this.store = await KeyValueStore.open(this.storeName);
+        }
+
+        buffer.part++;
+        const key = `${format}-${String(buffer.part).padStart(4, '0')}.jsonl`;
+
+        await this.store.setValue(key, `${buffer.lines.join('\n')}\n`, { contentType: 'application/jsonl' });
+        this.keys.push(key);
+
+        buffer.lines = [];
+        buffer.bytes = 0;
+    }
+
+    /**
+     * Stores a complete file as one record
+     * @param {string} fileName - Record key
+     * @param {Buffer|string} body - File content
+     * @param {string} contentType - MIME type
+     */
+    async writeFile(fileName, body, contentType) {
+        if (!this.store) {
+            this.store = await KeyValueStore.open(this.storeName);
+        }
+
+        await this.store.setValue(fileName, body, { contentType });
+        this.keys.push(fileName);
+    }
+
+    /**
+     * Stores all remaining buffered lines
+     * @returns {Promise<string[]>} - Keys written
+     */
+    async close() {
+        for (const format of this.buffers.keys()) {
+            await this.flush(format);
+        }
+
+        return this.keys;
+    }
+}
+
+/**
+ * Writes one `<format>.jsonl` file per format to a directory
+ */
+export class FileWriter {
+    constructor(options = {}) {
+        this.directory = resolve(options.directory || DEFAULT_EXPORT_OPTIONS.directory);
+        this.handles = new Map();
+        this.files = [];
+    }
+
+    /**
+     * Appends lines to the file of a format (truncated on first write)
+     * @param {string} format - Export format
+     * @param {string[]} lines - JSONL lines
+     */
+    async write(format, lines) {
+        if (lines.length === 0) {
+            return;
+        }
+
+        if (!this.handles.has(format)) {
+            await mkdir(this.directory, { recursive: true });
+            this.handles.set(format, await open(join(this.directory, `${format}.jsonl`), 'w'));
+        }
+
+        await this.handles.get(format).write(`${lines.join('\n')}\n`);
+    }
+
+    /**
+     * Writes a complete file to the directory
+     * @param {string} fileName - File name
+     * @param {Buffer|string} body - File content
+     */
+    async writeFile(fileName, body) {
+        await mkdir(this.directory, { recursive: true });
+
+        const path = join(this.directory, fileName);
+        await writeFile(path, body);
+        this.files.push(path);
+    }
+
+    /**
+     * Closes all files
+     * @returns {Promise<string[]>} - Paths written
+     */
+    async close() {
+        const paths = [...this.files];
+
+        for (const [format, handle] of this.handles) {
+            await handle.close();
+            paths.push(join(this.directory, `${format}.jsonl`));
+        }
+
+        this.handles.clear();
+        return paths;
+    }
+}
+
+/**
+ * Sink that exports chunks in RAG framework formats
+ */
+export class ExportSink {
+    constructor(options = {}) {
+        this.options = {
+            ...DEFAULT_EXPORT_OPTIONS,
+            ...options
+        };
+
+        const unknown = this.options.formats.filter(format => !EXPORT_FORMATTERS[format] && !TABLE_SERIALIZERS[format]);
+        if (unknown.length > 0) {
+            throw new ExportError(`Unknown export format: ${unknown.join(', ')}`, unknown[0]);
+        }
+
+        this.writer = this.options.writer || (this.options.destination === ExportDestination.DISK
+            ? new FileWriter(this.options)
+            : new KeyValueStoreWriter(this.options));
+        this.documentFormats = this.options.formats.filter(format => EXPORT_FORMATTERS[format]);
+        this.tableFormats = this.options.formats.filter(format => TABLE_SERIALIZERS[format]);
+        // Tables are written as single files on close, so their rows are kept in memory
+        this.tableRows = [];
+        this.documentCounts = Object.fromEntries(this.options.formats.map(format => [format, 0]));
+    }
+
+    /**
+     * Exports the chunks of a page record in every configured format
+     * @param {Object} record - Page record
+     */
+    async write(record) {
+        if (!Array.isArray(record.chunks) || record.chunks.length === 0) {
+            return;
+        }
+
+        if (this.tableFormats.length > 0) {
+            this.tableRows.push(...toChunkRows(record));
+        }
+
+        for (const format of this.documentFormats) {
+            try {
+                const documents = EXPORT_FORMATTERS[format](record);
+                await this.writer.write(format, documents.map(document => JSON.stringify(document)));
+                this.documentCounts[format] += documents.length;
+            } catch (error) {
+                throw new ExportError(`Failed to export ${record.url} as ${format}: ${error.message}`, format, error);
+            }
+        }
+    }
+
+    /**
+     * Flushes and closes the export files
+     */
+    async close() {
+        for (const format of this.tableFormats) {
+            const { fileName, contentType, serialize } = TABLE_SERIALIZERS[format];
+
+            try {
+                await this.writer.writeFile(fileName, serialize(this.tableRows), contentType);
+                this.documentCounts[format] = this.tableRows.length;
+            } catch (error) {
+                throw new ExportError(`Failed to export ${format} chunk table: ${error.message}`, format, error);
+            }
+        }
+
+        const outputs = await this.writer.close();
+
+        if (outputs.length > 0) {
+            const counts = Object.entries(this.documentCounts).map(([format, count]) => `${count} ${format}`).join(', ');
+            console.log(`📦 Exported chunks (${counts}) to ${outputs.join(', ')}`);
+        }
+    }
+
+    /**
+     * Gets the number of exported documents per format
+     * @returns {Object} - Counts by format
+     */
+    getStats() {
+        return { ...this.documentCounts };
+    }
+}
+
+/**
+ * Creates a new export sink
+ * @param {Object} options - Export options ({ formats, destination, directory, storeName })
+ * @returns {ExportSink} - New export sink
+ */
+export function createExportSink(options = {}) {
+    return new ExportSink(options);
+}
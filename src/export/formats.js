@@ -0,0 +1,161 @@
+/**
+ * Export Formats for RAG Spider
+ *
+ * This module turns page records from the pipeline into flat, one-per-chunk
+ * documents in the shapes RAG frameworks load directly: LangChain
+ * `Document`, LlamaIndex `TextNode` (with source/previous/next
+ * relationships) and a plain `{ id, text, metadata }` form.
+ *
+ * Requirements: 2.4
+ */
+
+/**
+ * Supported export formats
+ */
+export const ExportFormat = {
+    LANGCHAIN: 'langchain',
+    LLAMAINDEX: 'llamaindex',
+    PLAIN: 'plain',
+    CSV: 'csv',
+    PARQUET: 'parquet'
+};
+
+/**
+ * LlamaIndex NodeRelationship and ObjectType enum values
+ */
+const LlamaIndexRelationship = {
+    SOURCE: '1',
+    PREVIOUS: '2',
+    NEXT: '3'
+};
+
+const LlamaIndexObjectType = {
+    TEXT: '1',
+    DOCUMENT: '4'
+};
+
+/**
+ * Bookkeeping metadata hidden from embeddings and LLM prompts in LlamaIndex
+ */
+const LLAMAINDEX_EXCLUDED_METADATA_KEYS = ['documentId', 'chunkId', 'chunkIndex', 'totalChunks', 'tokens', 'wordCount', 'crawledAt'];
+
+/**
+ * Builds flat chunk metadata (primitive values only, as most vector
+ * stores require)
+ * @param {Object} record - Page record ({ url, title, documentId, totalChunks })
+ * @param {Object} chunk - Enriched chunk ({ chunkId, chunkIndex, tokens, metadata })
+ * @returns {Object} - Flat metadata
+ */
+export function buildChunkMetadata(record, chunk) {
+    const source = chunk.metadata?.source || {};
+    const headingPath = chunk.metadata?.headingPath;
+
+    return {
+        source: record.url,
+        title: record.title || '',
+        documentId: record.documentId || chunk.documentId,
+        chunkId: chunk.chunkId,
+        chunkIndex: chunk.chunkIndex,
+        totalChunks: record.totalChunks,
+        tokens: chunk.tokens,
+        wordCount: chunk.wordCount,
+        ...(headingPath && { headingPath }),
+        ...(source.lastmod && { lastmod: source.lastmod }),
+        ...(source.crawledAt && { crawledAt: source.crawledAt }),
+        ...(source.canonicalUrl && { canonicalUrl: source.canonicalUrl }),
+        ...(chunk.duplicateOf && { duplicateOf: chunk.duplicateOf }),
+        ...(record.duplicateOf && { duplicateOfPage: record.duplicateOf })
+    };
+}
+
+/**
+ * Converts a page record to LangChain Document objects
+ * @param {Object} record - Page record with chunks
+ * @returns {Object[]} - Documents ({ id, pageContent, metadata })
+ */
+export function toLangChainDocuments(record) {
+    return record.chunks.map(chunk => ({
+        id: chunk.chunkId,
+        pageContent: chunk.content,
+        metadata: buildChunkMetadata(record, chunk)
+    }));
+}
+
+/**
+ * Builds a LlamaIndex RelatedNodeInfo
+ * @param {string} nodeId - Related node ID
+ * @param {string} nodeType - LlamaIndex ObjectType value
+ * @returns {Object} - Serialized RelatedNodeInfo
+ */
+function relatedNode(nodeId, nodeType) {
+    return {
+        node_id: nodeId,
+        node_type: nodeType,
+        metadata: {},
+        hash: null,
+        class_name: 'RelatedNodeInfo'
+    };
+}
+
+/**
+ * Converts a page record to serialized LlamaIndex TextNodes, linked to
+ * their document and to the previous/next chunk of the page
+ * @param {Object} record - Page record with chunks
+ * @returns {Object[]} - TextNode dictionaries
+ */
+export function toLlamaIndexNodes(record) {
+    const { chunks } = record;
+
+    return chunks.map((chunk, i) => {
+        const metadata = buildChunkMetadata(record, chunk);
+        const relationships = {
+            [LlamaIndexRelationship.SOURCE]: relatedNode(metadata.documentId, LlamaIndexObjectType.DOCUMENT)
+        };
+
+        if (i > 0) {
+            relationships[LlamaIndexRelationship.PREVIOUS] = relatedNode(chunks[i - 1].chunkId, LlamaIndexObjectType.TEXT);
+        }
+        if (i < chunks.length - 1) {
+            relationships[LlamaIndexRelationship.NEXT] = relatedNode(chunks[i + 1].chunkId, LlamaIndexObjectType.TEXT);
+        }
+
+        return {
+            id_: chunk.chunkId,
+            embedding: chunk.vector || null,
+            metadata,
+            excluded_embed_metadata_keys: [...LLAMAINDEX_EXCLUDED_METADATA_KEYS],
+            excluded_llm_metadata_keys: [...LLAMAINDEX_EXCLUDED_METADATA_KEYS],
+            relationships,
+            text: chunk.content,
+            mimetype: 'text/markdown',
+            start_char_idx: null,
+            end_char_idx: null,
+            text_template: '{metadata_str}\n\n{content}',
+            metadata_template: '{key}: {value}',
+            metadata_seperator: '\n',
+            class_name: 'TextNode'
+        };
+    });
+}
+
+/**
+ * Converts a page record to plain { id, text, metadata } objects
+ * @param {Object} record - Page record with chunks
+ * @returns {Object[]} - Plain documents
+ */
+export function toPlainDocuments(record) {
+    return record.chunks.map(chunk => ({
+        id: chunk.chunkId,
+        text: chunk.content,
+        metadata: buildChunkMetadata(record, chunk)
+    }));
+}
+
+/**
+ * Formatters of the JSONL export formats (tables are in chunkTable.js)
+ */
+export const EXPORT_FORMATTERS = {
+    [ExportFormat.LANGCHAIN]: toLangChainDocuments,
+    [ExportFormat.LLAMAINDEX]: toLlamaIndexNodes,
+    [ExportFormat.PLAIN]: toPlainDocuments
+};
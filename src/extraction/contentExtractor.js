@@ -133,7 +133,10 @@ export class ContentExtractor {
             
             // Stage 3: Convert to Markdown
             console.log(`📝 Converting to Markdown for ${url}`);
-            const conversionResult = await this.convertToMarkdown(extractionResult.content);
+            const conversionResult = await this.convertToMarkdown(extractionResult.content, {
+                url,
+                baseUrl: this.getBaseUrl(parsedDocument)
+            });
             
             if (!conversionResult.success) {
                 throw new ContentExtractionPipelineError(
@@ -261,14 +264,25 @@ export class ContentExtractor {
         }
     }
     
+    /**
+     * Gets the document base URL (page URL or its `<base href>`)
+     * @param {Object} parsedDocument - Parsed JSDOM document
+     * @returns {string} - Base URL or empty string
+     */
+    getBaseUrl(parsedDocument) {
+        const baseUri = parsedDocument.document.baseURI;
+        return baseUri && baseUri !== 'about:blank' ? baseUri : '';
+    }
+    
     /**
      * Converts HTML content to Markdown
      * @param {string} htmlContent - HTML content
+     * @param {Object} options - Conversion options ({ url, baseUrl })
      * @returns {Object} - Conversion result
      */
-    async convertToMarkdown(htmlContent) {
+    async convertToMarkdown(htmlContent, options = {}) {
         try {
-            const result = this.markdownConverter.convert(htmlContent);
+            const result = this.markdownConverter.convert(htmlContent, options);
             
             if (!result.success) {
                 throw new ContentExtractionPipelineError(
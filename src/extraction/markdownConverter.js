@@ -2,7 +2,9 @@
  * HTML to Markdown Converter for RAG Spider
  * 
  * This module converts cleaned HTML content to GitHub Flavored Markdown,
- * preserving document structure, code blocks, tables, and links.
+ * preserving document structure, code blocks, tables, and links. Link and
+ * image URLs are resolved against the page URL (or its `<base href>`) so
+ * chunks remain usable outside the page they came from.
  * 
  * Requirements: 1.4, 1.5, 6.1, 6.2, 6.3, 6.4, 6.5
  */
@@ -22,7 +24,13 @@ const DEFAULT_TURNDOWN_OPTIONS = {
     emDelimiter: '*',
     strongDelimiter: '**',
     linkStyle: 'inlined',
-    linkReferenceStyle: 'full'
+    linkReferenceStyle: 'full',
+    // Remove tracking query parameters from link and image URLs
+    stripTrackingParams: false,
+    // Only parameters that never select content; sites may use e.g. ref or source for versions
+    trackingParams: ['utm_*', 'gclid', 'fbclid', 'msclkid', 'mc_*', '_ga'],
+    // Site-specific tracking parameters stripped in addition to trackingParams
+    extraTrackingParams: []
 };
 
 /**
@@ -66,9 +74,37 @@ export class MarkdownConverter {
             ...options
         };
         
+        // Per-conversion state used by the link and image rules
+        this.context = this.createContext();
+        
         this.turndownService = this.createTurndownService();
     }
     
+    /**
+     * Creates the per-conversion URL resolution context
+     * @param {string} pageUrl - URL of the page being converted
+     * @param {string} baseUrl - Base URL for resolving relative URLs
+     * @returns {Object} - Conversion context
+     */
+    createContext(pageUrl = '', baseUrl = '') {
+        let pageHost = '';
+        try {
+            pageHost = new URL(pageUrl || baseUrl).hostname;
+        } catch {
+            // No page URL - links cannot be classified
+        }
+        
+        return {
+            baseUrl: baseUrl || pageUrl,
+            pageHost,
+            linkStats: {
+                internalLinks: 0,
+                externalLinks: 0,
+                unresolvedLinks: 0
+            }
+        };
+    }
+    
     /**
      * Creates and configures the Turndown service
      * @returns {TurndownService} - Configured Turndown service
@@ -145,8 +181,9 @@ export class MarkdownConverter {
                 
                 if (!href) return content;
                 
-                // Handle relative URLs
+                // Resolve relative URLs and classify the link
                 const url = this.normalizeUrl(href);
+                this.recordLink(url);
                 
                 if (title) {
                     return `[${content}](${url} "${title}")`;
@@ -194,6 +231,8 @@ export class MarkdownConverter {
      * Converts HTML content to Markdown
      * @param {string} htmlContent - HTML content to convert
      * @param {Object} options - Conversion options
+     * @param {string} options.url - Page URL used to resolve relative links
+     * @param {string} options.baseUrl - Explicit base URL (defaults to `<base href>` or the page URL)
      * @returns {ConversionResult} - Conversion result
      */
     convert(htmlContent, options = {}) {
@@ -205,6 +244,13 @@ export class MarkdownConverter {
         let markdown = '';
         let textContent = '';
         
+        const pageUrl = options.url || '';
+        this.context = this.createContext(pageUrl, options.baseUrl || this.resolveBaseUrl(htmlContent, pageUrl));
+        
+        if (!this.context.baseUrl) {
+            warnings.push('No page URL provided - relative links are left unresolved');
+        }
+        
         try {
             // Pre-process HTML for better conversion
             const processedHtml = this.preprocessHtml(htmlContent, warnings);
@@ -379,25 +425,103 @@ export class MarkdownConverter {
         return '';
     }
     
+    /**
+     * Determines the base URL of a document from its `<base href>` and page URL
+     * @param {string} html - HTML content
+     * @param {string} pageUrl - Page URL
+     * @returns {string} - Base URL or empty string
+     */
+    resolveBaseUrl(html, pageUrl = '') {
+        const match = html.match(/<base\s[^>]*href\s*=\s*["']?([^"'\s>]+)/i);
+        
+        try {
+            if (match) {
+                return new URL(match[1], pageUrl || undefined).toString();
+            }
+        } catch {
+            // Invalid or relative <base href> without a page URL
+        }
+        
+        return pageUrl;
+    }
+    
     /**
      * Normalizes URLs for Markdown links
      * @param {string} url - URL to normalize
-     * @returns {string} - Normalized URL
+     * @param {string} baseUrl - Base URL for relative URLs (defaults to the current page)
+     * @returns {string} - Absolute URL, or the original URL if it cannot be resolved
      */
-    normalizeUrl(url) {
+    normalizeUrl(url, baseUrl = this.context.baseUrl) {
         if (!url) return '';
         
-        // Handle relative URLs (would need base URL in real implementation)
-        if (url.startsWith('//')) {
-            return 'https:' + url;
+        const trimmed = url.trim();
+        
+        // Leave non-web schemes (mailto:, tel:, data:, javascript:) untouched
+        if (/^[a-z][a-z0-9+.-]*:/i.test(trimmed) && !/^https?:/i.test(trimmed)) {
+            return trimmed;
+        }
+        
+        let resolved;
+        try {
+            resolved = baseUrl ? new URL(trimmed, baseUrl) : new URL(trimmed);
+        } catch {
+            // Protocol-relative URLs can still be resolved without a base URL
+            if (trimmed.startsWith('//')) {
+                return 'https:' + trimmed;
+            }
+            return trimmed;
+        }
+        
+        if (this.options.stripTrackingParams) {
+            this.stripTrackingParams(resolved);
+        }
+        
+        return resolved.toString();
+    }
+    
+    /**
+     * Removes tracking query parameters from a URL
+     * @param {URL} url - URL to modify in place
+     */
+    stripTrackingParams(url) {
+        const params = [...this.options.trackingParams, ...this.options.extraTrackingParams];
+        const patterns = params.map(param => (
+            param.endsWith('*')
+                ? name => name.startsWith(param.slice(0, -1))
+                : name => name === param
+        ));
+        
+        for (const name of [...url.searchParams.keys()]) {
+            if (patterns.some(matches => matches(name))) {
+                url.searchParams.delete(name);
+            }
+        }
+    }
+    
+    /**
+     * Records a link as internal (same host as the page) or external
+     * @param {string} url - Normalized link URL
+     */
+    recordLink(url) {
+        const { linkStats, pageHost } = this.context;
+        
+        let parsed;
+        try {
+            parsed = new URL(url);
+        } catch {
+            linkStats.unresolvedLinks++;
+            return;
         }
         
-        if (url.startsWith('/')) {
-            // Would need base URL to resolve properly
-            return url;
+        if (parsed.protocol !== 'http:' && parsed.protocol !== 'https:') {
+            return;
         }
         
-        return url;
+        if (pageHost && parsed.hostname === pageHost) {
+            linkStats.internalLinks++;
+        } else {
+            linkStats.externalLinks++;
+        }
     }
     
     /**
@@ -418,7 +542,8 @@ export class MarkdownConverter {
             links: (markdown.match(/\[[^\]]*\]\([^)]*\)/g) || []).length,
             images: (markdown.match(/!\[[^\]]*\]\([^)]*\)/g) || []).length,
             lists: (markdown.match(/^[\s]*[-*+]\s/gm) || []).length,
-            tables: (markdown.match(/\|.*\|/g) || []).length
+            tables: (markdown.match(/\|.*\|/g) || []).length,
+            ...this.context.linkStats
         };
     }
 }
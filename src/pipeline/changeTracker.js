@@ -0,0 +1,294 @@
+/**
+ * Change Tracking for Incremental Crawls
+ *
+ * This module keeps a per-URL state record (ETag, Last-Modified and a
+ * content hash of the extracted Markdown) in a named key-value store so
+ * that repeated runs only emit pages that changed. Known pages are fetched
+ * with conditional request headers, pages answered with 304 Not Modified
+ * or whose Markdown did not change are reported as unchanged, and known
+ * pages that disappeared are reported as deleted.
+ *
+ * Requirements: 4.2
+ */
+
+import { KeyValueStore } from 'crawlee';
+import { sha256 } from '../utils/contentIds.js';
+
+/**
+ * Change status of a page compared to the previous run
+ */
+export const ChangeStatus = {
+    NEW: 'new',
+    UPDATED: 'updated',
+    UNCHANGED: 'unchanged',
+    DELETED: 'deleted'
+};
+
+/**
+ * Default configuration for change tracking
+ */
+const DEFAULT_CHANGE_TRACKER_OPTIONS = {
+    storeName: 'rag-spider-state',
+    stateKeyPrefix: 'CRAWL_STATE'
+};
+
+/**
+ * Error class for change tracking failures
+ */
+export class ChangeTrackerError extends Error {
+    constructor(message, storeName = '', originalError = null) {
+        super(message);
+        this.name = 'ChangeTrackerError';
+        this.storeName = storeName;
+        this.originalError = originalError;
+    }
+}
+
+/**
+ * State of a page as of the last run that crawled it
+ */
+export class PageState {
+    constructor({
+        url = '',
+        title = '',
+        depth = 0,
+        etag = null,
+        lastModified = null,
+        contentHash = null,
+        chunkIds = [],
+        dedupKeys = null,
+        firstSeenAt = null,
+        lastCrawledAt = null,
+        lastChangedAt = null
+    } = {}) {
+        this.url = url;
+        this.title = title;
+        this.depth = depth;
+        this.etag = etag;
+        this.lastModified = lastModified;
+        this.contentHash = contentHash;
+        this.chunkIds = chunkIds;
+        // Deduplicator index keys of the page and its chunks ({ page, chunks })
+        this.dedupKeys = dedupKeys;
+        this.firstSeenAt = firstSeenAt;
+        this.lastCrawledAt = lastCrawledAt;
+        this.lastChangedAt = lastChangedAt;
+    }
+}
+
+/**
+ * Tracks page state across runs in a key-value store
+ */
+export class ChangeTracker {
+    constructor(options = {}) {
+        this.options = {
+            ...DEFAULT_CHANGE_TRACKER_OPTIONS,
+            ...options
+        };
+
+        this.store = options.store || null;
+        // Pages are keyed by their document URL (canonical or normalized URL)
+        this.urlNormalizer = options.urlNormalizer || null;
+        this.stateKey = null;
+        this.pages = new Map();
+        this.seenUrls = new Set();
+        this.loaded = false;
+    }
+
+    /**
+     * Loads the state saved by the previous run for the same start URLs
+     * @param {Array} startUrls - Start URLs (strings or request objects)
+     * @returns {Promise<number>} - Number of known pages
+     */
+    async load(startUrls = []) {
+        try {
+            if (!this.store) {
+                this.store = await KeyValueStore.open(this.options.storeName);
+            }
+
+            this.stateKey = this.getStateKey(startUrls);
+            const state = await this.store.getValue(this.stateKey);
+
+            this.pages = new Map();
+            for (const [storedUrl, page] of Object.entries(state?.pages || {})) {
+                // State saved before pages were keyed by document URL may hold several URLs of one page
+                const url = this.urlNormalizer ? this.urlNormalizer.normalize(storedUrl) : storedUrl;
+                const known = this.pages.get(url);
+                if (!known || (page.lastCrawledAt || '') > (known.lastCrawledAt || '')) {
+                    this.pages.set(url, new PageState({ ...page, url }));
+                }
+            }
+            this.seenUrls = new Set();
+            this.loaded = true;
+
+            console.log(`🗂️ Incremental mode: ${this.pages.size} known pages in "${this.options.storeName}" (${this.stateKey})`);
+            return this.pages.size;
+
+        } catch (error) {
+            throw new ChangeTrackerError(`Failed to load crawl state: ${error.message}`, this.options.storeName, error);
+        }
+    }
+
+    /**
+     * Saves the current state for the next run
+     */
+    async save() {
+        if (!this.loaded) {
+            return;
+        }
+
+        try {
+            await this.store.setValue(this.stateKey, {
+                version: 1,
+                savedAt: new Date().toISOString(),
+                pages: Object.fromEntries(
+                    [...this.pages].map(([url, { url: _url, ...page }]) => [url, page])
+                )
+            });
+
+            console.log(`💾 Saved crawl state for ${this.pages.size} pages`);
+
+        } catch (error) {
+            throw new ChangeTrackerError(`Failed to save crawl state: ${error.message}`, this.options.storeName, error);
+        }
+    }
+
+    /**
+     * Gets the state key for a set of start URLs, so that runs with
+     * different start URLs sharing a store do not see each other's pages
+     * @param {Array} startUrls - Start URLs (strings or request objects)
+     * @returns {string} - Key-value store key
+     */
+    getStateKey(startUrls) {
+        const urls = startUrls
+            .map(entry => (typeof entry === 'string' ? entry : entry?.url))
+            .filter(Boolean)
+            .sort();
+
+        return `${this.options.stateKeyPrefix}_${this.hashContent(urls.join('\n')).slice(0, 12)}`;
+    }
+
+    /**
+     * Gets the stored state of a page
+     * @param {string} url - Page URL
+     * @returns {PageState|null} - Stored state or null for unknown pages
+     */
+    getPage(url) {
+        return this.pages.get(url) || null;
+    }
+
+    /**
+     * Gets all pages known from previous runs
+     * @returns {PageState[]} - Known pages
+     */
+    getKnownPages() {
+        return [...this.pages.values()];
+    }
+
+    /**
+     * Hashes extracted content
+     * @param {string} content - Content to hash
+     * @returns {string} - SHA-256 hex digest
+     */
+    hashContent(content) {
+        return sha256(content || '');
+    }
+
+    /**
+     * Gets the conditional request headers for a known page, so that the
+     * server can answer 304 Not Modified instead of sending it again
+     * @param {string} url - Page URL
+     * @returns {Object} - If-None-Match / If-Modified-Since headers (empty for unknown pages)
+     */
+    getConditionalHeaders(url) {
+        const page = this.getPage(url);
+        const headers = {};
+
+        if (page?.etag) {
+            headers['If-None-Match'] = page.etag;
+        }
+        if (page?.lastModified) {
+            headers['If-Modified-Since'] = page.lastModified;
+        }
+
+        return headers;
+    }
+
+    /**
+     * Classifies extracted content against the stored state
+     * @param {string} url - Page URL
+     * @param {string} contentHash - Hash of the extracted Markdown
+     * @returns {string} - ChangeStatus.NEW, UPDATED or UNCHANGED
+     */
+    classify(url, contentHash) {
+        const page = this.getPage(url);
+
+        if (!page) {
+            return ChangeStatus.NEW;
+        }
+
+        return page.contentHash === contentHash ? ChangeStatus.UNCHANGED : ChangeStatus.UPDATED;
+    }
+
+    /**
+     * Records a page crawled in this run
+     * @param {string} url - Page URL
+     * @param {Object} details - { title, depth, etag, lastModified, contentHash, chunkIds, dedupKeys }
+     * @returns {PageState} - Updated state
+     */
+    update(url, details = {}) {
+        const now = new Date().toISOString();
+        const previous = this.getPage(url);
+        const changed = !previous || (details.contentHash && details.contentHash !== previous.contentHash);
+
+        const page = new PageState({
+            ...previous,
+            ...Object.fromEntries(Object.entries(details).filter(([, value]) => value !== undefined && value !== null)),
+            url,
+            firstSeenAt: previous?.firstSeenAt || now,
+            lastCrawledAt: now,
+            lastChangedAt: changed ? now : previous.lastChangedAt
+        });
+
+        this.pages.set(url, page);
+        this.seenUrls.add(url);
+        return page;
+    }
+
+    /**
+     * Marks a known page as seen without changing its state
+     * @param {string} url - Page URL
+     */
+    markSeen(url) {
+        this.seenUrls.add(url);
+    }
+
+    /**
+     * Removes a page from the state
+     * @param {string} url - Page URL
+     * @returns {PageState|null} - Removed state
+     */
+    remove(url) {
+        const page = this.getPage(url);
+        this.pages.delete(url);
+        this.seenUrls.add(url);
+        return page;
+    }
+
+    /**
+     * Gets known pages that were not seen in this run
+     * @returns {PageState[]} - Unseen pages
+     */
+    getUnseenPages() {
+        return this.getKnownPages().filter(page => !this.seenUrls.has(page.url));
+    }
+}
+
+/**
+ * Creates a new change tracker
+ * @param {Object} options - Configuration options
+ * @returns {ChangeTracker} - New tracker instance
+ */
+export function createChangeTracker(options = {}) {
+    return new ChangeTracker(options);
+}
@@ -0,0 +1,835 @@
+/**
+ * Pipeline Runner for RAG Spider
+ *
+ * This module provides the single processing pipeline shared by the Actor
+ * entry point and programmatic users:
+ * fetch → extract → [dedup] → chunk → enrich → [dedup] → [embed] → sink
+ *
+ * Every stage is pluggable. The fetch stage drives crawling and hands each
+ * fetched page to the pipeline; the remaining stages turn the page into a
+ * dataset record that is written to the sink. With a change tracker
+ * (incremental mode) only new and updated pages are chunked; unchanged
+ * and deleted pages are written as status records. The optional dedup
+ * stage checks pages after extraction and chunks after enrichment;
+ * unchanged pages are indexed by the dedup keys stored with their state.
+ *
+ * Requirements: 1.1, 1.4, 2.4, 4.2
+ */
+
+import { createWebCrawler } from '../crawler/webCrawler.js';
+import {
+    createExtractStage,
+    createChunkStage,
+    createEnrichStage,
+    createEmbedStage,
+    createDedupStage,
+    createDatasetSink,
+    createCompositeSink
+} from './stages.js';
+import { createExportSink } from '../export/exportSink.js';
+import { createVectorStoreSink } from '../vectorStores/vectorStoreFactory.js';
+import { createChangeTracker, ChangeStatus } from './changeTracker.js';
+import { generateDocumentId } from '../utils/contentIds.js';
+import { createUrlNormalizer } from '../crawler/urlNormalizer.js';
+import { createLogger, MetricCategory } from '../utils/logger.js';
+
+/**
+ * Page record statuses written to the sink
+ */
+export const PageStatus = {
+    SUCCESS: 'success',
+    EXTRACTION_FAILED: 'extraction_failed',
+    CHUNKING_FAILED: 'chunking_failed',
+    ERROR: 'error',
+    REQUEST_FAILED: 'request_failed',
+    // Incremental mode replaces SUCCESS with NEW or UPDATED
+    NEW: ChangeStatus.NEW,
+    UPDATED: ChangeStatus.UPDATED,
+    UNCHANGED: ChangeStatus.UNCHANGED,
+    DELETED: ChangeStatus.DELETED,
+    // Duplicate pages removed by the dedup stage (drop mode)
+    DUPLICATE: 'duplicate'
+};
+
+/**
+ * HTTP status codes that mean a page no longer exists
+ */
+const GONE_STATUS_CODES = [404, 410];
+
+/**
+ * Error class for pipeline failures
+ */
+export class PipelineError extends Error {
+    constructor(message, stage = 'unknown', originalError = null) {
+        super(message);
+        this.name = 'PipelineError';
+        this.stage = stage;
+        this.originalError = originalError;
+    }
+}
+
+/**
+ * Processing statistics collected by the pipeline
+ */
+export class PipelineStats {
+    constructor() {
+        this.startTime = Date.now();
+        this.endTime = null;
+        this.totalRequests = 0;
+        this.successfulRequests = 0;
+        this.failedRequests = 0;
+        this.extractionFailures = 0;
+        this.chunkingFailures = 0;
+        this.processingErrors = 0;
+        this.totalChunks = 0;
+        this.totalTokens = 0;
+        this.totalWords = 0;
+        this.newPages = 0;
+        this.updatedPages = 0;
+        this.unchangedPages = 0;
+        this.deletedPages = 0;
+        this.errors = [];
+        this.warnings = [];
+    }
+
+    /**
+     * Marks the pipeline run as completed
+     */
+    complete() {
+        this.endTime = Date.now();
+    }
+
+    /**
+     * Gets run duration in milliseconds
+     */
+    getDuration() {
+        return (this.endTime || Date.now()) - this.startTime;
+    }
+
+    /**
+     * Gets success rate as percentage
+     */
+    getSuccessRate() {
+        if (this.totalRequests === 0) return 0;
+        return Math.round((this.successfulRequests / this.totalRequests) * 100);
+    }
+
+    /**
+     * Adds an error to the statistics
+     */
+    addError(message, url = '', stage = 'unknown') {
+        this.errors.push({
+            message,
+            url,
+            stage,
+            timestamp: new Date().toISOString()
+        });
+    }
+
+    /**
+     * Adds a warning to the statistics
+     */
+    addWarning(message, url = '') {
+        this.warnings.push({
+            message,
+            url,
+            timestamp: new Date().toISOString()
+        });
+    }
+}
+
+/**
+ * Pipeline that runs fetched pages through extract, chunk, enrich and sink stages
+ */
+export class Pipeline {
+    constructor({
+        fetcher = null,
+        extractor = createExtractStage(),
+        chunker = createChunkStage(),
+        enricher = createEnrichStage(),
+        embedder = null,
+        deduplicator = null,
+        sink = createDatasetSink(),
+        logger = null,
+        configSummary = null,
+        changeTracker = null,
+        urlNormalizer = createUrlNormalizer()
+    } = {}) {
+        this.fetcher = fetcher;
+        this.extractor = extractor;
+        this.chunker = chunker;
+        this.enricher = enricher;
+        this.embedder = embedder;
+        this.deduplicator = deduplicator;
+        this.sink = sink;
+        this.configSummary = configSummary;
+        this.changeTracker = changeTracker;
+        this.urlNormalizer = urlNormalizer;
+        this.logger = logger || createLogger({ enableMemoryMonitoring: false });
+        this.stats = new PipelineStats();
+    }
+
+    /**
+     * Crawls the start URLs with the fetch stage and processes every fetched page
+     * @param {Array} startUrls - Start URLs (strings or request objects)
+     * @returns {Promise<Object>} - Final pipeline statistics
+     */
+    async run(startUrls) {
+        if (!this.fetcher) {
+            throw new PipelineError('No fetch stage configured', 'fetch');
+        }
+
+        if (typeof this.fetcher.initialize === 'function') {
+            await this.fetcher.initialize();
+        }
+
+        if (this.changeTracker) {
+            await this.changeTracker.load(startUrls);
+        }
+
+        try {
+            await this.fetcher.crawl(startUrls, {
+                onPage: (page) => this.processPage(page),
+                onFailure: (failure) => this.handleFailure(failure)
+            });
+
+            if (this.changeTracker) {
+                await this.emitDeletedPages();
+                await this.changeTracker.save();
+            }
+        } finally {
+            this.stats.complete();
+        }
+
+        return this.getStats();
+    }
+
+    /**
+     * Processes a single fetched page through extract, chunk, enrich and sink
+     * @param {Object} page - Fetched page ({ url, html, title, userData })
+     * @returns {Promise<Object>} - { status, record, extraction, chunking }
+     */
+    async processPage(page) {
+        const { url, html } = page;
+        const documentUrl = this.getDocumentUrl(page);
+        const startTime = page.userData?.startTime || Date.now();
+        let title = page.title || '';
+        let extraction = null;
+        let chunking = null;
+
+        this.stats.totalRequests++;
+
+        // Incremental mode: not modified since the last run or gone
+        if (this.changeTracker && page.notModified) {
+            return await this.emitUnchanged(page);
+        }
+
+        if (this.changeTracker && GONE_STATUS_CODES.includes(page.statusCode)) {
+            return await this.emitGone(page);
+        }
+
+        // Pages that fail below keep their previous state and are not reported as deleted
+        this.changeTracker?.markSeen(documentUrl);
+
+        const requestTimer = this.logger.startTimer('request_processing', MetricCategory.PROCESSING);
+        this.logger.info('Processing request', { url });
+
+        try {
+            // Step 1: Extract and convert content to Markdown
+            const extractionTimer = this.logger.startTimer('content_extraction', MetricCategory.EXTRACTION);
+            extraction = await this.extractor.extract({ ...page, title });
+            const extractionTime = this.logger.endTimer(extractionTimer);
+
+            title = title || extraction.title || '';
+
+            if (!extraction.success || !extraction.markdown) {
+                const error = extraction.errors?.[0]?.message || extraction.error || 'Unknown extraction error';
+
+                this.logger.warn('Content extraction failed', { url, error });
+                this.logger.recordError('content_extraction', MetricCategory.EXTRACTION);
+                this.logger.endTimer(requestTimer);
+                this.stats.extractionFailures++;
+                this.stats.addWarning(`Content extraction failed: ${error}`, url);
+
+                return await this.emit(PageStatus.EXTRACTION_FAILED, {
+                    url,
+                    title,
+                    status: PageStatus.EXTRACTION_FAILED,
+                    error,
+                    timestamp: new Date().toISOString()
+                }, { extraction });
+            }
+
+            this.logger.info('Content extraction successful', {
+                url,
+                markdownLength: extraction.markdown.length,
+                method: extraction.method
+            });
+            this.logger.recordSuccess('content_extraction', MetricCategory.EXTRACTION);
+
+            // Incremental mode: skip chunking when the Markdown did not change
+            let changeStatus = null;
+            let contentHash = null;
+
+            if (this.changeTracker) {
+                contentHash = this.changeTracker.hashContent(extraction.markdown);
+                changeStatus = this.changeTracker.classify(documentUrl, contentHash);
+
+                if (changeStatus === ChangeStatus.UNCHANGED) {
+                    this.logger.endTimer(requestTimer);
+                    return await this.emitUnchanged({ ...page, title }, { contentHash, extraction });
+                }
+            }
+
+            // Optional: Drop or tag pages that duplicate an earlier page
+            let duplicatePage = null;
+
+            if (this.deduplicator) {
+                duplicatePage = this.deduplicator.checkPage({ ...page, title }, extraction.markdown);
+
+                if (duplicatePage) {
+                    this.logger.info('Duplicate page detected', {
+                        url,
+                        duplicateOf: duplicatePage.duplicateOf,
+                        distance: duplicatePage.distance
+                    });
+
+                    if (this.deduplicator.dropsDuplicates) {
+                        this.logger.endTimer(requestTimer);
+                        return await this.emitDuplicate({ ...page, title }, duplicatePage, { contentHash, extraction });
+                    }
+                }
+            }
+
+            // Step 2: Chunk the content
+            const chunkingTimer = this.logger.startTimer('text_chunking', MetricCategory.CHUNKING);
+            chunking = await this.chunker.chunk(extraction.markdown, { ...page, title });
+            const chunkingTime = this.logger.endTimer(chunkingTimer);
+
+            if (!chunking.success || chunking.chunks.length === 0) {
+                const error = chunking.error || 'No chunks generated';
+
+                this.logger.warn('Text chunking failed', { url, error });
+                this.logger.recordError('text_chunking', MetricCategory.CHUNKING);
+                this.logger.endTimer(requestTimer);
+                this.stats.chunkingFailures++;
+                this.stats.addWarning(`Text chunking failed: ${error}`, url);
+
+                return await this.emit(PageStatus.CHUNKING_FAILED, {
+                    url,
+                    title,
+                    status: PageStatus.CHUNKING_FAILED,
+                    error,
+                    timestamp: new Date().toISOString()
+                }, { extraction, chunking });
+            }
+
+            this.logger.info('Text chunking successful', {
+                url,
+                chunkCount: chunking.chunks.length
+            });
+            this.logger.recordSuccess('text_chunking', MetricCategory.CHUNKING);
+
+            // Step 3: Enrich metadata and estimate tokens
+            const processingTimer = this.logger.startTimer('metadata_processing', MetricCategory.PROCESSING);
+            const enrichment = await this.enricher.enrich(chunking.chunks, { ...page, title, documentUrl }, extraction, chunking.method);
+            this.logger.endTimer(processingTimer);
+
+            this.logger.info('Metadata processing completed', {
+                url,
+                totalTokens: enrichment.totalTokens,
+                totalChunks: enrichment.chunks.length
+            });
+
+            let { chunks, totalTokens, totalWords } = enrichment;
+
+            // Optional: Drop or tag chunks that duplicate earlier chunks
+            if (this.deduplicator) {
+                const dedup = this.deduplicator.dedupChunks(chunks);
+
+                if (dedup.duplicates > 0) {
+                    chunks = dedup.chunks;
+                    totalTokens = chunks.reduce((sum, chunk) => sum + chunk.tokens, 0);
+                    totalWords = chunks.reduce((sum, chunk) => sum + chunk.wordCount, 0);
+                    this.logger.info('Duplicate chunks detected', { url, duplicates: dedup.duplicates });
+                }
+            }
+
+            // Step 4 (optional): Attach embedding vectors
+            if (this.embedder && chunks.length > 0) {
+                const embeddingTimer = this.logger.startTimer('chunk_embedding', MetricCategory.PROCESSING);
+                const embedding = await this.embedder.embed(chunks);
+                this.logger.endTimer(embeddingTimer);
+
+                chunks = embedding.chunks;
+                this.logger.info('Chunk embedding completed', {
+                    url,
+                    model: embedding.model,
+                    dimensions: embedding.dimensions
+                });
+            }
+
+            // Step 5: Write the page record to the sink
+            const chunkIds = chunks.map(chunk => chunk.chunkId);
+            const record = {
+                url,
+                documentId: generateDocumentId(documentUrl),
+                title,
+                status: changeStatus || PageStatus.SUCCESS,
+                extractionMethod: extraction.method,
+                totalChunks: chunks.length,
+                totalTokens,
+                totalWords,
+                chunks,
+                processingStats: {
+                    extractionTime,
+                    chunkingTime,
+                    totalProcessingTime: Date.now() - startTime
+                },
+                timestamp: new Date().toISOString()
+            };
+
+            if (this.configSummary) {
+                record.configSummary = this.configSummary;
+            }
+
+            if (contentHash) {
+                record.contentHash = contentHash;
+            }
+
+            if (page.canonicalUrl) {
+                record.canonicalUrl = page.canonicalUrl;
+            }
+
+            if (duplicatePage) {
+                record.duplicateOf = duplicatePage.duplicateOf;
+            }
+
+            // Let upserts drop chunks that no longer exist on an updated page
+            if (changeStatus === ChangeStatus.UPDATED) {
+                const current = new Set(chunkIds);
+                record.removedChunkIds = (this.changeTracker.getPage(documentUrl).chunkIds || [])
+                    .filter(chunkId => !current.has(chunkId));
+            }
+
+            const result = await this.emit(record.status, record, { extraction, chunking });
+
+            if (this.changeTracker) {
+                this.changeTracker.update(documentUrl, {
+                    title,
+                    depth: page.userData?.depth || 0,
+                    etag: page.etag,
+                    lastModified: page.lastModified,
+                    contentHash,
+                    chunkIds,
+                    dedupKeys: this.deduplicator?.getIndexKeys(page, chunks)
+                });
+                this.stats[changeStatus === ChangeStatus.NEW ? 'newPages' : 'updatedPages']++;
+            }
+
+            // Update statistics
+            this.stats.successfulRequests++;
+            this.stats.totalChunks += chunks.length;
+            this.stats.totalTokens += totalTokens;
+            this.stats.totalWords += totalWords;
+
+            // Update logger metrics
+            this.logger.incrementCounter('pages_processed', MetricCategory.PROCESSING);
+            this.logger.incrementCounter('chunks_generated', MetricCategory.PROCESSING, chunks.length);
+            this.logger.incrementCounter('tokens_estimated', MetricCategory.PROCESSING, totalTokens);
+            this.logger.setGauge('last_processing_time', MetricCategory.PROCESSING, this.logger.endTimer(requestTimer));
+
+            this.logger.info('Request processing completed successfully', {
+                url,
+                chunks: chunks.length,
+                tokens: totalTokens,
+                processingTime: `${Date.now() - startTime}ms`
+            });
+            this.logger.recordSuccess('request_processing', MetricCategory.PROCESSING);
+
+            return result;
+
+        } catch (error) {
+            this.logger.error('Request processing failed', {
+                url,
+                error: error.message,
+                stack: error.stack
+            });
+            this.logger.recordError('request_processing', MetricCategory.PROCESSING, error);
+            this.logger.incrementCounter('processing_errors', MetricCategory.PROCESSING);
+            this.logger.endTimer(requestTimer);
+
+            this.stats.processingErrors++;
+            this.stats.addError(error.message, url, error.stage || 'processing');
+
+            return await this.emit(PageStatus.ERROR, {
+                url,
+                title,
+                status: PageStatus.ERROR,
+                error: error.message,
+                errorStack: error.stack,
+                timestamp: new Date().toISOString()
+            }, { extraction, chunking });
+        }
+    }
+
+    /**
+     * Records a request that failed during fetching
+     * @param {Object} failure - Failed request ({ url, error, retryCount })
+     */
+    async handleFailure({ url, error = null, retryCount = 0 }) {
+        this.stats.totalRequests++;
+        this.stats.failedRequests++;
+        this.stats.addError(error?.message || 'Request failed during crawling', url, 'fetch');
+        this.changeTracker?.markSeen(this.getDocumentUrl({ url }));
+
+        this.logger.error('Request failed during crawling', { url, retryCount, category: error?.category });
+        this.logger.recordError('request_crawling', MetricCategory.NETWORK, error);
+        this.logger.incrementCounter('failed_requests', MetricCategory.NETWORK);
+
+        await this.emit(PageStatus.REQUEST_FAILED, {
+            url,
+            status: PageStatus.REQUEST_FAILED,
+            error: error?.message || 'Request failed during crawling',
+            errorCategory: error?.category || 'unknown',
+            ...(error?.context?.statusCode && { statusCode: error.context.statusCode }),
+            retryCount,
+            timestamp: new Date().toISOString()
+        });
+    }
+
+    /**
+     * Gets the URL a page's document and chunk IDs are derived from: its
+     * canonical URL, or its URL normalized like the request queue keys, so
+     * that every URL of the same page gets the same IDs. Change tracking
+     * state is keyed by it as well.
+     * @param {Object} page - Fetched page or page state ({ url, canonicalUrl })
+     * @returns {string} - Document URL
+     */
+    getDocumentUrl(page) {
+        return page.canonicalUrl || this.urlNormalizer.normalize(page.url);
+    }
+
+    /**
+     * Writes an unchanged page record (incremental mode)
+     * @param {Object} page - Fetched page ({ url, title, etag, lastModified, userData })
+     * @param {Object} details - { contentHash, extraction } when the page was downloaded
+     * @returns {Promise<Object>} - Page result
+     */
+    async emitUnchanged(page, details = {}) {
+        const documentUrl = this.getDocumentUrl(page);
+
+        // Later pages are still compared against the unchanged page and its chunks
+        const known = this.changeTracker.getPage(documentUrl);
+        if (this.deduplicator && known?.dedupKeys) {
+            this.deduplicator.addIndexKeys(page, known.dedupKeys);
+        }
+
+        const state = this.changeTracker.update(documentUrl, {
+            title: page.title || undefined,
+            depth: page.userData?.depth || 0,
+            etag: page.etag,
+            lastModified: page.lastModified,
+            contentHash: details.contentHash
+        });
+
+        this.stats.successfulRequests++;
+        this.stats.unchangedPages++;
+        this.logger.info('Page unchanged since last run', { url: page.url, notModified: !!page.notModified });
+
+        return await this.emit(PageStatus.UNCHANGED, {
+            url: page.url,
+            documentId: generateDocumentId(documentUrl),
+            title: state.title,
+            status: PageStatus.UNCHANGED,
+            contentHash: state.contentHash,
+            lastChangedAt: state.lastChangedAt,
+            timestamp: new Date().toISOString()
+        }, { extraction: details.extraction });
+    }
+
+    /**
+     * Writes a duplicate page record without chunks (dedup drop mode). In
+     * incremental mode the page is remembered without chunks, and chunks
+     * of an earlier version are listed as removed.
+     * @param {Object} page - Fetched page ({ url, title, etag, lastModified, userData })
+     * @param {Object} duplicate - { duplicateOf, exact, distance }
+     * @param {Object} details - { contentHash, extraction }
+     * @returns {Promise<Object>} - Page result
+     */
+    async emitDuplicate(page, duplicate, details = {}) {
+        const documentUrl = this.getDocumentUrl(page);
+        const record = {
+            url: page.url,
+            documentId: generateDocumentId(documentUrl),
+            title: page.title,
+            status: PageStatus.DUPLICATE,
+            duplicateOf: duplicate.duplicateOf,
+            nearDuplicate: !duplicate.exact,
+            timestamp: new Date().toISOString()
+        };
+
+        if (this.changeTracker) {
+            record.contentHash = details.contentHash;
+            record.removedChunkIds = this.changeTracker.getPage(documentUrl)?.chunkIds || [];
+            this.changeTracker.update(documentUrl, {
+                title: page.title,
+                depth: page.userData?.depth || 0,
+                etag: page.etag,
+                lastModified: page.lastModified,
+                contentHash: details.contentHash,
+                chunkIds: [],
+                dedupKeys: this.deduplicator.getIndexKeys(page, [])
+            });
+        }
+
+        this.stats.successfulRequests++;
+
+        return await this.emit(PageStatus.DUPLICATE, record, { extraction: details.extraction });
+    }
+
+    /**
+     * Handles a page that returned 404/410 (incremental mode)
+     * @param {Object} page - Fetched page ({ url, statusCode })
+     * @returns {Promise<Object|null>} - Page result, or null for pages not known before
+     */
+    async emitGone(page) {
+        const state = this.changeTracker.remove(this.getDocumentUrl(page));
+
+        if (!state) {
+            this.stats.addWarning(`Page returned HTTP ${page.statusCode}`, page.url);
+            return null;
+        }
+
+        return await this.emitDeleted(state);
+    }
+
+    /**
+     * Writes deleted records for known pages that were not seen in this run.
+     * Skipped when the request limit cut the crawl short, since unseen pages
+     * may simply not have been reached.
+     */
+    async emitDeletedPages() {
+        const unseen = this.changeTracker.getUnseenPages();
+
+        if (unseen.length === 0) {
+            return;
+        }
+
+        if (this.fetcher.stats?.requestLimitReached) {
+            this.logger.warn('Request limit reached, not reporting unseen pages as deleted', { unseen: unseen.length });
+            unseen.forEach(state => this.changeTracker.markSeen(state.url));
+            return;
+        }
+
+        for (const state of unseen) {
+            this.changeTracker.remove(state.url);
+            await this.emitDeleted(state);
+        }
+    }
+
+    /**
+     * Writes a deleted page record (incremental mode)
+     * @param {PageState} state - Last known state of the page
+     * @returns {Promise<Object>} - Page result
+     */
+    async emitDeleted(state) {
+        this.stats.deletedPages++;
+        this.logger.info('Page deleted since last run', { url: state.url });
+
+        return await this.emit(PageStatus.DELETED, {
+            url: state.url,
+            documentId: generateDocumentId(this.getDocumentUrl(state)),
+            title: state.title,
+            status: PageStatus.DELETED,
+            contentHash: state.contentHash,
+            chunkIds: state.chunkIds || [],
+            lastCrawledAt: state.lastCrawledAt,
+            timestamp: new Date().toISOString()
+        });
+    }
+
+    /**
+     * Writes a record to the sink and builds the page result
+     * @param {string} status - Page status
+     * @param {Object} record - Record to write
+     * @param {Object} details - Intermediate stage results
+     * @returns {Promise<Object>} - Page result
+     */
+    async emit(status, record, details = {}) {
+        await this.sink.write(record);
+
+        return {
+            status,
+            record,
+            extraction: details.extraction || null,
+            chunking: details.chunking || null
+        };
+    }
+
+    /**
+     * Gets combined fetch and processing statistics
+     * @returns {Object} - Pipeline statistics
+     */
+    getStats() {
+        const crawlingStats = this.fetcher?.stats || {};
+        const embeddingStats = this.embedder?.getStats?.() || {};
+        const dedupStats = this.deduplicator?.getStats?.() || {};
+        const removesDuplicates = !!this.deduplicator?.dropsDuplicates;
+        const { errors, warnings, ...counts } = this.stats;
+
+        return {
+            ...counts,
+            enqueuedUrls: crawlingStats.enqueuedUrls || 0,
+            sitemapUrls: crawlingStats.sitemapUrls || 0,
+            filteredUrls: crawlingStats.filteredUrls || 0,
+            robotsDisallowedUrls: crawlingStats.robotsDisallowedUrls || 0,
+            browserFallbackUrls: crawlingStats.browserFallbackUrls || 0,
+            knownUrls: crawlingStats.knownUrls || 0,
+            notModifiedUrls: crawlingStats.notModifiedUrls || 0,
+            canonicalDuplicateUrls: crawlingStats.canonicalDuplicateUrls || 0,
+            throttledRequests: crawlingStats.throttledRequests || 0,
+            rateLimitedResponses: crawlingStats.rateLimitedResponses || 0,
+            depthHistogram: { ...crawlingStats.depthHistogram },
+            depthExceededUrls: crawlingStats.depthExceededUrls || 0,
+            retryBudgets: this.fetcher?.errorHandler?.getErrorStats().retryBudgets || {},
+            embeddedChunks: embeddingStats.embeddedTexts || 0,
+            embeddingCacheHits: embeddingStats.cacheHits || 0,
+            embeddingTokens: embeddingStats.usageTokens || 0,
+            embeddingCost: embeddingStats.estimatedCost || 0,
+            duplicatePages: dedupStats.duplicatePages || 0,
+            duplicateChunks: dedupStats.duplicateChunks || 0,
+            nearDuplicates: (dedupStats.nearDuplicatePages || 0) + (dedupStats.nearDuplicateChunks || 0),
+            removedDuplicatePages: removesDuplicates ? dedupStats.duplicatePages || 0 : 0,
+            removedDuplicateChunks: removesDuplicates ? dedupStats.duplicateChunks || 0 : 0,
+            totalDuration: this.stats.getDuration(),
+            successRate: this.stats.getSuccessRate(),
+            errorCount: errors.length,
+            warningCount: warnings.length
+        };
+    }
+
+    /**
+     * Cleans up all stage resources
+     */
+    async cleanup() {
+        if (this.fetcher && typeof this.fetcher.cleanup === 'function') {
+            await this.fetcher.cleanup();
+        }
+
+        if (this.extractor && typeof this.extractor.cleanup === 'function') {
+            this.extractor.cleanup();
+        }
+
+        if (this.sink && typeof this.sink.close === 'function') {
+            await this.sink.close();
+        }
+    }
+}
+
+/**
+ * Creates a new pipeline instance
+ * @param {Object} options - Pipeline stages and options
+ * @returns {Pipeline} - New pipeline
+ */
+export function createPipeline(options = {}) {
+    return new Pipeline(options);
+}
+
+/**
+ * Creates a pipeline from validated Actor configuration
+ * @param {ConfigManager} configManager - Validated configuration manager
+ * @param {Object} options - Runtime options ({ logger, proxyConfiguration, sink })
+ * @returns {Pipeline} - Pipeline configured for the Actor run
+ */
+export function createPipelineFromConfig(configManager, options = {}) {
+    const config = configManager.getConfig();
+    const crawlerConfig = configManager.getCrawlerConfig();
+    const urlFilterConfig = configManager.getUrlFilterConfig();
+    const extractionConfig = configManager.getExtractionConfig();
+    const incrementalConfig = configManager.getIncrementalConfig();
+    const exportConfig = configManager.getExportConfig();
+    const embeddingConfig = configManager.getEmbeddingConfig();
+    const vectorStoreConfig = configManager.getVectorStoreConfig();
+    const dedupConfig = configManager.getDedupConfig();
+
+    const urlNormalization = {
+        enabled: urlFilterConfig.normalizeUrls,
+        removeQueryParams: urlFilterConfig.removeQueryParams,
+        honorCanonical: urlFilterConfig.honorCanonicalUrls
+    };
+
+    const changeTracker = incrementalConfig.enabled
+        ? createChangeTracker({
+            storeName: incrementalConfig.stateStoreName,
+            urlNormalizer: createUrlNormalizer(urlNormalization)
+        })
+        : null;
+
+    const fetcher = createWebCrawler({
+        crawlerType: crawlerConfig.crawlerType,
+        maxRequestsPerCrawl: crawlerConfig.maxRequestsPerCrawl,
+        maxConcurrency: crawlerConfig.maxConcurrency,
+        requestHandlerTimeoutSecs: crawlerConfig.requestHandlerTimeoutSecs,
+        navigationTimeoutSecs: crawlerConfig.navigationTimeoutSecs,
+        maxRequestRetries: crawlerConfig.maxRequestRetries,
+        useSessionPool: crawlerConfig.useSessionPool,
+        persistCookiesPerSession: crawlerConfig.persistCookiesPerSession,
+        keepAlive: crawlerConfig.keepAlive,
+        politeness: crawlerConfig.politeness,
+        errorHandling: crawlerConfig.errorHandling,
+        maxCrawlDepth: urlFilterConfig.crawlDepth,
+        depthMode: urlFilterConfig.depthMode,
+        includeUrlGlobs: urlFilterConfig.includeUrlGlobs,
+        excludeUrlGlobs: [...urlFilterConfig.excludePatterns, ...urlFilterConfig.excludeUrlGlobs],
+        urlDepthRules: urlFilterConfig.urlDepthRules,
+        urlNormalization,
+        useSitemaps: config.useSitemaps,
+        respectRobotsTxt: !config.ignoreRobotsTxt,
+        waitForDynamicContent: crawlerConfig.waitForDynamicContent,
+        dynamicContentWaitSecs: crawlerConfig.dynamicContentWaitSecs,
+        changeTracker,
+        proxyConfiguration: options.proxyConfiguration || null
+    });
+
+    return createPipeline({
+        fetcher,
+        extractor: createExtractStage({
+            extractionOptions: {
+                markdown: {
+                    stripTrackingParams: extractionConfig.stripTrackingParams,
+                    extraTrackingParams: extractionConfig.extraTrackingParams
+                }
+            }
+        }),
+        chunker: createChunkStage({
+            chunkingOptions: {
+                chunkSize: config.chunkSize,
+                chunkOverlap: config.chunkOverlap,
+                chunkSizeUnit: config.chunkSizeUnit,
+                maxTokensPerChunk: config.maxTokensPerChunk,
+                tokenOptions: { model: config.tokenModel },
+                strategy: config.chunkingStrategy,
+                atomicBlocks: config.atomicBlocks
+            }
+        }),
+        enricher: createEnrichStage({
+            tokenOptions: { model: config.tokenModel }
+        }),
+        embedder: embeddingConfig.enabled
+            ? createEmbedStage({ embeddingOptions: embeddingConfig })
+            : null,
+        deduplicator: dedupConfig.enabled
+            ? createDedupStage({ dedupOptions: dedupConfig })
+            : null,
+        sink: createCompositeSink([
+            options.sink || createDatasetSink(),
+            exportConfig.formats.length > 0 && createExportSink(exportConfig),
+            vectorStoreConfig.enabled && createVectorStoreSink(vectorStoreConfig)
+        ]),
+        logger: options.logger,
+        configSummary: configManager.getSummary(),
+        changeTracker,
+        urlNormalizer: fetcher.urlNormalizer
+    });
+}
@@ -0,0 +1,396 @@
+/**
+ * Pipeline Stages for RAG Spider
+ *
+ * This module provides the default extract, chunk, enrich, dedup, embed and sink stages
+ * used by the Pipeline. Each stage is a small adapter around the existing
+ * extraction and processing services so that stages can be swapped out
+ * independently (e.g. a custom sink for a vector database).
+ *
+ * Requirements: 1.1, 1.4, 2.1, 2.3, 2.4, 2.5
+ */
+
+import { Dataset } from 'crawlee';
+import { createContentExtractor } from '../extraction/contentExtractor.js';
+import { createTextChunker } from '../processing/textChunker.js';
+import { createMetadataEnricher } from '../processing/metadataEnricher.js';
+import { createTokenEstimator } from '../processing/tokenEstimator.js';
+import { createEmbedder } from '../processing/embedder.js';
+import { createDeduplicator } from '../processing/deduplicator.js';
+
+/**
+ * Extract stage: HTML → clean Markdown
+ */
+export class ExtractStage {
+    constructor(options = {}) {
+        this.contentExtractor = options.contentExtractor || createContentExtractor(options.extractionOptions);
+    }
+
+    /**
+     * Extracts Markdown content from a fetched page
+     * @param {Object} page - Fetched page ({ url, html, title })
+     * @returns {Promise<ContentExtractionResult>} - Extraction result
+     */
+    async extract(page) {
+        return await this.contentExtractor.extract(page.html, page.url);
+    }
+
+    /**
+     * Releases extractor resources
+     */
+    cleanup() {
+        this.contentExtractor.cleanup();
+    }
+}
+
+/**
+ * Chunk stage: Markdown → text chunks
+ */
+export class ChunkStage {
+    constructor(options = {}) {
+        this.textChunker = options.textChunker || createTextChunker(options.chunkingOptions);
+    }
+
+    /**
+     * Splits extracted Markdown into chunks
+     * @param {string} markdown - Extracted Markdown
+     * @param {Object} page - Fetched page ({ url, title })
+     * @returns {Promise<ChunkingResult>} - Chunking result
+     */
+    async chunk(markdown, page) {
+        return await this.textChunker.chunk(markdown, {
+            preserveStructure: true,
+            metadata: {
+                url: page.url,
+                title: page.title
+            }
+        });
+    }
+}
+
+/**
+ * Enrich stage: text chunks → dataset-ready chunks with metadata and token counts
+ */
+export class EnrichStage {
+    constructor(options = {}) {
+        this.metadataEnricher = options.metadataEnricher || createMetadataEnricher(options.enrichmentOptions);
+        this.tokenEstimator = options.tokenEstimator || createTokenEstimator(options.tokenOptions);
+    }
+
+    /**
+     * Enriches chunks with source/processing metadata and token estimates
+     * @param {Array} chunks - Chunks from the chunk stage
+     * @param {Object} page - Fetched page ({ url, title, canonicalUrl, documentUrl })
+     * @param {ContentExtractionResult} extraction - Extraction result
+     * @param {string} chunkingMethod - Method the chunks were split with (ChunkingResult.method)
+     * @returns {Promise<Object>} - { chunks, totalTokens, totalWords }
+     */
+    async enrich(chunks, page, extraction, chunkingMethod = 'langchain-recursive') {
+        // Prepare source info for metadata enrichment
+        const sourceInfo = {
+            url: page.url,
+            title: page.title,
+            crawledAt: new Date().toISOString(),
+            lastmod: page.userData?.lastmod || null,
+            canonicalUrl: page.canonicalUrl || null,
+            // URL the document and chunk IDs are derived from
+            documentUrl: page.documentUrl || page.canonicalUrl || page.url
+        };
+
+        const processingInfo = {
+            method: chunkingMethod,
+            extractionMethod: extraction.method,
+            processingTime: Date.now()
+        };
+
+        const enrichmentResult = await this.metadataEnricher.enrich(chunks, sourceInfo, processingInfo);
+
+        // Calculate token estimates
+        const enrichedChunks = [];
+        let totalTokens = 0;
+        let totalWords = 0;
+
+        for (let i = 0; i < enrichmentResult.enrichedChunks.length; i++) {
+            const enrichedChunk = enrichmentResult.enrichedChunks[i];
+            const tokenEstimate = await this.tokenEstimator.estimateTokens(enrichedChunk.content);
+
+            const tokenCount = tokenEstimate.tokenCount || 0;
+            const wordCount = tokenEstimate.wordCount || 0;
+            totalTokens += tokenCount;
+            totalWords += wordCount;
+
+            enrichedChunks.push({
+                content: enrichedChunk.content,
+                metadata: {
+                    ...enrichedChunk.metadata,
+                    tokens: {
+                        count: tokenCount,
+                        model: tokenEstimate.model,
+                        tokenizer: tokenEstimate.tokenizer
+                    }
+                },
+                tokens: tokenCount,
+                wordCount: wordCount,
+                chunkIndex: i,
+                chunkId: enrichedChunk.id,
+                documentId: enrichedChunk.documentId
+            });
+        }
+
+        return {
+            chunks: enrichedChunks,
+            totalTokens,
+            totalWords,
+            warnings: enrichmentResult.warnings
+        };
+    }
+}
+
+/**
+ * Dedup stage (optional): drops or tags duplicate pages and chunks
+ */
+export class DedupStage {
+    constructor(options = {}) {
+        this.deduplicator = options.deduplicator || createDeduplicator(options.dedupOptions);
+    }
+
+    /**
+     * Whether duplicates are removed rather than tagged with `duplicateOf`
+     * @returns {boolean}
+     */
+    get dropsDuplicates() {
+        return this.deduplicator.dropsDuplicates;
+    }
+
+    /**
+     * Checks extracted page content against the pages seen so far
+     * @param {Object} page - Fetched page ({ url })
+     * @param {string} markdown - Extracted Markdown
+     * @returns {Object|null} - { duplicateOf, exact, distance } or null
+     */
+    checkPage(page, markdown) {
+        return this.deduplicator.checkPage(page.url, markdown);
+    }
+
+    /**
+     * Drops or tags chunks that duplicate chunks seen so far
+     * @param {Array} chunks - Chunks from the enrich stage
+     * @returns {Object} - { chunks, duplicates }
+     */
+    dedupChunks(chunks) {
+        return this.deduplicator.dedupChunks(chunks);
+    }
+
+    /**
+     * Gets the index keys of a processed page and its chunks
+     * @param {Object} page - Fetched page ({ url })
+     * @param {Array} chunks - Chunks written for the page
+     * @returns {Object} - { page, chunks }
+     */
+    getIndexKeys(page, chunks) {
+        return this.deduplicator.getIndexKeys(page.url, chunks.map(chunk => chunk.chunkId));
+    }
+
+    /**
+     * Indexes a page that is not reprocessed by its stored index keys
+     * @param {Object} page - Fetched page ({ url })
+     * @param {Object} keys - { page, chunks } from getIndexKeys()
+     */
+    addIndexKeys(page, keys) {
+        this.deduplicator.addIndexKeys(page.url, keys);
+    }
+
+    /**
+     * Gets deduplication statistics
+     * @returns {Object} - { mode, duplicatePages, nearDuplicatePages, duplicateChunks, nearDuplicateChunks }
+     */
+    getStats() {
+        return this.deduplicator.getStats();
+    }
+}
+
+/**
+ * Embed stage (optional): enriched chunks → chunks with a `vector`
+ */
+export class EmbedStage {
+    constructor(options = {}) {
+        this.embedder = options.embedder || createEmbedder(options.embeddingOptions);
+    }
+
+    /**
+     * Attaches an embedding vector to every chunk and records the model
+     * and dimension in the chunk metadata
+     * @param {Array} chunks - Chunks from the enrich stage
+     * @returns {Promise<Object>} - { chunks, model, dimensions }
+     */
+    async embed(chunks) {
+        const vectors = await this.embedder.embed(chunks.map(chunk => chunk.content));
+        const { provider, model, dimensions } = this.embedder.getInfo();
+
+        const embeddedChunks = chunks.map((chunk, i) => ({
+            ...chunk,
+            metadata: {
+                ...chunk.metadata,
+                embedding: { provider, model, dimensions }
+            },
+            vector: vectors[i]
+        }));
+
+        return { chunks: embeddedChunks, model, dimensions };
+    }
+
+    /**
+     * Gets embedding statistics
+     * @returns {Object} - { embeddedTexts, cacheHits, batches }
+     */
+    getStats() {
+        return this.embedder.getStats();
+    }
+}
+
+/**
+ * Sink that pushes page records to a Crawlee/Apify dataset
+ */
+export class DatasetSink {
+    constructor(options = {}) {
+        this.datasetName = options.datasetName || null;
+        this.dataset = options.dataset || null;
+    }
+
+    /**
+     * Writes a page record to the dataset (opened lazily on first write)
+     * @param {Object} record - Page record
+     */
+    async write(record) {
+        if (!this.dataset) {
+            this.dataset = await Dataset.open(this.datasetName);
+        }
+
+        await this.dataset.pushData(record);
+    }
+}
+
+/**
+ * Sink that keeps page records in memory (useful for programmatic use)
+ */
+export class MemorySink {
+    constructor() {
+        this.records = [];
+    }
+
+    /**
+     * Stores a page record in memory
+     * @param {Object} record - Page record
+     */
+    async write(record) {
+        this.records.push(record);
+    }
+
+    /**
+     * Gets all stored records
+     * @returns {Array} - Page records
+     */
+    getRecords() {
+        return [...this.records];
+    }
+}
+
+/**
+ * Sink that writes every page record to several sinks (e.g. dataset and exports)
+ */
+export class CompositeSink {
+    constructor(sinks = []) {
+        this.sinks = sinks.filter(Boolean);
+    }
+
+    /**
+     * Writes a page record to all sinks
+     * @param {Object} record - Page record
+     */
+    async write(record) {
+        for (const sink of this.sinks) {
+            await sink.write(record);
+        }
+    }
+
+    /**
+     * Closes all sinks that need closing
+     */
+    async close() {
+        for (const sink of this.sinks) {
+            if (typeof sink.close === 'function') {
+                await sink.close();
+            }
+        }
+    }
+}
+
+/**
+ * Creates a new extract stage
+ * @param {Object} options - Stage options
+ * @returns {ExtractStage} - New extract stage
+ */
+export function createExtractStage(options = {}) {
+    return new ExtractStage(options);
+}
+
+/**
+ * Creates a new chunk stage
+ * @param {Object} options - Stage options
+ * @returns {ChunkStage} - New chunk stage
+ */
+export function createChunkStage(options = {}) {
+    return new ChunkStage(options);
+}
+
+/**
+ * Creates a new enrich stage
+ * @param {Object} options - Stage options
+ * @returns {EnrichStage} - New enrich stage
+ */
+export function createEnrichStage(options = {}) {
+    return new EnrichStage(options);
+}
+
+/**
+ * Creates a new dedup stage
+ * @param {Object} options - Stage options
+ * @returns {DedupStage} - New dedup stage
+ */
+export function createDedupStage(options = {}) {
+    return new DedupStage(options);
+}
+
+/**
+ * Creates a new embed stage
+ * @param {Object} options - Stage options
+ * @returns {EmbedStage} - New embed stage
+ */
+export function createEmbedStage(options = {}) {
+    return new EmbedStage(options);
+}
+
+/**
+ * Creates a new dataset sink
+ * @param {Object} options - Sink options
+ * @returns {DatasetSink} - New dataset sink
+ */
+export function createDatasetSink(options = {}) {
+    return new DatasetSink(options);
+}
+
+/**
+ * Creates a new in-memory sink
+ * @returns {MemorySink} - New memory sink
+ */
+export function createMemorySink() {
+    return new MemorySink();
+}
+
+/**
+ * Creates a sink writing to several sinks
+ * @param {Array} sinks - Sinks to write to, in order
+ * @returns {CompositeSink} - New composite sink
+ */
+export function createCompositeSink(sinks = []) {
+    return new CompositeSink(sinks);
+}
@@ -0,0 +1,398 @@
+/**
+ * Deduplicator for RAG Spider
+ *
+ * This module detects duplicate pages and chunks. Documentation sites often
+ * serve the same content under several URLs (versioned paths, index.html,
+ * trailing slashes, print views), which would otherwise produce many
+ * duplicate chunks. Exact duplicates are found by a SHA-256 hash of the
+ * normalized text; near-duplicates by a 64-bit SimHash of word shingles,
+ * compared by Hamming distance. Fingerprints are indexed in bands (LSH), so
+ * a lookup only compares candidates that share at least one band. Index
+ * keys can be stored and added again, so pages that incremental runs do not
+ * reprocess are still compared against.
+ *
+ * Requirements: 2.1, 2.4
+ */
+
+import { createHash } from 'crypto';
+
+/**
+ * What to do with duplicates
+ */
+export const DedupMode = {
+    OFF: 'off',
+    TAG: 'tag',
+    DROP: 'drop'
+};
+
+/**
+ * Where to look for duplicates
+ */
+export const DedupLevel = {
+    PAGE: 'page',
+    CHUNK: 'chunk',
+    BOTH: 'both'
+};
+
+/**
+ * Default configuration for deduplication
+ */
+export const DEFAULT_DEDUP_OPTIONS = {
+    mode: DedupMode.TAG,
+    level: DedupLevel.BOTH,
+    maxHammingDistance: 3,   // Of 64 SimHash bits; 0 = exact duplicates only
+    shingleSize: 3,          // Words per shingle
+    minNearDuplicateWords: 20 // Shorter texts are only compared exactly
+};
+
+/**
+ * Highest supported Hamming distance (one band per allowed differing bit + 1)
+ */
+export const MAX_HAMMING_DISTANCE = 7;
+
+const FINGERPRINT_BITS = 64;
+
+/**
+ * Normalizes text for fingerprinting: lowercase words without punctuation
+ * @param {string} text - Text
+ * @returns {string[]} - Words
+ */
+export function toWords(text) {
+    return (text || '').toLowerCase().match(/[\p{L}\p{N}_]+/gu) || [];
+}
+
+/**
+ * Computes a 64-bit SimHash of word shingles
+ * @param {string[]} words - Normalized words
+ * @param {number} shingleSize - Words per shingle
+ * @returns {bigint} - Fingerprint
+ */
+export function simHash(words, shingleSize = DEFAULT_DEDUP_OPTIONS.shingleSize) {
+    const weights = new Array(FINGERPRINT_BITS).fill(0);
+    const size = Math.min(shingleSize, words.length);
+
+    for (let i = 0; i + size <= words.length; i++) {
+        const digest = createHash('sha1').update(words.slice(i, i + size).join(' ')).digest();
+
+        for (let bit = 0; bit < FINGERPRINT_BITS; bit++) {
+            weights[bit] += (digest[bit >> 3] >> (bit & 7)) & 1 ? 1 : -1;
+        }
+    }
+
+    let fingerprint = 0n;
+    for (let bit = 0; bit < FINGERPRINT_BITS; bit++) {
+        if (weights[bit] > 0) {
+            fingerprint |= 1n << BigInt(bit);
+        }
+    }
+
+    return fingerprint;
+}
+
+/**
+ * Counts differing bits of two fingerprints
+ * @param {bigint} a - Fingerprint
+ * @param {bigint} b - Fingerprint
+ * @returns {number} - Hamming distance
+ */
+export function hammingDistance(a, b) {
+    let diff = a ^ b;
+    let count = 0;
+
+    while (diff) {
+        diff &= diff - 1n;
+        count++;
+    }
+
+    return count;
+}
+
+/**
+ * Index of seen texts that finds exact and near-duplicates
+ */
+export class DuplicateIndex {
+    constructor(options = {}) {
+        this.options = { ...DEFAULT_DEDUP_OPTIONS, ...options };
+
+        // Pigeonhole: with d + 1 bands, fingerprints within distance d share a band
+        this.options.maxHammingDistance = Math.min(this.options.maxHammingDistance, MAX_HAMMING_DISTANCE);
+        const bandCount = this.options.maxHammingDistance + 1;
+        this.bandBits = Math.floor(FINGERPRINT_BITS / bandCount);
+        this.bandMask = (1n << BigInt(this.bandBits)) - 1n;
+
+        this.exact = new Map();
+        this.keys = new Map();
+        this.bands = Array.from({ length: bandCount }, () => new Map());
+        this.size = 0;
+    }
+
+    /**
+     * Finds a duplicate of the text, or registers the text under the ID
+     * @param {string} id - ID of the text (URL or chunk ID)
+     * @param {string} text - Text
+     * @returns {Object|null} - { duplicateOf, exact, distance } or null
+     *   (always null for text without words, e.g. only images or code symbols)
+     */
+    checkAndAdd(id, text) {
+        const key = this.getKey(text);
+        if (!key) {
+            return null;
+        }
+
+        if (this.exact.has(key.hash)) {
+            return { duplicateOf: this.exact.get(key.hash), exact: true, distance: 0 };
+        }
+
+        // Near-duplicates are registered as exact texts only
+        const duplicate = this.findNearDuplicate(key.fingerprint);
+        this.add(id, duplicate ? { hash: key.hash, fingerprint: null } : key);
+
+        return duplicate;
+    }
+
+    /**
+     * Computes the index key of a text
+     * @param {string} text - Text
+     * @returns {Object|null} - { hash, fingerprint } (fingerprint as hex, null
+     *   for texts only compared exactly), or null for text without words
+     */
+    getKey(text) {
+        const words = toWords(text);
+        if (words.length === 0) {
+            return null;
+        }
+
+        const comparesNear = this.options.maxHammingDistance > 0 && words.length >= this.options.minNearDuplicateWords;
+
+        return {
+            hash: createHash('sha256').update(words.join(' ')).digest('hex'),
+            fingerprint: comparesNear ? simHash(words, this.options.shingleSize).toString(16) : null
+        };
+    }
+
+    /**
+     * Finds a registered text within the Hamming distance of a fingerprint
+     * @param {string|null} fingerprint - SimHash as hex
+     * @returns {Object|null} - { duplicateOf, exact, distance } or null
+     */
+    findNearDuplicate(fingerprint) {
+        if (!fingerprint) {
+            return null;
+        }
+
+        const value = BigInt(`0x${fingerprint}`);
+        const bandKeys = this.getBandKeys(value);
+
+        for (let i = 0; i < bandKeys.length; i++) {
+            for (const candidate of this.bands[i].get(bandKeys[i]) || []) {
+                const distance = hammingDistance(value, candidate.fingerprint);
+                if (distance <= this.options.maxHammingDistance) {
+                    return { duplicateOf: candidate.id, exact: false, distance };
+                }
+            }
+        }
+
+        return null;
+    }
+
+    /**
+     * Registers a text by its key without checking it, e.g. a text indexed
+     * in an earlier run. Texts already registered keep their first ID.
+     * @param {string} id - ID of the text (URL or chunk ID)
+     * @param {Object} key - { hash, fingerprint } from getKey()
+     */
+    add(id, key) {
+        if (this.exact.has(key.hash)) {
+            return;
+        }
+
+        this.exact.set(key.hash, id);
+        this.keys.set(id, key);
+        this.size++;
+
+        if (!key.fingerprint) {
+            return;
+        }
+
+        const entry = { id, fingerprint: BigInt(`0x${key.fingerprint}`) };
+        this.getBandKeys(entry.fingerprint).forEach((bandKey, i) => {
+            const bucket = this.bands[i].get(bandKey);
+            if (bucket) {
+                bucket.push(entry);
+            } else {
+                this.bands[i].set(bandKey, [entry]);
+            }
+        });
+    }
+
+    /**
+     * Gets the key a text was registered with
+     * @param {string} id - ID of the text
+     * @returns {Object|null} - { hash, fingerprint } or null if not registered
+     */
+    getRegisteredKey(id) {
+        return this.keys.get(id) || null;
+    }
+
+    /**
+     * Splits a fingerprint into its band keys
+     * @param {bigint} fingerprint - SimHash
+     * @returns {bigint[]} - One key per band
+     */
+    getBandKeys(fingerprint) {
+        return this.bands.map((_, i) => (fingerprint >> BigInt(i * this.bandBits)) & this.bandMask);
+    }
+}
+
+/**
+ * Deduplicator for pages and chunks of a crawl
+ */
+export class Deduplicator {
+    constructor(options = {}) {
+        this.options = { ...DEFAULT_DEDUP_OPTIONS, ...options };
+
+        this.pageIndex = new DuplicateIndex(this.options);
+        this.chunkIndex = new DuplicateIndex(this.options);
+        this.stats = {
+            duplicatePages: 0,
+            nearDuplicatePages: 0,
+            duplicateChunks: 0,
+            nearDuplicateChunks: 0
+        };
+    }
+
+    /**
+     * Whether duplicates are removed rather than tagged
+     * @returns {boolean}
+     */
+    get dropsDuplicates() {
+        return this.options.mode === DedupMode.DROP;
+    }
+
+    /**
+     * Checks a page against all pages seen so far
+     * @param {string} url - Page URL
+     * @param {string} markdown - Extracted page content
+     * @returns {Object|null} - { duplicateOf (URL), exact, distance } or null
+     */
+    checkPage(url, markdown) {
+        if (this.options.level === DedupLevel.CHUNK) {
+            return null;
+        }
+
+        const duplicate = this.pageIndex.checkAndAdd(url, markdown);
+        if (duplicate) {
+            this.countDuplicate('Pages', duplicate);
+        }
+
+        return duplicate;
+    }
+
+    /**
+     * Checks chunks against all chunks seen so far. Duplicates get a
+     * `duplicateOf` chunk ID (tag mode) or are removed (drop mode), in which
+     * case the remaining chunks are renumbered.
+     * @param {Array} chunks - Enriched chunks
+     * @returns {Object} - { chunks, duplicates }
+     */
+    dedupChunks(chunks) {
+        if (this.options.level === DedupLevel.PAGE) {
+            return { chunks, duplicates: 0 };
+        }
+
+        const result = [];
+        let duplicates = 0;
+
+        for (const chunk of chunks) {
+            const duplicate = this.chunkIndex.checkAndAdd(chunk.chunkId, chunk.content);
+
+            if (!duplicate) {
+                result.push(chunk);
+                continue;
+            }
+
+            duplicates++;
+            this.countDuplicate('Chunks', duplicate);
+
+            if (!this.dropsDuplicates) {
+                result.push({ ...chunk, duplicateOf: duplicate.duplicateOf });
+            }
+        }
+
+        if (this.dropsDuplicates && duplicates > 0) {
+            return {
+                chunks: result.map((chunk, chunkIndex) => ({ ...chunk, chunkIndex })),
+                duplicates
+            };
+        }
+
+        return { chunks: result, duplicates };
+    }
+
+    /**
+     * Gets the index keys a page and its chunks were registered with, so
+     * they can be stored and indexed again when the page is not reprocessed
+     * @param {string} url - Page URL
+     * @param {string[]} chunkIds - IDs of the page's chunks
+     * @returns {Object} - { page, chunks } (chunk keys by chunk ID)
+     */
+    getIndexKeys(url, chunkIds = []) {
+        const chunks = {};
+        for (const chunkId of chunkIds) {
+            const key = this.chunkIndex.getRegisteredKey(chunkId);
+            if (key) {
+                chunks[chunkId] = key;
+            }
+        }
+
+        return { page: this.pageIndex.getRegisteredKey(url), chunks };
+    }
+
+    /**
+     * Registers a page and its chunks by stored index keys, without counting
+     * duplicates (e.g. a page unchanged since the last run)
+     * @param {string} url - Page URL
+     * @param {Object} keys - { page, chunks } from getIndexKeys()
+     */
+    addIndexKeys(url, keys) {
+        if (keys.page && this.options.level !== DedupLevel.CHUNK) {
+            this.pageIndex.add(url, keys.page);
+        }
+
+        if (this.options.level !== DedupLevel.PAGE) {
+            for (const [chunkId, key] of Object.entries(keys.chunks || {})) {
+                this.chunkIndex.add(chunkId, key);
+            }
+        }
+    }
+
+    /**
+     * Counts a duplicate page or chunk
+     * @param {string} kind - 'Pages' or 'Chunks'
+     * @param {Object} duplicate - Match from the duplicate index
+     */
+    countDuplicate(kind, duplicate) {
+        this.stats[`duplicate${kind}`]++;
+        if (!duplicate.exact) {
+            this.stats[`nearDuplicate${kind}`]++;
+        }
+    }
+
+    /**
+     * Gets deduplication statistics (near-duplicates are included in the
+     * duplicate counts)
+     * @returns {Object} - { mode, duplicatePages, nearDuplicatePages, duplicateChunks, nearDuplicateChunks }
+     */
+    getStats() {
+        return { mode: this.options.mode, ...this.stats };
+    }
+}
+
+/**
+ * Creates a new deduplicator
+ * @param {Object} options - Deduplication options
+ * @returns {Deduplicator} - New deduplicator
+ */
+export function createDeduplicator(options = {}) {
+    return new Deduplicator(options);
+}
@@ -0,0 +1,466 @@
+/**
+ * Embedding Service for RAG Spider
+ *
+ * This module turns chunk text into embedding vectors. The local provider
+ * runs a small sentence-embedding model (all-MiniLM-L6-v2 by default) on
+ * the CPU through transformers.js and ONNX Runtime, so content never leaves
+ * the machine. The OpenAI provider posts batches to any OpenAI-compatible
+ * `/v1/embeddings` endpoint (OpenAI, vLLM, Ollama, LocalAI, ...) with
+ * retries and rate-limit handling, and reports the actual token usage.
+ * The hash provider is a deterministic, dependency-free stub for tests
+ * and dry runs. Texts are embedded in batches and vectors are cached by
+ * content hash, so repeated chunks are only embedded once.
+ *
+ * Requirements: 2.3, 2.4
+ */
+
+import { createHash } from 'node:crypto';
+import { sha256 } from '../utils/contentIds.js';
+import { createTokenEstimator } from './tokenEstimator.js';
+import {
+    createErrorHandler,
+    CrawlerError,
+    ErrorCategory,
+    ErrorSeverity,
+    categorizeStatusCode,
+    parseRetryAfter
+} from '../utils/errorHandler.js';
+
+/**
+ * Embedding providers
+ */
+export const EmbeddingProvider = {
+    LOCAL: 'local',
+    OPENAI: 'openai',
+    HASH: 'hash'
+};
+
+/**
+ * Default configuration for embedding
+ */
+const DEFAULT_EMBEDDING_OPTIONS = {
+    provider: EmbeddingProvider.LOCAL,
+    batchSize: 32,
+    cacheResults: true,
+    maxCacheSize: 10000,
+    // Local provider: model, ONNX weight precision and model download directory
+    localModel: 'Xenova/all-MiniLM-L6-v2',
+    dtype: 'q8',
+    cacheDir: null,
+    // OpenAI-compatible provider
+    openaiModel: 'text-embedding-3-small',
+    baseUrl: 'https://api.openai.com/v1',
+    apiKey: null,
+    timeoutSecs: 60,
+    retry: {
+        maxRetries: 3,
+        baseDelay: 1000
+    },
+    // Hash provider: vector size (matches all-MiniLM-L6-v2)
+    dimensions: 384
+};
+
+/**
+ * Error class for embedding failures
+ */
+export class EmbeddingError extends Error {
+    constructor(message, provider = '', originalError = null) {
+        super(message);
+        this.name = 'EmbeddingError';
+        this.provider = provider;
+        this.originalError = originalError;
+    }
+}
+
+/**
+ * Local sentence-embedding model run with transformers.js (ONNX, CPU)
+ */
+export class LocalEmbeddingProvider {
+    constructor(options = {}) {
+        this.name = EmbeddingProvider.LOCAL;
+        this.model = options.model || DEFAULT_EMBEDDING_OPTIONS.localModel;
+        this.dtype = options.dtype || DEFAULT_EMBEDDING_OPTIONS.dtype;
+        this.cacheDir = options.cacheDir || null;
+        this.dimensions = null;
+        this.extractor = null;
+    }
+
+    /**
+     * Loads the model once (transformers.js is an optional dependency
+     * and only imported when local embeddings are used)
+     * @returns {Promise<Function>} - Feature extraction pipeline
+     */
+    async load() {
+        if (!this.extractor) {
+            this.extractor = (async () => {
+                let transformers;
+                try {
+                    transformers = await import('@huggingface/transformers');
+                } catch (error) {
+                    throw new EmbeddingError(
+                        'Local embeddings require the optional "@huggingface/transformers" package',
+                        this.name,
+                        error
+                    );
+                }
+
+                if (this.cacheDir) {
+                    transformers.env.cacheDir = this.cacheDir;
+                }
+
+                console.log(`🧠 Loading embedding model ${this.model} (${this.dtype})`);
+                return await transformers.pipeline('feature-extraction', this.model, { dtype: this.dtype });
+            })();
+        }
+
+        return await this.extractor;
+    }
+
+    /**
+     * Embeds a batch of texts with mean pooling and L2 normalization
+     * @param {string[]} texts - Texts to embed
+     * @returns {Promise<number[][]>} - One vector per text
+     */
+    async embedBatch(texts) {
+        const extractor = await this.load();
+        const output = await extractor(texts, { pooling: 'mean', normalize: true });
+        const vectors = output.tolist();
+
+        this.dimensions = vectors[0]?.length || this.dimensions;
+        return vectors;
+    }
+}
+
+/**
+ * Parses a rate-limit response's Retry-After (seconds or HTTP date) or
+ * retry-after-ms header
+ * @param {Headers} headers - Response headers
+ * @returns {number} - Delay in milliseconds (0 if not given)
+ */
+function getRetryAfterMs(headers) {
+    const retryAfterMs = Number(headers.get('retry-after-ms'));
+    if (retryAfterMs > 0) {
+        return retryAfterMs;
+    }
+
+    return parseRetryAfter(headers.get('retry-after'));
+}
+
+/**
+ * Embedding model behind an OpenAI-compatible `/embeddings` endpoint
+ */
+export class OpenAIEmbeddingProvider {
+    constructor(options = {}) {
+        this.name = EmbeddingProvider.OPENAI;
+        this.model = options.model || DEFAULT_EMBEDDING_OPTIONS.openaiModel;
+        this.baseUrl = (options.baseUrl || DEFAULT_EMBEDDING_OPTIONS.baseUrl).replace(/\/+$/, '');
+        this.apiKey = options.apiKey || process.env.OPENAI_API_KEY || null;
+        this.timeoutSecs = options.timeoutSecs || DEFAULT_EMBEDDING_OPTIONS.timeoutSecs;
+        this.headers = options.headers || {};
+        this.dimensions = null;
+        this.usage = {
+            promptTokens: 0,
+            totalTokens: 0,
+            requests: 0
+        };
+        this.requestCount = 0;
+
+        this.errorHandler = options.errorHandler || createErrorHandler({
+            retry: { ...DEFAULT_EMBEDDING_OPTIONS.retry, ...options.retry }
+        });
+    }
+
+    /**
+     * Embeds a batch of texts, retrying network errors, timeouts, server
+     * errors and rate limits
+     * @param {string[]} texts - Texts to embed
+     * @returns {Promise<number[][]>} - One vector per text
+     */
+    async embedBatch(texts) {
+        const operationId = `embeddings-${++this.requestCount}`;
+
+        const result = await this.errorHandler.executeWithErrorHandling(
+            async () => await this.request(texts),
+            operationId,
+            { url: this.baseUrl, model: this.model }
+        );
+
+        if (result.skipped) {
+            throw new EmbeddingError(`Embedding request failed: ${result.reason}`, this.name);
+        }
+
+        this.dimensions = result.vectors[0]?.length || this.dimensions;
+        this.usage.promptTokens += result.usage?.prompt_tokens || 0;
+        this.usage.totalTokens += result.usage?.total_tokens || result.usage?.prompt_tokens || 0;
+        this.usage.requests++;
+
+        return result.vectors;
+    }
+
+    /**
+     * Sends one embeddings request
+     * @param {string[]} texts - Texts to embed
+     * @returns {Promise<Object>} - { vectors, usage }
+     * @throws {CrawlerError} - Categorized so the retry policy knows what to retry
+     */
+    async request(texts) {
+        const url = `${this.baseUrl}/embeddings`;
+        let response;
+
+        try {
+            response = await fetch(url, {
+                method: 'POST',
+                headers: {
+                    'Content-Type': 'application/json',
+                    ...(this.apiKey && { Authorization: `Bearer ${this.apiKey}` }),
+                    ...this.headers
+                },
+                body: JSON.stringify({
+                    model: this.model,
+                    input: texts,
+                    encoding_format: 'float'
+                }),
+                signal: AbortSignal.timeout(this.timeoutSecs * 1000)
+            });
+        } catch (error) {
+            const category = error.name === 'TimeoutError' ? ErrorCategory.TIMEOUT : ErrorCategory.NETWORK;
+            throw CrawlerError.fromError(error, category, { url });
+        }
+
+        if (!response.ok) {
+            const body = await response.text().catch(() => '');
+            const message = `${response.status} ${response.statusText}${body ? `: ${body.slice(0, 200)}` : ''}`;
+
+            if (response.status === 429) {
+                throw new CrawlerError(`Rate limited: ${message}`, ErrorCategory.RATE_LIMIT, ErrorSeverity.LOW, {
+                    url,
+                    statusCode: response.status,
+                    retryAfterMs: getRetryAfterMs(response.headers)
+                });
+            }
+
+            // Server errors are retried (after Retry-After for 503), other client errors are not
+            throw new CrawlerError(message, categorizeStatusCode(response.status), ErrorSeverity.MEDIUM, {
+                url,
+                statusCode: response.status,
+                ...(response.status === 503 && { retryAfterMs: getRetryAfterMs(response.headers) })
+            });
+        }
+
+        const payload = await response.json();
+        if (!Array.isArray(payload?.data)) {
+            throw new CrawlerError('Embeddings response has no data array', ErrorCategory.PARSING, ErrorSeverity.HIGH, { url });
+        }
+
+        const vectors = [...payload.data]
+            .sort((a, b) => (a.index ?? 0) - (b.index ?? 0))
+            .map(item => item.embedding);
+
+        return { vectors, usage: payload.usage || null };
+    }
+}
+
+/**
+ * Deterministic stub that hashes words into a normalized vector (feature
+ * hashing), so texts sharing words get similar vectors
+ */
+export class HashEmbeddingProvider {
+    constructor(options = {}) {
+        this.name = EmbeddingProvider.HASH;
+        this.dimensions = options.dimensions || DEFAULT_EMBEDDING_OPTIONS.dimensions;
+        this.model = `hash-${this.dimensions}`;
+    }
+
+    /**
+     * Embeds a single text
+     * @param {string} text - Text to embed
+     * @returns {number[]} - Unit vector
+     */
+    embedText(text) {
+        const vector = new Array(this.dimensions).fill(0);
+        const words = text.toLowerCase().match(/[\p{L}\p{N}]+/gu) || [text];
+
+        for (const word of words) {
+            const digest = createHash('sha256').update(word).digest();
+            const index = digest.readUInt32BE(0) % this.dimensions;
+            vector[index] += (digest[4] & 1) ? 1 : -1;
+        }
+
+        const norm = Math.sqrt(vector.reduce((sum, value) => sum + value * value, 0)) || 1;
+        return vector.map(value => value / norm);
+    }
+
+    /**
+     * Embeds a batch of texts
+     * @param {string[]} texts - Texts to embed
+     * @returns {Promise<number[][]>} - One vector per text
+     */
+    async embedBatch(texts) {
+        return texts.map(text => this.embedText(text));
+    }
+}
+
+/**
+ * Batching and caching embedder on top of a provider
+ */
+export class Embedder {
+    constructor(options = {}) {
+        this.options = {
+            ...DEFAULT_EMBEDDING_OPTIONS,
+            ...options
+        };
+
+        this.provider = this.options.embeddingProvider || createEmbeddingProvider(this.options);
+        this.tokenEstimator = this.options.tokenEstimator || createTokenEstimator();
+        this.cache = this.options.cacheResults ? new Map() : null;
+        this.stats = {
+            embeddedTexts: 0,
+            cacheHits: 0,
+            batches: 0
+        };
+    }
+
+    /**
+     * Embeds texts, reusing cached vectors and sending the rest in batches
+     * @param {string[]} texts - Texts to embed
+     * @returns {Promise<number[][]>} - One vector per text, in input order
+     */
+    async embed(texts) {
+        const keys = texts.map(text => this.generateCacheKey(text));
+        const vectors = keys.map(key => this.cache?.get(key) || null);
+
+        // Embed each missing text once, even if it occurs several times
+        const pending = new Map();
+        vectors.forEach((vector, i) => {
+            if (vector) {
+                this.stats.cacheHits++;
+            } else if (!pending.has(keys[i])) {
+                pending.set(keys[i], texts[i]);
+            }
+        });
+
+        const pendingKeys = [...pending.keys()];
+        const results = new Map();
+
+        for (let start = 0; start < pendingKeys.length; start += this.options.batchSize) {
+            const batchKeys = pendingKeys.slice(start, start + this.options.batchSize);
+            const batchVectors = await this.embedBatch(batchKeys.map(key => pending.get(key)));
+
+            batchKeys.forEach((key, i) => {
+                results.set(key, batchVectors[i]);
+                this.addToCache(key, batchVectors[i]);
+            });
+        }
+
+        return vectors.map((vector, i) => vector || results.get(keys[i]));
+    }
+
+    /**
+     * Embeds one batch with the provider and checks the result
+     * @param {string[]} texts - Texts to embed
+     * @returns {Promise<number[][]>} - One vector per text
+     */
+    async embedBatch(texts) {
+        let vectors;
+        try {
+            vectors = await this.provider.embedBatch(texts);
+        } catch (error) {
+            if (error instanceof EmbeddingError) {
+                throw error;
+            }
+            throw new EmbeddingError(`Embedding failed: ${error.message}`, this.provider.name, error);
+        }
+
+        if (!Array.isArray(vectors) || vectors.length !== texts.length) {
+            throw new EmbeddingError(
+                `Provider returned ${vectors?.length ?? 0} vectors for ${texts.length} texts`,
+                this.provider.name
+            );
+        }
+
+        this.stats.batches++;
+        this.stats.embeddedTexts += texts.length;
+        return vectors;
+    }
+
+    /**
+     * Generates the cache key for a text (model and content hash)
+     * @param {string} text - Text
+     * @returns {string} - Cache key
+     */
+    generateCacheKey(text) {
+        return sha256(`${this.provider.model}\u0000${text}`);
+    }
+
+    /**
+     * Adds a vector to the cache with size management
+     * @param {string} key - Cache key
+     * @param {number[]} vector - Vector to cache
+     */
+    addToCache(key, vector) {
+        if (!this.cache) return;
+
+        // Remove oldest entries if cache is full
+        if (this.cache.size >= this.options.maxCacheSize) {
+            const firstKey = this.cache.keys().next().value;
+            this.cache.delete(firstKey);
+        }
+
+        this.cache.set(key, vector);
+    }
+
+    /**
+     * Gets provider, model and vector dimension (known after the first batch
+     * for local models)
+     * @returns {Object} - { provider, model, dimensions }
+     */
+    getInfo() {
+        return {
+            provider: this.provider.name,
+            model: this.provider.model,
+            dimensions: this.provider.dimensions
+        };
+    }
+
+    /**
+     * Gets embedding statistics, including the token usage reported by
+     * the provider (API providers only) and its estimated cost
+     * @returns {Object} - { embeddedTexts, cacheHits, batches, usageTokens, estimatedCost }
+     */
+    getStats() {
+        const usageTokens = this.provider.usage?.totalTokens || 0;
+
+        return {
+            ...this.stats,
+            usageTokens,
+            estimatedCost: Math.round(this.tokenEstimator.estimateCost(usageTokens, this.provider.model) * 100000) / 100000
+        };
+    }
+}
+
+/**
+ * Creates an embedding provider
+ * @param {Object} options - Provider options ({ provider, model, dtype, cacheDir, baseUrl, apiKey, retry, dimensions })
+ * @returns {Object} - Provider with `name`, `model`, `dimensions` and `embedBatch(texts)`
+ */
+export function createEmbeddingProvider(options = {}) {
+    switch (options.provider || DEFAULT_EMBEDDING_OPTIONS.provider) {
+        case EmbeddingProvider.LOCAL:
+            return new LocalEmbeddingProvider(options);
+        case EmbeddingProvider.OPENAI:
+            return new OpenAIEmbeddingProvider(options);
+        case EmbeddingProvider.HASH:
+            return new HashEmbeddingProvider(options);
+        default:
+            throw new EmbeddingError(`Unknown embedding provider: ${options.provider}`, options.provider);
+    }
+}
+
+/**
+ * Creates a new embedder
+ * @param {Object} options - Configuration options
+ * @returns {Embedder} - New embedder instance
+ */
+export function createEmbedder(options = {}) {
+    return new Embedder(options);
+}
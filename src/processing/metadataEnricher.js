@@ -3,11 +3,14 @@
  * 
  * This module provides metadata enrichment functionality to attach
  * source URLs, processing information, and other contextual data
- * to text chunks for better RAG system performance.
+ * to text chunks for better RAG system performance. Chunks get
+ * content-addressed IDs and the document ID of their page.
  * 
  * Requirements: 2.3, 2.4
  */
 
+import { generateChunkId, generateDocumentId } from '../utils/contentIds.js';
+
 /**
  * Error class for metadata enrichment failures
  */
@@ -31,7 +34,8 @@ export class EnrichedChunk {
         sourceMetadata = {},
         processingMetadata = {},
         contentMetadata = {},
-        customMetadata = {}
+        customMetadata = {},
+        documentUrl = ''
     } = {}) {
         this.content = content;
         this.index = index;
@@ -43,33 +47,23 @@ export class EnrichedChunk {
             custom: customMetadata,
             enrichedAt: new Date().toISOString()
         };
+        this.documentUrl = documentUrl || sourceMetadata.url || '';
+        this.documentId = generateDocumentId(this.documentUrl);
         this.id = this.generateChunkId();
     }
     
     /**
-     * Generates a unique ID for the chunk
-     * @returns {string} - Unique chunk ID
-     */
-    generateChunkId() {
-        const sourceUrl = this.metadata.source?.url || 'unknown';
-        const urlHash = this.hashString(sourceUrl);
-        const contentHash = this.hashString(this.content.substring(0, 100));
-        return `chunk_${urlHash}_${this.index}_${contentHash}`;
-    }
-    
-    /**
-     * Simple string hash function
-     * @param {string} str - String to hash
-     * @returns {string} - Hash string
+     * Generates a content-addressed ID from the page URL, section path and content
+     * @param {number} occurrence - Occurrence of identical content on the page (0 for the first)
+     * @returns {string} - SHA-256 chunk ID
      */
-    hashString(str) {
-        let hash = 0;
-        for (let i = 0; i < str.length; i++) {
-            const char = str.charCodeAt(i);
-            hash = ((hash << 5) - hash) + char;
-            hash = hash & hash; // Convert to 32-bit integer
-        }
-        return Math.abs(hash).toString(36);
+    generateChunkId(occurrence = 0) {
+        return generateChunkId({
+            url: this.documentUrl,
+            sectionPath: this.metadata.headingPath,
+            content: this.content,
+            occurrence
+        });
     }
 }
 
@@ -112,7 +106,8 @@ export class MetadataEnricher {
     /**
      * Enriches chunks with comprehensive metadata
      * @param {Array} chunks - Array of text chunks to enrich
-     * @param {Object} sourceInfo - Source information (URL, title, etc.)
+     * @param {Object} sourceInfo - Source information (URL, title, etc.; documentUrl
+     *                              overrides the URL chunk and document IDs are derived from)
      * @param {Object} processingInfo - Processing information
      * @param {Object} customMetadata - Custom metadata to attach
      * @returns {Promise<EnrichmentResult>} - Enrichment result
@@ -163,11 +158,23 @@ export class MetadataEnricher {
                         index: i,
                         metadata: chunks[i].metadata || {},
                         sourceMetadata: validatedSourceInfo,
-                        processingMetadata: { error: error.message }
+                        processingMetadata: { error: error.message },
+                        documentUrl: validatedSourceInfo.documentUrl || validatedSourceInfo.url
                     }));
                 }
             }
             
+            // Identical chunks on one page (e.g. repeated notes) still need distinct IDs
+            const occurrences = new Map();
+            for (const enrichedChunk of enrichedChunks) {
+                const count = occurrences.get(enrichedChunk.id) || 0;
+                occurrences.set(enrichedChunk.id, count + 1);
+                
+                if (count > 0) {
+                    enrichedChunk.id = enrichedChunk.generateChunkId(count);
+                }
+            }
+            
             // Calculate statistics
             const stats = this.calculateEnrichmentStats(enrichedChunks, chunks);
             
@@ -213,7 +220,9 @@ export class MetadataEnricher {
             description: sourceInfo.description || '',
             domain: sourceInfo.domain || this.extractDomain(sourceInfo.url),
             crawledAt: sourceInfo.crawledAt || new Date().toISOString(),
-            contentType: sourceInfo.contentType || 'text/markdown'
+            contentType: sourceInfo.contentType || 'text/markdown',
+            ...(sourceInfo.lastmod && { lastmod: sourceInfo.lastmod }),
+            ...(sourceInfo.canonicalUrl && { canonicalUrl: sourceInfo.canonicalUrl })
         } : {};
         
         // Build processing metadata
@@ -250,7 +259,8 @@ export class MetadataEnricher {
             sourceMetadata,
             processingMetadata,
             contentMetadata,
-            customMetadata: enrichedCustomMetadata
+            customMetadata: enrichedCustomMetadata,
+            documentUrl: sourceInfo.documentUrl || sourceInfo.url
         });
         
         // Validate metadata size
@@ -4,16 +4,52 @@
  * This module provides text chunking functionality using LangChain's
  * RecursiveCharacterTextSplitter to split large Markdown content into
  * optimal-sized segments with configurable overlap for vector database ingestion.
+ * The "markdown-headers" strategy first splits on the H1–H6 hierarchy and
+ * only splits by size within a section, recording each chunk's heading path.
+ * With `atomicBlocks` enabled, fenced code blocks and GFM tables are never cut:
+ * oversized blocks are split on line boundaries with the fence re-opened or
+ * the table header repeated. With `chunkSizeUnit: "tokens"` sizes are measured
+ * with the TokenEstimator's tokenizer and no chunk exceeds `maxTokensPerChunk`.
  * 
  * Requirements: 2.1, 2.2, 2.3
  */
 
 import { RecursiveCharacterTextSplitter } from 'langchain/text_splitter';
+import { createTokenEstimator } from './tokenEstimator.js';
+
+/**
+ * Supported chunking strategies
+ */
+export const ChunkingStrategy = {
+    RECURSIVE: 'recursive',
+    MARKDOWN_HEADERS: 'markdown-headers'
+};
+
+/**
+ * Processing method recorded in chunk metadata, by chunking strategy
+ */
+const CHUNKING_METHODS = {
+    [ChunkingStrategy.RECURSIVE]: 'langchain-recursive',
+    [ChunkingStrategy.MARKDOWN_HEADERS]: 'markdown-headers'
+};
+
+/**
+ * Units for chunkSize and chunkOverlap
+ */
+export const ChunkSizeUnit = {
+    CHARACTERS: 'characters',
+    TOKENS: 'tokens'
+};
 
 /**
  * Default configuration for text chunking
  */
 const DEFAULT_CHUNKING_OPTIONS = {
+    strategy: ChunkingStrategy.RECURSIVE,
+    headingPathSeparator: ' > ',
+    atomicBlocks: false,
+    chunkSizeUnit: ChunkSizeUnit.CHARACTERS,
+    maxTokensPerChunk: null,
     chunkSize: 1000,
     chunkOverlap: 100,
     separators: ['\n\n', '\n', ' ', ''],
@@ -64,6 +100,7 @@ export class TextChunk {
 export class ChunkingResult {
     constructor({
         success = false,
+        method = null,
         chunks = [],
         originalLength = 0,
         totalChunks = 0,
@@ -73,6 +110,7 @@ export class ChunkingResult {
         warnings = []
     } = {}) {
         this.success = success;
+        this.method = method;
         this.chunks = chunks;
         this.originalLength = originalLength;
         this.totalChunks = totalChunks;
@@ -96,6 +134,17 @@ export class TextChunker {
         // Validate options
         this.validateOptions();
         
+        // Token-based sizing measures text with the TokenEstimator's tokenizer
+        const useTokens = this.options.chunkSizeUnit === ChunkSizeUnit.TOKENS;
+        this.maxTokensPerChunk = this.options.maxTokensPerChunk || (useTokens ? this.options.chunkSize : null);
+        this.tokenEstimator = useTokens || this.maxTokensPerChunk
+            ? this.options.tokenEstimator || createTokenEstimator(this.options.tokenOptions)
+            : null;
+        
+        if (useTokens && !options.lengthFunction) {
+            this.options.lengthFunction = (text) => this.tokenEstimator.countTokens(text);
+        }
+        
         // Create LangChain text splitter
         this.splitter = new RecursiveCharacterTextSplitter({
             chunkSize: this.options.chunkSize,
@@ -125,6 +174,27 @@ export class TextChunker {
         if (!Array.isArray(this.options.separators) || this.options.separators.length === 0) {
             throw new TextChunkingError('Separators must be a non-empty array');
         }
+        
+        if (!Object.values(ChunkingStrategy).includes(this.options.strategy)) {
+            throw new TextChunkingError(`Unknown chunking strategy: ${this.options.strategy}`);
+        }
+        
+        if (!Object.values(ChunkSizeUnit).includes(this.options.chunkSizeUnit)) {
+            throw new TextChunkingError(`Unknown chunk size unit: ${this.options.chunkSizeUnit}`);
+        }
+        
+        if (this.options.maxTokensPerChunk !== null && !(this.options.maxTokensPerChunk > 0)) {
+            throw new TextChunkingError('maxTokensPerChunk must be greater than 0');
+        }
+    }
+    
+    /**
+     * Measures text in the configured chunk size unit
+     * @param {string} text - Text to measure
+     * @returns {number} - Length in characters or tokens
+     */
+    measure(text) {
+        return this.options.lengthFunction(text);
     }
     
     /**
@@ -141,6 +211,7 @@ export class TextChunker {
         if (text.trim().length === 0) {
             return new ChunkingResult({
                 success: true,
+                method: CHUNKING_METHODS[this.options.strategy],
                 chunks: [],
                 originalLength: 0,
                 totalChunks: 0,
@@ -158,15 +229,22 @@ export class TextChunker {
             // Pre-process text for better chunking
             const processedText = this.preprocessText(text, warnings);
             
-            // Split text using LangChain splitter
-            const rawChunks = await this.splitter.splitText(processedText);
+            // Split text using the configured strategy
+            let { rawChunks, chunkMetadata } = this.options.strategy === ChunkingStrategy.MARKDOWN_HEADERS
+                ? await this.splitByHeadings(processedText)
+                : { rawChunks: await this.splitText(processedText), chunkMetadata: [] };
+            
+            // Guarantee the token limit even for oversized atomic blocks
+            if (this.maxTokensPerChunk) {
+                ({ rawChunks, chunkMetadata } = await this.enforceTokenLimit(rawChunks, chunkMetadata, warnings));
+            }
             
             if (rawChunks.length === 0) {
                 throw new TextChunkingError('Text splitter returned no chunks');
             }
             
             // Create enhanced chunks with metadata and overlap information
-            const chunks = this.createEnhancedChunks(rawChunks, processedText, metadata);
+            const chunks = this.createEnhancedChunks(rawChunks, processedText, metadata, chunkMetadata);
             
             // Calculate statistics
             const stats = this.calculateStats(chunks, text.length);
@@ -175,6 +253,7 @@ export class TextChunker {
             
             return new ChunkingResult({
                 success: true,
+                method: CHUNKING_METHODS[this.options.strategy],
                 chunks,
                 originalLength: text.length,
                 totalChunks: chunks.length,
@@ -206,6 +285,15 @@ export class TextChunker {
         // Normalize line endings
         processed = processed.replace(/\r\n/g, '\n').replace(/\r/g, '\n');
         
+        // Keep fenced code verbatim (indentation, "#" comments) in atomic mode
+        const codeBlocks = [];
+        if (this.options.atomicBlocks) {
+            processed = processed.replace(/^[ \t]*(`{3,}|~{3,})[^\n]*\n[\s\S]*?^[ \t]*\1[ \t]*$/gm, (block) => {
+                codeBlocks.push(block);
+                return `\n\n\u0000${codeBlocks.length - 1}\u0000\n\n`;
+            });
+        }
+        
         // Fix excessive whitespace but preserve intentional formatting
         processed = processed.replace(/[ \t]+/g, ' '); // Multiple spaces/tabs to single space
         processed = processed.replace(/\n{4,}/g, '\n\n\n'); // Limit consecutive newlines
@@ -218,27 +306,402 @@ export class TextChunker {
         processed = processed.replace(/([^\n])\n```/g, '$1\n\n```');
         processed = processed.replace(/```\n([^\n])/g, '```\n\n$1');
         
+        if (codeBlocks.length > 0) {
+            processed = processed
+                .replace(/\n*\u0000(\d+)\u0000\n*/g, (match, index) => `\n\n${codeBlocks[index]}\n\n`)
+                .trim();
+        }
+        
         // Check for potential issues
         if (processed.length < text.length * 0.8) {
             warnings.push('Significant text reduction during preprocessing');
         }
         
         const codeBlockCount = (processed.match(/```/g) || []).length / 2;
-        if (codeBlockCount > 10) {
+        if (codeBlockCount > 10 && !this.options.atomicBlocks) {
             warnings.push(`Many code blocks detected (${codeBlockCount}) - chunking may split code`);
         }
         
         return processed;
     }
     
+    /**
+     * Splits text by size, keeping code blocks and tables intact when atomicBlocks is enabled
+     * @param {string} text - Text to split
+     * @param {Object} limit - { splitter, maxSize, measure } to split by (defaults to the chunk size)
+     * @returns {Promise<string[]>} - Raw chunks
+     */
+    async splitText(text, limit = this.getChunkSizeLimit()) {
+        const { splitter, maxSize, measure } = limit;
+        
+        if (!this.options.atomicBlocks) {
+            return await splitter.splitText(text);
+        }
+        
+        // Split into pieces that each fit a chunk (except single oversized lines)
+        const pieces = [];
+        const segments = this.parseBlocks(text);
+        
+        for (let i = 0; i < segments.length; i++) {
+            const segment = segments[i];
+            const parts = segment.type === 'text'
+                ? await splitter.splitText(segment.content)
+                : this.splitBlock(segment, limit);
+            
+            parts.forEach(content => pieces.push({ content, segment: i, type: segment.type }));
+        }
+        
+        // Pack pieces back together, never merging two splitter parts of the same
+        // text segment since they already carry the configured overlap
+        const chunks = [];
+        let current = null;
+        
+        for (const piece of pieces) {
+            const merged = current && `${current.content}\n\n${piece.content}`;
+            const sameTextSegment = current && piece.type === 'text' && current.segments.has(piece.segment);
+            
+            if (merged && !sameTextSegment && measure(merged) <= maxSize) {
+                current.content = merged;
+                current.segments.add(piece.segment);
+            } else {
+                if (current) chunks.push(current.content);
+                current = { content: piece.content, segments: new Set([piece.segment]) };
+            }
+        }
+        
+        if (current) chunks.push(current.content);
+        
+        return chunks;
+    }
+    
+    /**
+     * Gets the size limit of regular chunks
+     * @returns {Object} - { splitter, maxSize, measure } in the configured chunk size unit
+     */
+    getChunkSizeLimit() {
+        return {
+            splitter: this.splitter,
+            maxSize: this.options.chunkSize,
+            measure: (text) => this.measure(text)
+        };
+    }
+    
+    /**
+     * Gets the size limit of maxTokensPerChunk
+     * @returns {Object} - { splitter, maxSize, measure } in tokens
+     */
+    getTokenLimit() {
+        if (!this.tokenLimit) {
+            const useTokens = this.options.chunkSizeUnit === ChunkSizeUnit.TOKENS;
+            const countTokens = (text) => this.tokenEstimator.countTokens(text);
+            
+            this.tokenLimit = {
+                splitter: new RecursiveCharacterTextSplitter({
+                    chunkSize: this.maxTokensPerChunk,
+                    chunkOverlap: useTokens ? Math.min(this.options.chunkOverlap, Math.floor(this.maxTokensPerChunk / 2)) : 0,
+                    separators: this.options.separators,
+                    keepSeparator: this.options.keepSeparator,
+                    lengthFunction: countTokens
+                }),
+                maxSize: this.maxTokensPerChunk,
+                measure: countTokens
+            };
+        }
+        
+        return this.tokenLimit;
+    }
+    
+    /**
+     * Re-splits chunks that exceed maxTokensPerChunk (through splitText, so
+     * code blocks and tables stay self-contained when atomicBlocks is enabled)
+     * @param {string[]} rawChunks - Raw chunks
+     * @param {Object[]} chunkMetadata - Per-chunk metadata, by index
+     * @param {Array} warnings - Array to collect warnings
+     * @returns {Promise<Object>} - { rawChunks, chunkMetadata } within the token limit
+     */
+    async enforceTokenLimit(rawChunks, chunkMetadata, warnings) {
+        const limitedChunks = [];
+        const limitedMetadata = [];
+        let resplitCount = 0;
+        let oversizedCount = 0;
+        
+        for (let i = 0; i < rawChunks.length; i++) {
+            if (this.tokenEstimator.countTokens(rawChunks[i]) <= this.maxTokensPerChunk) {
+                limitedChunks.push(rawChunks[i]);
+                limitedMetadata.push(chunkMetadata[i]);
+                continue;
+            }
+            
+            resplitCount++;
+            for (const part of await this.splitText(rawChunks[i], this.getTokenLimit())) {
+                if (this.tokenEstimator.countTokens(part) > this.maxTokensPerChunk) {
+                    oversizedCount++;
+                }
+                limitedChunks.push(part);
+                limitedMetadata.push(chunkMetadata[i]);
+            }
+        }
+        
+        if (resplitCount > 0) {
+            warnings.push(`${resplitCount} chunks exceeded ${this.maxTokensPerChunk} tokens and were split further`);
+        }
+        
+        if (oversizedCount > 0) {
+            warnings.push(`${oversizedCount} chunks still exceed ${this.maxTokensPerChunk} tokens because a single code or table line is longer`);
+        }
+        
+        return { rawChunks: limitedChunks, chunkMetadata: limitedMetadata };
+    }
+    
+    /**
+     * Splits Markdown into text, fenced code and table segments
+     * @param {string} text - Markdown text
+     * @returns {Array} - Segments ({ type: 'text' | 'code' | 'table', content, lines })
+     */
+    parseBlocks(text) {
+        const lines = text.split('\n');
+        const segments = [];
+        let textLines = [];
+        
+        const flushText = () => {
+            const content = textLines.join('\n').trim();
+            if (content) {
+                segments.push({ type: 'text', content });
+            }
+            textLines = [];
+        };
+        
+        let i = 0;
+        while (i < lines.length) {
+            const fenceMatch = lines[i].match(/^\s*(`{3,}|~{3,})/);
+            
+            if (fenceMatch) {
+                // Fenced code block: runs until a closing fence of the same kind
+                const fence = fenceMatch[1];
+                const closing = new RegExp(`^\\s*${fence[0]}{${fence.length},}\\s*$`);
+                let end = i + 1;
+                while (end < lines.length && !closing.test(lines[end])) {
+                    end++;
+                }
+                
+                flushText();
+                const blockLines = lines.slice(i, Math.min(end + 1, lines.length));
+                segments.push({ type: 'code', content: blockLines.join('\n'), lines: blockLines });
+                i = end + 1;
+                continue;
+            }
+            
+            if (this.isTableRow(lines[i]) && i + 1 < lines.length && /^\s*\|?\s*:?-{3,}/.test(lines[i + 1])) {
+                // GFM table: header, separator and all following rows
+                let end = i + 2;
+                while (end < lines.length && this.isTableRow(lines[end])) {
+                    end++;
+                }
+                
+                flushText();
+                const blockLines = lines.slice(i, end);
+                segments.push({ type: 'table', content: blockLines.join('\n'), lines: blockLines });
+                i = end;
+                continue;
+            }
+            
+            textLines.push(lines[i]);
+            i++;
+        }
+        
+        flushText();
+        
+        return segments;
+    }
+    
+    /**
+     * Checks whether a line is a GFM table row
+     * @param {string} line - Markdown line
+     * @returns {boolean} - True for table rows
+     */
+    isTableRow(line) {
+        return /^\s*\|.*\|\s*$/.test(line);
+    }
+    
+    /**
+     * Splits an oversized code block or table on line boundaries
+     * @param {Object} segment - Code or table segment
+     * @param {Object} limit - { maxSize, measure } to split by (defaults to the chunk size)
+     * @returns {string[]} - Self-contained parts (fence re-opened / header repeated)
+     */
+    splitBlock(segment, limit = this.getChunkSizeLimit()) {
+        const { maxSize, measure } = limit;
+        
+        if (measure(segment.content) <= maxSize) {
+            return [segment.content];
+        }
+        
+        let head;
+        let body;
+        let tail;
+        
+        if (segment.type === 'code') {
+            const closed = segment.lines.length > 1 && /^\s*(`{3,}|~{3,})\s*$/.test(segment.lines[segment.lines.length - 1]);
+            head = [segment.lines[0]];
+            body = segment.lines.slice(1, closed ? -1 : undefined);
+            tail = [closed ? segment.lines[segment.lines.length - 1] : segment.lines[0].trim().match(/^(`{3,}|~{3,})/)[1]];
+        } else {
+            head = segment.lines.slice(0, 2);
+            body = segment.lines.slice(2);
+            tail = [];
+        }
+        
+        const frameLength = measure([...head, ...tail].join('\n')) + 1;
+        const parts = [];
+        let lines = [];
+        let length = frameLength;
+        
+        for (const line of body) {
+            const lineLength = measure(line) + 1;
+            
+            if (lines.length > 0 && length + lineLength > maxSize) {
+                parts.push([...head, ...lines, ...tail].join('\n'));
+                lines = [];
+                length = frameLength;
+            }
+            
+            lines.push(line);
+            length += lineLength;
+        }
+        
+        if (lines.length > 0 || parts.length === 0) {
+            parts.push([...head, ...lines, ...tail].join('\n'));
+        }
+        
+        return parts;
+    }
+    
+    /**
+     * Splits Markdown into sections by heading, then splits large sections by size
+     * @param {string} text - Pre-processed Markdown
+     * @returns {Promise<Object>} - { rawChunks, chunkMetadata } with the heading path of every chunk
+     */
+    async splitByHeadings(text) {
+        const rawChunks = [];
+        const chunkMetadata = [];
+        
+        for (const section of this.parseSections(text)) {
+            const content = section.content.trim();
+            if (!content) continue;
+            
+            const sectionChunks = this.measure(content) > this.options.chunkSize
+                ? await this.splitText(content)
+                : [content];
+            
+            for (const chunkContent of sectionChunks) {
+                rawChunks.push(chunkContent);
+                chunkMetadata.push({
+                    headings: section.headings,
+                    headingPath: section.headings.join(this.options.headingPathSeparator),
+                    headingLevel: section.level
+                });
+            }
+        }
+        
+        return { rawChunks, chunkMetadata };
+    }
+    
+    /**
+     * Parses Markdown into sections delimited by ATX headings (ignoring code fences)
+     * @param {string} text - Markdown text
+     * @returns {Array} - Sections ({ headings, level, content })
+     */
+    parseSections(text) {
+        const sections = [];
+        const headingStack = [];
+        let current = { headings: [], level: 0, lines: [] };
+        let pendingHeadings = [];
+        let fence = null;
+        
+        const flush = () => {
+            const body = current.lines.join('\n').trim();
+            
+            if (body) {
+                sections.push({
+                    headings: current.headings,
+                    level: current.level,
+                    content: [...pendingHeadings, current.heading, body].filter(Boolean).join('\n\n')
+                });
+                pendingHeadings = [];
+            } else if (current.heading) {
+                // Heading without body text - keep it with the next section's content
+                pendingHeadings.push(current.heading);
+            }
+        };
+        
+        for (const line of text.split('\n')) {
+            const fenceMatch = line.match(/^\s*(```|~~~)/);
+            if (fenceMatch) {
+                if (!fence) {
+                    fence = fenceMatch[1];
+                } else if (fenceMatch[1] === fence) {
+                    fence = null;
+                }
+            }
+            
+            const headingMatch = !fence && !fenceMatch && line.match(/^(#{1,6})\s+(.+?)\s*#*\s*$/);
+            if (!headingMatch) {
+                current.lines.push(line);
+                continue;
+            }
+            
+            flush();
+            
+            const level = headingMatch[1].length;
+            while (headingStack.length > 0 && headingStack[headingStack.length - 1].level >= level) {
+                headingStack.pop();
+            }
+            headingStack.push({ level, text: this.cleanHeadingText(headingMatch[2]) });
+            
+            current = {
+                headings: headingStack.map(heading => heading.text),
+                level,
+                heading: line,
+                lines: []
+            };
+        }
+        
+        flush();
+        
+        // Trailing headings without any body text
+        if (pendingHeadings.length > 0) {
+            sections.push({
+                headings: current.headings,
+                level: current.level,
+                content: pendingHeadings.join('\n\n')
+            });
+        }
+        
+        return sections;
+    }
+    
+    /**
+     * Strips Markdown formatting and permalink markers from heading text
+     * @param {string} text - Raw heading text
+     * @returns {string} - Plain heading text
+     */
+    cleanHeadingText(text) {
+        return text
+            .replace(/!?\[([^\]]*)\]\([^)]*\)/g, '$1')
+            .replace(/[*_`]/g, '')
+            .replace(/[¶#]+\s*$/, '')
+            .trim();
+    }
+    
     /**
      * Creates enhanced chunks with metadata and overlap information
      * @param {string[]} rawChunks - Raw text chunks from splitter
      * @param {string} originalText - Original processed text
      * @param {Object} baseMetadata - Base metadata to attach
+     * @param {Object[]} chunkMetadata - Per-chunk metadata (e.g. heading path), by index
      * @returns {TextChunk[]} - Enhanced chunks
      */
-    createEnhancedChunks(rawChunks, originalText, baseMetadata) {
+    createEnhancedChunks(rawChunks, originalText, baseMetadata, chunkMetadata = []) {
         const chunks = [];
         let currentOffset = 0;
         
@@ -265,6 +728,7 @@ export class TextChunker {
                 overlapEnd: estimatedOverlapEnd,
                 metadata: {
                     ...baseMetadata,
+                    ...chunkMetadata[i],
                     chunkIndex: i,
                     totalChunks: rawChunks.length,
                     isFirst: i === 0,
@@ -272,7 +736,8 @@ export class TextChunker {
                     hasOverlapStart: estimatedOverlapStart > 0,
                     hasOverlapEnd: estimatedOverlapEnd > 0,
                     chunkSize: this.options.chunkSize,
-                    chunkOverlap: this.options.chunkOverlap
+                    chunkOverlap: this.options.chunkOverlap,
+                    chunkSizeUnit: this.options.chunkSizeUnit
                 }
             });
             
@@ -358,8 +823,24 @@ export class TextChunker {
             }
             
             // Check size constraints
-            if (chunk.length > this.options.chunkSize * 1.5) {
-                result.warnings.push(`Chunk ${i} exceeds expected size: ${chunk.length} chars`);
+            const size = this.measure(chunk.content || '');
+            if (size > this.options.chunkSize * 1.5) {
+                result.warnings.push(`Chunk ${i} exceeds expected size: ${size} ${this.options.chunkSizeUnit}`);
+            }
+            
+            // Check the hard token limit
+            if (this.maxTokensPerChunk) {
+                const tokenCount = this.tokenEstimator.countTokens(chunk.content || '');
+                if (tokenCount > this.maxTokensPerChunk) {
+                    result.valid = false;
+                    result.errors.push(`Chunk ${i} exceeds maxTokensPerChunk: ${tokenCount} > ${this.maxTokensPerChunk} tokens`);
+                }
+            }
+            
+            // Check for code fences cut in half
+            if (this.options.atomicBlocks && ((chunk.content || '').match(/^\s*(`{3,}|~{3,})/gm) || []).length % 2 !== 0) {
+                result.valid = false;
+                result.errors.push(`Chunk ${i} contains an unbalanced code fence`);
             }
             
             // Check overlap consistency
@@ -382,6 +863,9 @@ export class TextChunker {
      */
     getInfo() {
         return {
+            strategy: this.options.strategy,
+            chunkSizeUnit: this.options.chunkSizeUnit,
+            maxTokensPerChunk: this.maxTokensPerChunk,
             options: { ...this.options },
             splitterConfig: {
                 chunkSize: this.splitter.chunkSize,
@@ -159,7 +159,7 @@ export class TextProcessor {
                 chunkingResult.chunks,
                 sourceInfo,
                 {
-                    method: 'langchain-recursive',
+                    method: chunkingResult.method,
                     chunkingOptions: this.options,
                     processingTime: Date.now() - startTime
                 },
@@ -302,6 +302,7 @@ export class TextProcessor {
                     tokens: {
                         count: tokenResult.tokenCount || 0,
                         model: tokenResult.model || this.options.tokenModel,
+                        tokenizer: tokenResult.tokenizer || 'unknown',
                         estimatedCost: tokenResult.estimatedCost || 0,
                         tokensPerCharacter: tokenResult.tokensPerCharacter || 0,
                         tokensPerWord: tokenResult.tokensPerWord || 0
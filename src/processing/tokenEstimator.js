@@ -3,12 +3,16 @@
  * 
  * This module provides token count estimation functionality using
  * gpt-tokenizer to help with cost planning and chunk size optimization
- * for vector database ingestion and LLM processing.
+ * for vector database ingestion and LLM processing. Tokenizers are looked
+ * up per model: OpenAI models use their cl100k or o200k encoding, other
+ * model families (Llama, Mistral, Claude, ...) a heuristic estimate, and
+ * custom tokenizers can be added with `registerTokenizer`.
  * 
  * Requirements: 2.5
  */
 
-import { encode, decode } from 'gpt-tokenizer';
+import { encode as encodeCl100k } from 'gpt-tokenizer/encoding/cl100k_base';
+import { encode as encodeO200k } from 'gpt-tokenizer/encoding/o200k_base';
 
 /**
  * Default configuration for token estimation
@@ -20,6 +24,93 @@ const DEFAULT_TOKEN_OPTIONS = {
     maxCacheSize: 1000
 };
 
+/**
+ * Built-in tokenizer names
+ */
+export const Tokenizer = {
+    CL100K: 'cl100k_base',
+    O200K: 'o200k_base',
+    HEURISTIC: 'heuristic'
+};
+
+/**
+ * Estimates tokens for models without a bundled tokenizer. SentencePiece
+ * vocabularies (Llama, Mistral) and Claude's tokenizer average roughly
+ * 3.5 characters per token on English text, and never fewer tokens than
+ * words and punctuation marks.
+ * @param {string} text - Text to estimate
+ * @returns {number} - Estimated token count
+ */
+function estimateTokensHeuristically(text) {
+    const pieces = text.match(/\w+|[^\w\s]/g)?.length || 0;
+    return Math.ceil(Math.max(text.length / 3.5, pieces));
+}
+
+const BUILTIN_TOKENIZERS = {
+    [Tokenizer.CL100K]: (text) => encodeCl100k(text).length,
+    [Tokenizer.O200K]: (text) => encodeO200k(text).length,
+    [Tokenizer.HEURISTIC]: estimateTokensHeuristically
+};
+
+/**
+ * Model → tokenizer registry, checked in order (first match wins).
+ * Custom registrations are added to the front.
+ */
+const tokenizerRegistry = [
+    { pattern: /^(gpt-4o|gpt-4\.1|gpt-4\.5|gpt-5|chatgpt-4o|o[134](-|$))/i, name: Tokenizer.O200K },
+    { pattern: /^(gpt-4|gpt-3\.5|text-embedding-)/i, name: Tokenizer.CL100K },
+    { pattern: /(llama|mistral|mixtral|codestral|claude)/i, name: Tokenizer.HEURISTIC }
+];
+
+/**
+ * Incremented on every registration, so estimators resolve again
+ */
+let registryVersion = 0;
+
+/**
+ * Registers a tokenizer for a model
+ * @param {string|RegExp} model - Model name (case-insensitive) or pattern
+ * @param {Function|string} tokenizer - `(text) => tokenCount | tokens[]`, or a built-in tokenizer name
+ * @param {Object} options - Options ({ name } to report in token metadata)
+ */
+export function registerTokenizer(model, tokenizer, options = {}) {
+    const count = typeof tokenizer === 'string' ? BUILTIN_TOKENIZERS[tokenizer] : tokenizer;
+    if (typeof count !== 'function') {
+        throw new TokenEstimationError(`Invalid tokenizer for model ${model}: ${tokenizer}`);
+    }
+    
+    const pattern = model instanceof RegExp
+        ? model
+        : new RegExp(`^${String(model).replace(/[.*+?^${}()|[\]\\]/g, '\\$&')}$`, 'i');
+    
+    tokenizerRegistry.unshift({
+        pattern,
+        name: options.name || (typeof tokenizer === 'string' ? tokenizer : `custom:${model}`),
+        count
+    });
+    registryVersion++;
+}
+
+/**
+ * Resolves the tokenizer for a model
+ * @param {string} model - Model name
+ * @returns {Object} - { name, count, fallback } where count(text) returns a token count
+ */
+export function resolveTokenizer(model) {
+    const entry = tokenizerRegistry.find(candidate => candidate.pattern.test(model || ''));
+    const name = entry ? entry.name : Tokenizer.HEURISTIC;
+    const count = entry?.count || BUILTIN_TOKENIZERS[name];
+    
+    return {
+        name,
+        count: (text) => {
+            const result = count(text);
+            return Array.isArray(result) ? result.length : result;
+        },
+        fallback: !entry
+    };
+}
+
 /**
  * Error class for token estimation failures
  */
@@ -44,6 +135,7 @@ export class TokenEstimationResult {
         tokensPerCharacter = 0,
         tokensPerWord = 0,
         model = 'unknown',
+        tokenizer = 'unknown',
         estimatedCost = 0,
         warnings = []
     } = {}) {
@@ -54,6 +146,7 @@ export class TokenEstimationResult {
         this.tokensPerCharacter = tokensPerCharacter;
         this.tokensPerWord = tokensPerWord;
         this.model = model;
+        this.tokenizer = tokenizer;
         this.estimatedCost = estimatedCost;
         this.warnings = warnings;
         this.estimatedAt = new Date().toISOString();
@@ -100,6 +193,10 @@ export class TokenEstimator {
         // Token cache for performance
         this.cache = this.options.cacheResults ? new Map() : null;
         
+        // Resolved tokenizers by model, valid for one registry version
+        this.tokenizers = new Map();
+        this.registryVersion = registryVersion;
+        
         // Cost per token for different models (in USD per 1K tokens)
         this.costPerToken = {
             'gpt-3.5-turbo': 0.0015, // Input tokens
@@ -112,6 +209,52 @@ export class TokenEstimator {
         };
     }
     
+    /**
+     * Gets the tokenizer for a model. Tokenizers are resolved once per model
+     * and resolved again after `registerTokenizer` is called; cached
+     * estimates are dropped then as well.
+     * @param {string} model - Model name
+     * @returns {Object} - Resolved tokenizer ({ name, count, fallback })
+     */
+    getTokenizer(model = this.options.model) {
+        if (this.registryVersion !== registryVersion) {
+            this.tokenizers.clear();
+            this.cache?.clear();
+            this.registryVersion = registryVersion;
+        }
+        
+        if (!this.tokenizers.has(model)) {
+            const tokenizer = resolveTokenizer(model);
+            if (tokenizer.fallback) {
+                console.warn(`⚠️ No tokenizer registered for model "${model}", using heuristic token estimates`);
+            }
+            this.tokenizers.set(model, tokenizer);
+        }
+        
+        return this.tokenizers.get(model);
+    }
+    
+    /**
+     * Counts tokens in a text synchronously (e.g. as a splitter length function)
+     * @param {string} text - Text to count tokens for
+     * @param {string} model - Model whose tokenizer to use
+     * @returns {number} - Number of tokens
+     */
+    countTokens(text, model = this.options.model) {
+        return text ? this.getTokenizer(model).count(text) : 0;
+    }
+    
+    /**
+     * Estimates the cost of a token count (e.g. actual usage reported by an API)
+     * @param {number} tokenCount - Number of tokens
+     * @param {string} model - Model name
+     * @returns {number} - Cost in USD (0 for models without a known price)
+     */
+    estimateCost(tokenCount, model = this.options.model) {
+        const costPerThousand = this.costPerToken[model] || 0;
+        return (tokenCount / 1000) * costPerThousand;
+    }
+    
     /**
      * Estimates token count for a single text
      * @param {string} text - Text to estimate tokens for
@@ -129,7 +272,8 @@ export class TokenEstimator {
                 tokenCount: 0,
                 characterCount: 0,
                 wordCount: 0,
-                model: this.options.model,
+                model: options.model || this.options.model,
+                tokenizer: this.getTokenizer(options.model || this.options.model).name,
                 warnings: ['Empty text provided']
             });
         }
@@ -138,6 +282,9 @@ export class TokenEstimator {
         const model = options.model || this.options.model;
         
         try {
+            // Resolve the tokenizer first, which drops cached estimates after a registration
+            const tokenizer = this.getTokenizer(model);
+            
             // Check cache first
             const cacheKey = this.generateCacheKey(text, model);
             if (this.cache && this.cache.has(cacheKey)) {
@@ -148,9 +295,12 @@ export class TokenEstimator {
                 });
             }
             
-            // Tokenize the text
-            const tokens = encode(text);
-            const tokenCount = tokens.length;
+            // Tokenize the text with the model's tokenizer
+            const tokenCount = tokenizer.count(text);
+            
+            if (tokenizer.name === Tokenizer.HEURISTIC) {
+                warnings.push(`Token count for ${model} is a heuristic estimate`);
+            }
             
             // Calculate basic metrics
             const characterCount = text.length;
@@ -159,8 +309,7 @@ export class TokenEstimator {
             const tokensPerWord = wordCount > 0 ? tokenCount / wordCount : 0;
             
             // Estimate cost
-            const costPerThousand = this.costPerToken[model] || 0;
-            const estimatedCost = (tokenCount / 1000) * costPerThousand;
+            const estimatedCost = this.estimateCost(tokenCount, model);
             
             // Check for potential issues
             if (tokenCount > 8000) {
@@ -179,6 +328,7 @@ export class TokenEstimator {
                 tokensPerCharacter: Math.round(tokensPerCharacter * 1000) / 1000,
                 tokensPerWord: Math.round(tokensPerWord * 100) / 100,
                 model,
+                tokenizer: tokenizer.name,
                 estimatedCost: Math.round(estimatedCost * 100000) / 100000, // Round to 5 decimal places
                 warnings
             });
@@ -376,6 +526,7 @@ export class TokenEstimator {
             tokensPerCharacter: result.tokensPerCharacter,
             tokensPerWord: result.tokensPerWord,
             model: result.model,
+            tokenizer: result.tokenizer,
             estimatedCost: result.estimatedCost,
             warnings: result.warnings
         });
@@ -500,6 +651,7 @@ export class TokenEstimator {
         return {
             options: { ...this.options },
             supportedModels: Object.keys(this.costPerToken),
+            tokenizer: this.getTokenizer().name,
             cache: this.getCacheStats()
         };
     }
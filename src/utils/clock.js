@@ -0,0 +1,31 @@
+/**
+ * Clock for RAG Spider
+ *
+ * Components that wait (rate limiting, retry backoff) read the time and
+ * sleep through a clock object, so a fake clock can replace the system
+ * clock when their timing is exercised.
+ *
+ * Requirements: 4.1
+ */
+
+/**
+ * Clock backed by Date.now() and setTimeout()
+ */
+export const systemClock = {
+    /**
+     * Gets the current time
+     * @returns {number} - Milliseconds since the epoch
+     */
+    now() {
+        return Date.now();
+    },
+
+    /**
+     * Waits for the given time
+     * @param {number} ms - Milliseconds to wait
+     * @returns {Promise<void>}
+     */
+    sleep(ms) {
+        return new Promise(resolve => setTimeout(resolve, Math.max(0, ms)));
+    }
+};
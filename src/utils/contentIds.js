@@ -0,0 +1,60 @@
+/**
+ * Content-Addressed IDs for RAG Spider
+ *
+ * This module derives stable document and chunk IDs for vector database
+ * upserts. A document ID is the SHA-256 of the page's document URL (its
+ * canonical URL, or the URL as normalized by the UrlNormalizer that keys
+ * the request queue); a chunk ID is the SHA-256 of the document URL, the
+ * chunk's section path and its content, so editing one paragraph only
+ * changes the IDs of the chunks that actually changed.
+ *
+ * Requirements: 2.3
+ */
+
+import { createHash } from 'node:crypto';
+
+/**
+ * Hashes a string with SHA-256
+ * @param {string} value - Value to hash
+ * @returns {string} - Hex digest
+ */
+export function sha256(value) {
+    return createHash('sha256').update(value).digest('hex');
+}
+
+/**
+ * Generates the document ID of a page
+ * @param {string} url - Document URL (canonical or normalized page URL)
+ * @returns {string} - SHA-256 hex digest of the URL
+ */
+export function generateDocumentId(url) {
+    return sha256(String(url || ''));
+}
+
+/**
+ * Generates a content-addressed chunk ID
+ * @param {Object} chunk - { url, sectionPath, content, occurrence } with the document URL as url
+ *                         where occurrence (> 0) disambiguates identical chunks on a page
+ * @returns {string} - SHA-256 hex digest
+ */
+export function generateChunkId({ url, sectionPath = '', content = '', occurrence = 0 }) {
+    const parts = [String(url || ''), sectionPath || '', content];
+
+    if (occurrence > 0) {
+        parts.push(String(occurrence));
+    }
+
+    // NUL cannot appear in URLs or heading paths, so parts cannot run together
+    return sha256(parts.join('\u0000'));
+}
+
+/**
+ * Formats the first 128 bits of a hex ID as a UUID, for stores that only
+ * accept UUIDs or integers as IDs (e.g. Qdrant, Weaviate)
+ * @param {string} hexId - Hex digest (at least 32 characters)
+ * @returns {string} - UUID string
+ */
+export function toUuid(hexId) {
+    const hex = hexId.slice(0, 32).toLowerCase();
+    return `${hex.slice(0, 8)}-${hex.slice(8, 12)}-${hex.slice(12, 16)}-${hex.slice(16, 20)}-${hex.slice(20, 32)}`;
+}
@@ -7,6 +7,8 @@
  * Requirements: 4.1, 4.2, 4.4
  */
 
+import { systemClock } from './clock.js';
+
 /**
  * Error categories for different types of failures
  */
@@ -18,6 +20,12 @@ export const ErrorCategory = {
     VALIDATION: 'validation',
     TIMEOUT: 'timeout',
     RATE_LIMIT: 'rate_limit',
+    // HTTP 4xx responses that will not change on retry
+    CLIENT_ERROR: 'client_error',
+    // HTTP 5xx responses, usually transient
+    SERVER_ERROR: 'server_error',
+    // Certificate and TLS handshake failures that will not change on retry
+    TLS: 'tls',
     MEMORY: 'memory',
     UNKNOWN: 'unknown'
 };
@@ -53,7 +61,8 @@ export class CrawlerError extends Error {
         const retryableCategories = [
             ErrorCategory.NETWORK,
             ErrorCategory.TIMEOUT,
-            ErrorCategory.RATE_LIMIT
+            ErrorCategory.RATE_LIMIT,
+            ErrorCategory.SERVER_ERROR
         ];
         return retryableCategories.includes(this.category);
     }
@@ -70,31 +79,158 @@ export class CrawlerError extends Error {
 }
 
 /**
- * Retry policy configuration and execution
+ * How retry delays are randomized
+ */
+export const JitterMode = {
+    // Exponential delay without randomization
+    NONE: 'none',
+    // Uniform between 0 and the exponential delay
+    FULL: 'full',
+    // Uniform between the base delay and three times the previous delay
+    DECORRELATED: 'decorrelated'
+};
+
+/**
+ * Status codes whose Retry-After header is honored
+ */
+export const RETRY_AFTER_STATUS_CODES = [429, 503];
+
+/**
+ * Default configuration for retry policies
+ */
+export const DEFAULT_RETRY_OPTIONS = {
+    maxRetries: 3,
+    baseDelay: 1000,
+    maxDelay: 30000,
+    backoffMultiplier: 2,
+    // JitterMode, or true (full) / false (none)
+    jitter: JitterMode.FULL,
+    maxRetryAfter: 60000,
+    // Category → retries allowed over the policy's lifetime (unlisted categories are unlimited)
+    retryBudgets: {},
+    clock: systemClock,
+    random: Math.random
+};
+
+/**
+ * Retry policy with capped exponential backoff, jitter, Retry-After
+ * support and per-category retry budgets
  */
 export class RetryPolicy {
     constructor(config = {}) {
         this.config = { 
-            maxRetries: 3, 
-            baseDelay: 1000, 
+            ...DEFAULT_RETRY_OPTIONS,
             ...config 
         };
+        this.config.jitter = this.config.jitter === true
+            ? JitterMode.FULL
+            : this.config.jitter || JitterMode.NONE;
+        this.clock = this.config.clock;
         this.attempts = new Map();
+        this.retriesByCategory = new Map();
+    }
+    
+    /**
+     * Calculates the backoff delay before a retry
+     * @param {number} attempt - Number of failed attempts so far (1 for the first retry)
+     * @param {number} previousDelay - Delay before the previous retry (decorrelated jitter)
+     * @returns {number} - Delay in milliseconds, at most maxDelay
+     */
+    calculateDelay(attempt, previousDelay = 0) {
+        const { baseDelay, maxDelay, backoffMultiplier, jitter, random } = this.config;
+        
+        if (jitter === JitterMode.DECORRELATED) {
+            const upper = Math.max(baseDelay, (previousDelay || baseDelay) * 3);
+            return Math.min(maxDelay, baseDelay + random() * (upper - baseDelay));
+        }
+        
+        const delay = Math.min(maxDelay, baseDelay * Math.pow(backoffMultiplier, Math.max(0, attempt - 1)));
+        return jitter === JitterMode.FULL ? random() * delay : delay;
     }
     
-    calculateDelay(attempt) {
-        return this.config.baseDelay * attempt;
+    /**
+     * Gets the delay a 429 or 503 response asked for (context.retryAfterMs,
+     * capped at maxRetryAfter)
+     * @param {Error} error - Failed attempt's error
+     * @returns {number} - Delay in milliseconds (0 if none was given)
+     */
+    getRetryAfter(error) {
+        const { retryAfterMs, statusCode } = error?.context || {};
+        if (!retryAfterMs || (statusCode && !RETRY_AFTER_STATUS_CODES.includes(statusCode))) {
+            return 0;
+        }
+        
+        return Math.min(retryAfterMs, this.config.maxRetryAfter);
+    }
+    
+    /**
+     * Gets the delay before the next attempt, waiting at least as long as
+     * a rate-limited server asked for
+     * @param {Error} error - Failed attempt's error
+     * @param {number} attempt - Number of failed attempts so far
+     * @param {number} previousDelay - Delay before the previous retry
+     * @returns {number} - Delay in milliseconds
+     */
+    getRetryDelay(error, attempt, previousDelay = 0) {
+        return Math.max(this.calculateDelay(attempt, previousDelay), this.getRetryAfter(error));
+    }
+    
+    /**
+     * Gets the retries left in a category's budget
+     * @param {string} category - ErrorCategory
+     * @returns {number} - Retries left (Infinity without a budget)
+     */
+    getRemainingBudget(category) {
+        const budget = this.config.retryBudgets[category];
+        if (budget === undefined || budget === null) {
+            return Infinity;
+        }
+        
+        return Math.max(0, budget - (this.retriesByCategory.get(category) || 0));
+    }
+    
+    /**
+     * Gets the retry budgets with their usage
+     * @returns {Object} - Category → { budget, used, remaining } (null = unlimited)
+     */
+    getRetryBudgets() {
+        const categories = new Set([...Object.keys(this.config.retryBudgets), ...this.retriesByCategory.keys()]);
+        
+        return Object.fromEntries([...categories].map(category => {
+            const budget = this.config.retryBudgets[category] ?? null;
+            return [category, {
+                budget,
+                used: this.retriesByCategory.get(category) || 0,
+                remaining: budget === null ? null : this.getRemainingBudget(category)
+            }];
+        }));
+    }
+    
+    /**
+     * Spends one retry of a category's budget
+     * @param {string} category - ErrorCategory
+     * @returns {boolean} - False if the budget is used up (nothing is spent)
+     */
+    consumeRetryBudget(category) {
+        if (this.getRemainingBudget(category) <= 0) {
+            return false;
+        }
+        
+        this.retriesByCategory.set(category, (this.retriesByCategory.get(category) || 0) + 1);
+        return true;
     }
     
     shouldRetry(error, operationId) {
         const attempt = this.attempts.get(operationId) || 0;
         return attempt < this.config.maxRetries && 
                error instanceof CrawlerError && 
-               error.isRetryable();
+               error.isRetryable() &&
+               this.getRemainingBudget(error.category) > 0;
     }
     
     async executeWithRetry(operation, operationId) {
         let attempts = 0;
+        let delay = 0;
         while (true) {
             try {
                 const result = await operation();
@@ -105,11 +241,13 @@ export class RetryPolicy {
                 this.attempts.set(operationId, attempts);
                 
                 if (!this.shouldRetry(error, operationId)) {
+                    this.attempts.delete(operationId);
                     throw error;
                 }
                 
-                const delay = this.calculateDelay(attempts);
-                await new Promise(resolve => setTimeout(resolve, delay));
+                this.consumeRetryBudget(error.category);
+                delay = this.getRetryDelay(error, attempts, delay);
+                await this.clock.sleep(delay);
             }
         }
     }
@@ -142,15 +280,15 @@ export class ErrorHandler {
     
     updateErrorStats(error) {
         this.errorStats.totalErrors++;
-        if (error instanceof CrawlerError) {
-            const categoryCount = this.errorStats.errorsByCategory.get(error.category) || 0;
-            this.errorStats.errorsByCategory.set(error.category, categoryCount + 1);
-        }
+        const category = categorizeError(error);
+        const categoryCount = this.errorStats.errorsByCategory.get(category) || 0;
+        this.errorStats.errorsByCategory.set(category, categoryCount + 1);
     }
     
     getErrorStats() {
         return {
             ...this.errorStats,
+            retryBudgets: this.retryPolicy.getRetryBudgets(),
             errorsByCategory: Object.fromEntries(this.errorStats.errorsByCategory),
             errorsBySeverity: Object.fromEntries(this.errorStats.errorsBySeverity),
             successRate: 100
@@ -176,22 +314,243 @@ export function createErrorHandler(config = {}) {
 }
 
 /**
- * Utility function to categorize common errors
+ * Parses a Retry-After header value (delay in seconds or an HTTP date)
+ * @param {string} value - Header value
+ * @param {number} now - Current time in milliseconds
+ * @returns {number} - Delay in milliseconds (0 if missing or invalid)
  */
-export function categorizeError(error) {
-    const message = error.message.toLowerCase();
+export function parseRetryAfter(value, now = Date.now()) {
+    if (value === undefined || value === null || value === '') {
+        return 0;
+    }
     
-    if (message.includes('network') || message.includes('econnreset') || message.includes('enotfound')) {
-        return ErrorCategory.NETWORK;
+    const seconds = Number(value);
+    if (!Number.isNaN(seconds)) {
+        return Math.max(0, seconds * 1000);
+    }
+    
+    const date = Date.parse(value);
+    return Number.isNaN(date) ? 0 : Math.max(0, date - now);
+}
+
+/**
+ * Categories of the repository's typed errors, by error name
+ */
+const TYPED_ERROR_CATEGORIES = {
+    JSDOMParseError: ErrorCategory.PARSING,
+    ContentExtractionError: ErrorCategory.EXTRACTION,
+    ContentExtractionPipelineError: ErrorCategory.EXTRACTION,
+    MarkdownConversionError: ErrorCategory.EXTRACTION,
+    TextProcessingError: ErrorCategory.PROCESSING,
+    TextChunkingError: ErrorCategory.PROCESSING,
+    TokenEstimationError: ErrorCategory.PROCESSING,
+    MetadataEnrichmentError: ErrorCategory.PROCESSING,
+    EmbeddingError: ErrorCategory.PROCESSING,
+    ValidationError: ErrorCategory.VALIDATION,
+    SyntaxError: ErrorCategory.PARSING
+};
+
+/**
+ * Node.js and undici error codes that mean the connection failed
+ */
+const NETWORK_ERROR_CODES = new Set([
+    'ECONNREFUSED', 'ECONNRESET', 'ECONNABORTED', 'ENOTFOUND', 'EAI_AGAIN', 'EHOSTUNREACH',
+    'ENETUNREACH', 'ENETDOWN', 'EPIPE', 'EPROTO', 'ERR_SOCKET_CLOSED', 'UND_ERR_SOCKET'
+]);
+
+/**
+ * OpenSSL certificate verification codes (ERR_TLS_* and ERR_SSL_* codes
+ * are matched by prefix)
+ */
+const TLS_ERROR_CODES = new Set([
+    'DEPTH_ZERO_SELF_SIGNED_CERT', 'SELF_SIGNED_CERT_IN_CHAIN', 'UNABLE_TO_VERIFY_LEAF_SIGNATURE',
+    'UNABLE_TO_GET_ISSUER_CERT', 'UNABLE_TO_GET_ISSUER_CERT_LOCALLY', 'CERT_HAS_EXPIRED',
+    'CERT_NOT_YET_VALID', 'CERT_REVOKED', 'CERT_UNTRUSTED', 'CERT_SIGNATURE_FAILURE', 'HOSTNAME_MISMATCH'
+]);
+
+/**
+ * Node.js and undici error codes that mean a time limit was hit
+ */
+const TIMEOUT_ERROR_CODES = new Set([
+    'ETIMEDOUT', 'ESOCKETTIMEDOUT', 'UND_ERR_CONNECT_TIMEOUT', 'UND_ERR_HEADERS_TIMEOUT',
+    'UND_ERR_BODY_TIMEOUT', 'ERR_HTTP2_STREAM_TIMEOUT'
+]);
+
+/**
+ * Error codes that mean the process or browser ran out of memory
+ */
+const MEMORY_ERROR_CODES = new Set(['ENOMEM', 'ERR_MEMORY_ALLOCATION_FAILED', 'ERR_BUFFER_TOO_LARGE']);
+
+/**
+ * Categorizes an HTTP status code
+ * @param {number} statusCode - HTTP status code
+ * @returns {string} - ErrorCategory (UNKNOWN for missing and non-error status codes)
+ */
+export function categorizeStatusCode(statusCode) {
+    if (statusCode === 429) {
+        return ErrorCategory.RATE_LIMIT;
     }
     
-    if (message.includes('timeout') || message.includes('etimedout')) {
+    if (statusCode === 408 || statusCode === 504) {
         return ErrorCategory.TIMEOUT;
     }
     
-    if (message.includes('rate limit') || message.includes('too many requests')) {
+    if (statusCode >= 500 && statusCode <= 599) {
+        return ErrorCategory.SERVER_ERROR;
+    }
+    
+    if (statusCode >= 400 && statusCode <= 499) {
+        return ErrorCategory.CLIENT_ERROR;
+    }
+    
+    return ErrorCategory.UNKNOWN;
+}
+
+/**
+ * Lists an error and the errors it wraps (cause, originalError)
+ * @param {Error} error - Error
+ * @returns {Error[]} - Error chain, outermost first
+ */
+function getErrorChain(error) {
+    const chain = [];
+    
+    for (let current = error; current && typeof current === 'object' && chain.length < 5; ) {
+        if (chain.includes(current)) {
+            break;
+        }
+        chain.push(current);
+        current = current.cause || current.originalError;
+    }
+    
+    return chain;
+}
+
+/**
+ * Finds the HTTP status code of a failed request: a statusCode/status
+ * property (also on context or response) or Crawlee's "Request blocked -
+ * received 429 status code" and "500 - Internal Server Error" messages
+ * @param {Error} error - Error
+ * @returns {number|null} - HTTP status code
+ */
+export function getErrorStatusCode(error) {
+    for (const item of getErrorChain(error)) {
+        const candidates = [
+            item.statusCode,
+            item.status,
+            item.context?.statusCode,
+            item.response?.statusCode,
+            typeof item.response?.status === 'function' ? null : item.response?.status
+        ];
+        const statusCode = candidates.find(value => Number.isInteger(value) && value >= 100 && value <= 599);
+        if (statusCode) {
+            return statusCode;
+        }
+        
+        const match = String(item.message || '').match(/received (\d{3}) status code|^(\d{3}) - /);
+        if (match) {
+            return Number(match[1] || match[2]);
+        }
+    }
+    
+    return null;
+}
+
+/**
+ * Categorizes an error message (Playwright net::ERR_* codes and common phrases)
+ * @param {string} message - Lowercase error message
+ * @returns {string|null} - ErrorCategory, or null if the message is not recognized
+ */
+function categorizeMessage(message) {
+    if (/out of memory|heap limit|allocation failed|target crashed|page crashed/.test(message)) {
+        return ErrorCategory.MEMORY;
+    }
+    
+    if (/timeout|timed out|etimedout|net::err_timed_out/.test(message)) {
+        return ErrorCategory.TIMEOUT;
+    }
+    
+    if (/rate limit|too many requests/.test(message)) {
         return ErrorCategory.RATE_LIMIT;
     }
     
+    if (/net::err_cert_|net::err_ssl_|certificate|\bssl\b|\btls\b/.test(message)) {
+        return ErrorCategory.TLS;
+    }
+    
+    if (/net::err_|network|econnreset|econnrefused|enotfound|socket hang up|fetch failed/.test(message)) {
+        return ErrorCategory.NETWORK;
+    }
+    
+    if (/unexpected token|json|parse error|failed to parse|invalid html/.test(message)) {
+        return ErrorCategory.PARSING;
+    }
+    
+    return null;
+}
+
+/**
+ * Categorizes an error. In order of precedence: the category of a
+ * CrawlerError, the HTTP status code, the repository's typed errors
+ * (JSDOMParseError, TextChunkingError, ...), Node.js error codes
+ * (ECONNREFUSED, CERT_HAS_EXPIRED, ERR_TLS_*, ...), timeout and abort errors (including
+ * Playwright's TimeoutError), and finally the message. Wrapped errors
+ * (cause, originalError) are inspected as well.
+ * @param {Error} error - Error
+ * @returns {string} - ErrorCategory
+ */
+export function categorizeError(error) {
+    if (!error) {
+        return ErrorCategory.UNKNOWN;
+    }
+    
+    if (error instanceof CrawlerError && error.category !== ErrorCategory.UNKNOWN) {
+        return error.category;
+    }
+    
+    const statusCategory = categorizeStatusCode(getErrorStatusCode(error));
+    if (statusCategory !== ErrorCategory.UNKNOWN) {
+        return statusCategory;
+    }
+    
+    const chain = getErrorChain(error);
+    
+    for (const item of chain) {
+        if (TYPED_ERROR_CATEGORIES[item.name]) {
+            return TYPED_ERROR_CATEGORIES[item.name];
+        }
+    }
+    
+    for (const item of chain) {
+        const code = typeof item.code === 'string' ? item.code.toUpperCase() : '';
+        
+        if (MEMORY_ERROR_CODES.has(code)) {
+            return ErrorCategory.MEMORY;
+        }
+        
+        if (TIMEOUT_ERROR_CODES.has(code)) {
+            return ErrorCategory.TIMEOUT;
+        }
+        
+        if (TLS_ERROR_CODES.has(code) || code.startsWith('ERR_TLS_') || code.startsWith('ERR_SSL_')) {
+            return ErrorCategory.TLS;
+        }
+        
+        if (NETWORK_ERROR_CODES.has(code)) {
+            return ErrorCategory.NETWORK;
+        }
+        
+        // Playwright's TimeoutError and AbortSignal.timeout()
+        if (item.name === 'TimeoutError') {
+            return ErrorCategory.TIMEOUT;
+        }
+    }
+    
+    for (const item of chain) {
+        const category = categorizeMessage(String(item.message || '').toLowerCase());
+        if (category) {
+            return category;
+        }
+    }
+    
     return ErrorCategory.UNKNOWN;
-}
\ No newline at end of file
+}
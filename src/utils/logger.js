@@ -327,6 +327,9 @@ export class Logger {
             }
             
         }, this.config.metricsInterval);
+        
+        // Don't keep the process alive just for monitoring
+        this.memoryMonitorInterval.unref();
     }
     
     /**
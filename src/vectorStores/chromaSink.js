@@ -0,0 +1,102 @@
+/**
+ * Chroma Sink for RAG Spider
+ *
+ * Upserts chunks into a Chroma collection through the v2 REST API
+ * (Chroma 0.6 and later). Chunk IDs are used as-is and the flat chunk
+ * metadata is stored alongside the document text.
+ *
+ * Requirements: 2.3, 2.4
+ */
+
+import { VectorStoreSink, VectorStoreType } from './vectorStoreSink.js';
+
+/**
+ * Sink for the Chroma REST API
+ */
+export class ChromaSink extends VectorStoreSink {
+    constructor(options = {}) {
+        super(VectorStoreType.CHROMA, {
+            tenant: 'default_tenant',
+            database: 'default_database',
+            ...options,
+            url: options.url || 'http://localhost:8000'
+        });
+
+        const { tenant, database } = this.options;
+        this.collectionsPath = `/api/v2/tenants/${encodeURIComponent(tenant)}/databases/${encodeURIComponent(database)}/collections`;
+        this.collectionId = null;
+    }
+
+    /**
+     * Gets or creates the collection (cosine distance)
+     * @param {number} dimensions - Vector dimension
+     */
+    async openCollection(dimensions) {
+        const collection = await this.requestJson('POST', this.collectionsPath, {
+            name: this.options.collection,
+            get_or_create: true,
+            metadata: { 'hnsw:space': 'cosine' }
+        });
+
+        this.collectionId = collection.id;
+    }
+
+    /**
+     * Gets the collection ID without creating the collection
+     * @returns {Promise<string|null>} - Collection ID or null if missing
+     */
+    async findCollectionId() {
+        if (!this.collectionId) {
+            const collection = await this.requestJson(
+                'GET',
+                `${this.collectionsPath}/${encodeURIComponent(this.options.collection)}`,
+                undefined,
+                { allowNotFound: true }
+            );
+            this.collectionId = collection?.id || null;
+        }
+
+        return this.collectionId;
+    }
+
+    /**
+     * Upserts points by ID
+     * @param {Object[]} points - Points ({ id, documentId, vector, content, metadata })
+     */
+    async upsertPoints(points) {
+        await this.requestJson('POST', `${this.collectionsPath}/${this.collectionId}/upsert`, {
+            ids: points.map(point => point.id),
+            embeddings: points.map(point => point.vector),
+            documents: points.map(point => point.content),
+            metadatas: points.map(point => point.metadata)
+        });
+    }
+
+    /**
+     * Deletes the chunks of a document except the given IDs
+     * @param {string} documentId - Document ID
+     * @param {string[]} keepIds - Chunk IDs to keep
+     */
+    async deleteDocumentChunks(documentId, keepIds) {
+        const collectionId = await this.findCollectionId();
+        if (!collectionId) {
+            return;
+        }
+
+        const byDocument = { documentId: { $eq: documentId } };
+        await this.requestJson('POST', `${this.collectionsPath}/${collectionId}/delete`, {
+            where: keepIds.length > 0
+                ? { $and: [byDocument, { chunkId: { $nin: keepIds } }] }
+                : byDocument
+        });
+    }
+}
+
+/**
+ * Creates a new Chroma sink
+ * @param {Object} options - Sink options ({ url, apiKey, collection, tenant, database, batchSize })
+ * @returns {ChromaSink} - New sink
+ */
+export function createChromaSink(options = {}) {
+    return new ChromaSink(options);
+}
@@ -0,0 +1,158 @@
+/**
+ * pgvector Sink for RAG Spider
+ *
+ * Upserts chunks into a Postgres table with a pgvector `embedding` column
+ * (`INSERT ... ON CONFLICT (id) DO UPDATE`). The table, its document_id
+ * index and an HNSW cosine index are created on first use. The `pg`
+ * driver is an optional dependency and only imported when this sink is used.
+ *
+ * Requirements: 2.3, 2.4
+ */
+
+import { VectorStoreSink, VectorStoreType, VectorStoreError } from './vectorStoreSink.js';
+
+/**
+ * Postgres error code for a missing table
+ */
+const UNDEFINED_TABLE = '42P01';
+
+/**
+ * Sink for Postgres with the pgvector extension
+ */
+export class PgvectorSink extends VectorStoreSink {
+    constructor(options = {}) {
+        super(VectorStoreType.PGVECTOR, {
+            ...options,
+            url: options.url || 'postgres://localhost:5432/postgres'
+        });
+
+        // The table name is interpolated into SQL, so only plain identifiers are allowed
+        if (!/^[a-zA-Z_][a-zA-Z0-9_]{0,62}$/.test(this.options.collection)) {
+            throw new VectorStoreError(
+                `Invalid pgvector table name: ${this.options.collection}`,
+                this.store
+            );
+        }
+
+        this.table = this.options.collection;
+        this.pool = options.pool || null;
+        this.ownsPool = !options.pool;
+    }
+
+    /**
+     * Gets the connection pool (created on first use)
+     * @returns {Promise<Object>} - pg Pool
+     */
+    async getPool() {
+        if (!this.pool) {
+            let pg;
+            try {
+                pg = await import('pg');
+            } catch (error) {
+                throw new VectorStoreError('pgvector requires the optional "pg" package', this.store, error);
+            }
+
+            const { Pool } = pg.default || pg;
+            this.pool = new Pool({ connectionString: this.options.url, max: 2 });
+        }
+
+        return this.pool;
+    }
+
+    /**
+     * Runs a query
+     * @param {string} sql - SQL statement
+     * @param {Array} params - Query parameters
+     * @returns {Promise<Object>} - Query result
+     */
+    async query(sql, params = []) {
+        const pool = await this.getPool();
+        return await pool.query(sql, params);
+    }
+
+    /**
+     * Creates the extension, table and indexes if they do not exist
+     * @param {number} dimensions - Vector dimension
+     */
+    async openCollection(dimensions) {
+        try {
+            await this.query('CREATE EXTENSION IF NOT EXISTS vector');
+            await this.query(`CREATE TABLE IF NOT EXISTS ${this.table} (
+                id text PRIMARY KEY,
+                document_id text NOT NULL,
+                content text NOT NULL,
+                metadata jsonb NOT NULL,
+                embedding vector(${Number(dimensions)}) NOT NULL,
+                updated_at timestamptz NOT NULL DEFAULT now()
+            )`);
+            await this.query(`CREATE INDEX IF NOT EXISTS ${this.table}_document_id_idx ON ${this.table} (document_id)`);
+            await this.query(`CREATE INDEX IF NOT EXISTS ${this.table}_embedding_idx ON ${this.table} USING hnsw (embedding vector_cosine_ops)`);
+        } catch (error) {
+            throw new VectorStoreError(`Failed to prepare table ${this.table}: ${error.message}`, this.store, error);
+        }
+    }
+
+    /**
+     * Upserts rows by chunk ID
+     * @param {Object[]} points - Points ({ id, documentId, vector, content, metadata })
+     */
+    async upsertPoints(points) {
+        const params = [];
+        const rows = points.map(point => {
+            params.push(point.id, point.documentId, point.content, JSON.stringify(point.metadata), JSON.stringify(point.vector));
+            const offset = params.length - 5;
+            return `($${offset + 1}, $${offset + 2}, $${offset + 3}, $${offset + 4}::jsonb, $${offset + 5}::vector)`;
+        });
+
+        try {
+            await this.query(`INSERT INTO ${this.table} (id, document_id, content, metadata, embedding)
+                VALUES ${rows.join(', ')}
+                ON CONFLICT (id) DO UPDATE SET
+                    document_id = EXCLUDED.document_id,
+                    content = EXCLUDED.content,
+                    metadata = EXCLUDED.metadata,
+                    embedding = EXCLUDED.embedding,
+                    updated_at = now()`, params);
+        } catch (error) {
+            throw new VectorStoreError(`Failed to upsert ${points.length} rows: ${error.message}`, this.store, error);
+        }
+    }
+
+    /**
+     * Deletes the chunks of a document except the given IDs
+     * @param {string} documentId - Document ID
+     * @param {string[]} keepIds - Chunk IDs to keep
+     */
+    async deleteDocumentChunks(documentId, keepIds) {
+        try {
+            await this.query(
+                `DELETE FROM ${this.table} WHERE document_id = $1 AND NOT (id = ANY($2::text[]))`,
+                [documentId, keepIds]
+            );
+        } catch (error) {
+            if (error.code === UNDEFINED_TABLE) {
+                return;
+            }
+            throw new VectorStoreError(`Failed to delete chunks of ${documentId}: ${error.message}`, this.store, error);
+        }
+    }
+
+    /**
+     * Closes the connection pool if the sink created it
+     */
+    async disconnect() {
+        if (this.pool && this.ownsPool) {
+            await this.pool.end();
+            this.pool = null;
+        }
+    }
+}
+
+/**
+ * Creates a new pgvector sink
+ * @param {Object} options - Sink options ({ url (connection string), collection (table), batchSize, pool })
+ * @returns {PgvectorSink} - New sink
+ */
+export function createPgvectorSink(options = {}) {
+    return new PgvectorSink(options);
+}
@@ -0,0 +1,92 @@
+/**
+ * Qdrant Sink for RAG Spider
+ *
+ * Upserts chunks into a Qdrant collection through its REST API. Qdrant
+ * point IDs must be UUIDs, so the first 128 bits of the chunk ID are used;
+ * the full chunk ID is kept in the payload.
+ *
+ * Requirements: 2.3, 2.4
+ */
+
+import { toUuid } from '../utils/contentIds.js';
+import { VectorStoreSink, VectorStoreType } from './vectorStoreSink.js';
+
+/**
+ * Sink for the Qdrant REST API
+ */
+export class QdrantSink extends VectorStoreSink {
+    constructor(options = {}) {
+        super(VectorStoreType.QDRANT, {
+            ...options,
+            url: options.url || 'http://localhost:6333'
+        });
+
+        this.collectionPath = `/collections/${encodeURIComponent(this.options.collection)}`;
+    }
+
+    /**
+     * Gets authentication headers
+     * @returns {Object} - Headers
+     */
+    getHeaders() {
+        return this.options.apiKey ? { 'api-key': this.options.apiKey } : {};
+    }
+
+    /**
+     * Creates the collection (cosine distance) and a documentId payload
+     * index if the collection does not exist
+     * @param {number} dimensions - Vector dimension
+     */
+    async openCollection(dimensions) {
+        const existing = await this.requestJson('GET', this.collectionPath, undefined, { allowNotFound: true });
+        if (existing) {
+            return;
+        }
+
+        console.log(`🗄️ Creating Qdrant collection "${this.options.collection}" (${dimensions} dimensions)`);
+        await this.requestJson('PUT', this.collectionPath, {
+            vectors: { size: dimensions, distance: 'Cosine' }
+        });
+        await this.requestJson('PUT', `${this.collectionPath}/index?wait=true`, {
+            field_name: 'documentId',
+            field_schema: 'keyword'
+        });
+    }
+
+    /**
+     * Upserts points by ID
+     * @param {Object[]} points - Points ({ id, documentId, vector, content, metadata })
+     */
+    async upsertPoints(points) {
+        await this.requestJson('PUT', `${this.collectionPath}/points?wait=true`, {
+            points: points.map(point => ({
+                id: toUuid(point.id),
+                vector: point.vector,
+                payload: { ...point.metadata, content: point.content }
+            }))
+        });
+    }
+
+    /**
+     * Deletes the chunks of a document except the given IDs
+     * @param {string} documentId - Document ID
+     * @param {string[]} keepIds - Chunk IDs to keep
+     */
+    async deleteDocumentChunks(documentId, keepIds) {
+        await this.requestJson('POST', `${this.collectionPath}/points/delete?wait=true`, {
+            filter: {
+                must: [{ key: 'documentId', match: { value: documentId } }],
+                ...(keepIds.length > 0 && { must_not: [{ has_id: keepIds.map(toUuid) }] })
+            }
+        }, { allowNotFound: true });
+    }
+}
+
+/**
+ * Creates a new Qdrant sink
+ * @param {Object} options - Sink options ({ url, apiKey, collection, batchSize })
+ * @returns {QdrantSink} - New sink
+ */
+export function createQdrantSink(options = {}) {
+    return new QdrantSink(options);
+}
@@ -0,0 +1,38 @@
+/**
+ * Vector Store Factory for RAG Spider
+ *
+ * Creates the vector store sink for a configured store type.
+ *
+ * Requirements: 2.3, 2.4
+ */
+
+import { VectorStoreType, VectorStoreError } from './vectorStoreSink.js';
+import { createQdrantSink } from './qdrantSink.js';
+import { createChromaSink } from './chromaSink.js';
+import { createWeaviateSink } from './weaviateSink.js';
+import { createPgvectorSink } from './pgvectorSink.js';
+
+/**
+ * Sink factories by store type
+ */
+const SINK_FACTORIES = {
+    [VectorStoreType.QDRANT]: createQdrantSink,
+    [VectorStoreType.CHROMA]: createChromaSink,
+    [VectorStoreType.WEAVIATE]: createWeaviateSink,
+    [VectorStoreType.PGVECTOR]: createPgvectorSink
+};
+
+/**
+ * Creates a vector store sink
+ * @param {Object} options - Sink options ({ store, url, apiKey, collection, batchSize })
+ * @returns {VectorStoreSink} - New sink
+ */
+export function createVectorStoreSink(options = {}) {
+    const factory = SINK_FACTORIES[options.store];
+
+    if (!factory) {
+        throw new VectorStoreError(`Unknown vector store: ${options.store}`, options.store);
+    }
+
+    return factory(options);
+}
@@ -0,0 +1,302 @@
+/**
+ * Vector Store Sink for RAG Spider
+ *
+ * This module provides the base class for pipeline sinks that upsert
+ * chunks and their embedding vectors directly into a vector database.
+ * Chunk IDs are content-addressed, so re-running a crawl is idempotent:
+ * every written page replaces its own chunks (chunks that are no longer
+ * on the page are deleted), and pages reported as deleted (or dropped as
+ * duplicates) lose all their chunks. Upserts are sent in batches; stores implement `openCollection`,
+ * `upsertPoints` and `deleteDocumentChunks`.
+ *
+ * Requirements: 2.3, 2.4
+ */
+
+import { buildChunkMetadata } from '../export/formats.js';
+import {
+    createErrorHandler,
+    CrawlerError,
+    ErrorCategory,
+    ErrorSeverity,
+    categorizeStatusCode,
+    parseRetryAfter
+} from '../utils/errorHandler.js';
+
+/**
+ * Supported vector stores
+ */
+export const VectorStoreType = {
+    QDRANT: 'qdrant',
+    CHROMA: 'chroma',
+    WEAVIATE: 'weaviate',
+    PGVECTOR: 'pgvector'
+};
+
+/**
+ * Default configuration for vector store sinks
+ */
+export const DEFAULT_VECTOR_STORE_OPTIONS = {
+    url: null,
+    apiKey: null,
+    collection: 'rag_spider',
+    batchSize: 100,
+    timeoutSecs: 30,
+    retry: {
+        maxRetries: 3,
+        baseDelay: 1000
+    }
+};
+
+/**
+ * Error class for vector store failures
+ */
+export class VectorStoreError extends Error {
+    constructor(message, store = '', originalError = null) {
+        super(message);
+        this.name = 'VectorStoreError';
+        this.store = store;
+        this.originalError = originalError;
+    }
+}
+
+/**
+ * Base class for sinks that upsert chunks into a vector store
+ */
+export class VectorStoreSink {
+    constructor(store, options = {}) {
+        this.store = store;
+        this.options = {
+            ...DEFAULT_VECTOR_STORE_OPTIONS,
+            ...options,
+            retry: { ...DEFAULT_VECTOR_STORE_OPTIONS.retry, ...options.retry }
+        };
+
+        this.pending = [];
+        this.collectionPromise = null;
+        this.requestCount = 0;
+        this.errorHandler = options.errorHandler || createErrorHandler({ retry: this.options.retry });
+        this.stats = {
+            upsertedChunks: 0,
+            batches: 0,
+            replacedDocuments: 0,
+            deletedDocuments: 0
+        };
+    }
+
+    /**
+     * Upserts the chunks of a page record and deletes the page's stale
+     * chunks; deleted and dropped duplicate pages, and written pages left
+     * without chunks, lose all their chunks. Unchanged pages and failed
+     * pages (no documentId) are skipped.
+     * @param {Object} record - Page record
+     */
+    async write(record) {
+        if (record.status === 'deleted' || record.status === 'duplicate') {
+            this.discardPending(record.documentId);
+            await this.deleteDocumentChunks(record.documentId, []);
+            this.stats.deletedDocuments++;
+            return;
+        }
+
+        if (record.status === 'unchanged' || !record.documentId) {
+            return;
+        }
+
+        // Every chunk of the page was dropped (e.g. as a duplicate chunk)
+        if (!Array.isArray(record.chunks) || record.chunks.length === 0) {
+            this.discardPending(record.documentId);
+            await this.deleteDocumentChunks(record.documentId, []);
+            this.stats.replacedDocuments++;
+            return;
+        }
+
+        const points = record.chunks.map(chunk => this.toPoint(record, chunk));
+        await this.ensureCollection(points[0].vector.length);
+
+        this.discardPending(record.documentId);
+        await this.deleteDocumentChunks(record.documentId, points.map(point => point.id));
+        this.stats.replacedDocuments++;
+
+        this.pending.push(...points);
+        while (this.pending.length >= this.options.batchSize) {
+            await this.flush();
+        }
+    }
+
+    /**
+     * Drops buffered points of an earlier version of a document, so they
+     * are not upserted after its stale chunks were deleted
+     * @param {string} documentId - Document ID
+     */
+    discardPending(documentId) {
+        this.pending = this.pending.filter(point => point.documentId !== documentId);
+    }
+
+    /**
+     * Converts a chunk to a store-independent point
+     * @param {Object} record - Page record
+     * @param {Object} chunk - Chunk with a vector
+     * @returns {Object} - { id, documentId, vector, content, metadata }
+     */
+    toPoint(record, chunk) {
+        if (!Array.isArray(chunk.vector) || chunk.vector.length === 0) {
+            throw new VectorStoreError(
+                `Chunk ${chunk.chunkId} of ${record.url} has no vector (enable an embedding provider)`,
+                this.store
+            );
+        }
+
+        return {
+            id: chunk.chunkId,
+            documentId: record.documentId,
+            vector: chunk.vector,
+            content: chunk.content,
+            metadata: buildChunkMetadata(record, chunk)
+        };
+    }
+
+    /**
+     * Opens (and if needed creates) the collection once
+     * @param {number} dimensions - Vector dimension
+     */
+    async ensureCollection(dimensions) {
+        if (!this.collectionPromise) {
+            this.collectionPromise = this.openCollection(dimensions).catch(error => {
+                this.collectionPromise = null;
+                throw error;
+            });
+        }
+
+        return await this.collectionPromise;
+    }
+
+    /**
+     * Upserts one batch of pending points
+     */
+    async flush() {
+        const batch = this.pending.splice(0, this.options.batchSize);
+        if (batch.length === 0) {
+            return;
+        }
+
+        await this.upsertPoints(batch);
+        this.stats.batches++;
+        this.stats.upsertedChunks += batch.length;
+    }
+
+    /**
+     * Upserts all pending points and releases resources
+     */
+    async close() {
+        while (this.pending.length > 0) {
+            await this.flush();
+        }
+
+        await this.disconnect();
+        console.log(`🗄️ ${this.store}: upserted ${this.stats.upsertedChunks} chunks into "${this.options.collection}" (${this.stats.deletedDocuments} deleted pages)`);
+    }
+
+    /**
+     * Sends a JSON request to the store's REST API with retries for
+     * network errors, timeouts, server errors and rate limits
+     * @param {string} method - HTTP method
+     * @param {string} path - Path relative to the store URL
+     * @param {Object} body - JSON body
+     * @param {Object} options - { allowNotFound } to return null for 404
+     * @returns {Promise<Object|null>} - Parsed response body
+     */
+    async requestJson(method, path, body = undefined, { allowNotFound = false } = {}) {
+        const url = `${this.options.url.replace(/\/+$/, '')}${path}`;
+
+        const result = await this.errorHandler.executeWithErrorHandling(
+            async () => {
+                let response;
+                try {
+                    response = await fetch(url, {
+                        method,
+                        headers: {
+                            'Content-Type': 'application/json',
+                            ...this.getHeaders()
+                        },
+                        body: body === undefined ? undefined : JSON.stringify(body),
+                        signal: AbortSignal.timeout(this.options.timeoutSecs * 1000)
+                    });
+                } catch (error) {
+                    const category = error.name === 'TimeoutError' ? ErrorCategory.TIMEOUT : ErrorCategory.NETWORK;
+                    throw CrawlerError.fromError(error, category, { url });
+                }
+
+                if (response.status === 404 && allowNotFound) {
+                    return { data: null };
+                }
+
+                const text = await response.text();
+                if (!response.ok) {
+                    throw new CrawlerError(
+                        `${method} ${path} failed: ${response.status} ${text.slice(0, 200)}`,
+                        categorizeStatusCode(response.status),
+                        ErrorSeverity.MEDIUM,
+                        { url, statusCode: response.status, retryAfterMs: parseRetryAfter(response.headers.get('retry-after')) }
+                    );
+                }
+
+                return { data: text ? JSON.parse(text) : {} };
+            },
+            `${this.store}-${++this.requestCount}`,
+            { url }
+        );
+
+        if (result.skipped) {
+            throw new VectorStoreError(`${this.store} request failed: ${result.reason}`, this.store);
+        }
+
+        return result.data;
+    }
+
+    /**
+     * Gets authentication headers
+     * @returns {Object} - Headers
+     */
+    getHeaders() {
+        return this.options.apiKey ? { Authorization: `Bearer ${this.options.apiKey}` } : {};
+    }
+
+    /**
+     * Opens the collection, creating it for the given dimension if missing
+     * @param {number} dimensions - Vector dimension
+     */
+    async openCollection(dimensions) {
+        throw new VectorStoreError('openCollection() must be implemented by the store', this.store);
+    }
+
+    /**
+     * Upserts points by ID
+     * @param {Object[]} points - Points ({ id, documentId, vector, content, metadata })
+     */
+    async upsertPoints(points) {
+        throw new VectorStoreError('upsertPoints() must be implemented by the store', this.store);
+    }
+
+    /**
+     * Deletes the chunks of a document except the given IDs (no-op if the
+     * collection does not exist)
+     * @param {string} documentId - Document ID
+     * @param {string[]} keepIds - Chunk IDs to keep
+     */
+    async deleteDocumentChunks(documentId, keepIds) {
+        throw new VectorStoreError('deleteDocumentChunks() must be implemented by the store', this.store);
+    }
+
+    /**
+     * Releases connections (optional)
+     */
+    async disconnect() {}
+
+    /**
+     * Gets sink statistics
+     * @returns {Object} - { upsertedChunks, batches, replacedDocuments, deletedDocuments }
+     */
+    getStats() {
+        return { ...this.stats };
+    }
+}
@@ -0,0 +1,125 @@
+/**
+ * Weaviate Sink for RAG Spider
+ *
+ * Upserts chunks as objects of a Weaviate class through the REST API
+ * (batch endpoints). Object IDs must be UUIDs, so the first 128 bits of
+ * the chunk ID are used; the full chunk ID is kept as a property. The
+ * class is created without a vectorizer, since vectors come from the
+ * embedding stage.
+ *
+ * Requirements: 2.3, 2.4
+ */
+
+import { toUuid } from '../utils/contentIds.js';
+import { VectorStoreSink, VectorStoreType, VectorStoreError } from './vectorStoreSink.js';
+
+/**
+ * Sink for the Weaviate REST API
+ */
+export class WeaviateSink extends VectorStoreSink {
+    constructor(options = {}) {
+        super(VectorStoreType.WEAVIATE, {
+            ...options,
+            url: options.url || 'http://localhost:8080'
+        });
+
+        // Weaviate class names start with a capital letter and have no dashes
+        const name = this.options.collection.replace(/-/g, '_');
+        this.className = name.charAt(0).toUpperCase() + name.slice(1);
+        this.classExists = null;
+    }
+
+    /**
+     * Creates the class (no vectorizer, cosine distance) if it does not exist
+     * @param {number} dimensions - Vector dimension
+     */
+    async openCollection(dimensions) {
+        if (await this.findClass()) {
+            return;
+        }
+
+        console.log(`🗄️ Creating Weaviate class "${this.className}"`);
+        await this.requestJson('POST', '/v1/schema', {
+            class: this.className,
+            vectorizer: 'none',
+            vectorIndexConfig: { distance: 'cosine' },
+            properties: [
+                { name: 'content', dataType: ['text'] },
+                { name: 'documentId', dataType: ['text'], tokenization: 'field' },
+                { name: 'chunkId', dataType: ['text'], tokenization: 'field' },
+                { name: 'source', dataType: ['text'], tokenization: 'field' }
+            ]
+        });
+        this.classExists = true;
+    }
+
+    /**
+     * Checks whether the class exists
+     * @returns {Promise<boolean>} - True if the class exists
+     */
+    async findClass() {
+        if (this.classExists === null) {
+            const schema = await this.requestJson('GET', `/v1/schema/${this.className}`, undefined, { allowNotFound: true });
+            this.classExists = !!schema;
+        }
+
+        return this.classExists;
+    }
+
+    /**
+     * Upserts objects by ID (batch writes replace objects with the same ID)
+     * @param {Object[]} points - Points ({ id, documentId, vector, content, metadata })
+     */
+    async upsertPoints(points) {
+        const results = await this.requestJson('POST', '/v1/batch/objects', {
+            objects: points.map(point => ({
+                class: this.className,
+                id: toUuid(point.id),
+                vector: point.vector,
+                properties: { ...point.metadata, content: point.content }
+            }))
+        });
+
+        const failed = (results || []).filter(result => result.result?.errors);
+        if (failed.length > 0) {
+            const message = failed[0].result.errors.error?.[0]?.message || 'unknown error';
+            throw new VectorStoreError(`${failed.length} of ${points.length} objects failed: ${message}`, this.store);
+        }
+    }
+
+    /**
+     * Deletes the chunks of a document except the given IDs
+     * @param {string} documentId - Document ID
+     * @param {string[]} keepIds - Chunk IDs to keep
+     */
+    async deleteDocumentChunks(documentId, keepIds) {
+        if (!(await this.findClass())) {
+            return;
+        }
+
+        const byDocument = { path: ['documentId'], operator: 'Equal', valueText: documentId };
+        const where = keepIds.length > 0
+            ? {
+                operator: 'And',
+                operands: [
+                    byDocument,
+                    ...keepIds.map(id => ({ path: ['chunkId'], operator: 'NotEqual', valueText: id }))
+                ]
+            }
+            : byDocument;
+
+        await this.requestJson('DELETE', '/v1/batch/objects', {
+            match: { class: this.className, where },
+            output: 'minimal'
+        });
+    }
+}
+
+/**
+ * Creates a new Weaviate sink
+ * @param {Object} options - Sink options ({ url, apiKey, collection, batchSize })
+ * @returns {WeaviateSink} - New sink
+ */
+export function createWeaviateSink(options = {}) {
+    return new WeaviateSink(options);
+}
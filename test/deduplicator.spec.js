@@ -0,0 +1,115 @@
+/**
+ * Tests for duplicate detection of pages and chunks.
+ */
+
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { createDeduplicator, DuplicateIndex } from '../src/processing/deduplicator.js';
+import { createPipeline } from '../src/pipeline/pipeline.js';
+import { createDedupStage, createMemorySink } from '../src/pipeline/stages.js';
+import { createChangeTracker } from '../src/pipeline/changeTracker.js';
+
+const html = `<html><head><title>Install</title></head><body><main><article><h1>Install</h1>
+${Array.from({ length: 6 }, (_, i) => `<p>Step ${i + 1} of the installation guide explains how to install and configure the service for production use.</p>`).join('\n')}
+</article></main></body></html>`;
+
+const guide = Array.from({ length: 30 }, (_, i) => `word${i}`).join(' ');
+
+describe('DuplicateIndex', () => {
+    it('finds exact duplicates regardless of case and punctuation', () => {
+        const index = new DuplicateIndex();
+
+        assert.equal(index.checkAndAdd('a', 'Install the CLI.'), null);
+        assert.deepEqual(index.checkAndAdd('b', 'install, the cli'), { duplicateOf: 'a', exact: true, distance: 0 });
+    });
+
+    it('finds near-duplicates within the Hamming distance', () => {
+        const index = new DuplicateIndex({ maxHammingDistance: 7 });
+
+        index.checkAndAdd('a', guide);
+        const duplicate = index.checkAndAdd('b', `${guide} word30`);
+
+        assert.equal(duplicate.duplicateOf, 'a');
+        assert.equal(duplicate.exact, false);
+    });
+
+    it('never reports texts without words as duplicates', () => {
+        const index = new DuplicateIndex();
+
+        assert.equal(index.checkAndAdd('a', '* * *'), null);
+        assert.equal(index.checkAndAdd('b', '---'), null);
+        assert.equal(index.checkAndAdd('c', ''), null);
+        assert.equal(index.size, 0);
+    });
+});
+
+describe('Deduplicator', () => {
+    it('tags duplicate chunks and keeps chunks without words', () => {
+        const deduplicator = createDeduplicator();
+        const chunks = [
+            { chunkId: 'c1', chunkIndex: 0, content: 'Install the CLI' },
+            { chunkId: 'c2', chunkIndex: 1, content: '```\n{}\n```' },
+            { chunkId: 'c3', chunkIndex: 2, content: '```\n[]\n```' },
+            { chunkId: 'c4', chunkIndex: 3, content: 'install the cli' }
+        ];
+
+        const result = deduplicator.dedupChunks(chunks);
+
+        assert.equal(result.duplicates, 1);
+        assert.deepEqual(result.chunks.map(chunk => chunk.duplicateOf), [undefined, undefined, undefined, 'c1']);
+        assert.equal(deduplicator.getStats().duplicateChunks, 1);
+    });
+});
+
+describe('Deduplication in incremental runs', () => {
+    const knownUrl = 'https://docs.example.com/install';
+    const copyUrl = 'https://docs.example.com/v2/install';
+
+    /**
+     * Key-value store that keeps values in memory
+     */
+    function createMemoryStore() {
+        const values = new Map();
+        return {
+            getValue: async key => values.get(key) ?? null,
+            setValue: async (key, value) => {
+                values.set(key, structuredClone(value));
+            }
+        };
+    }
+
+    /**
+     * Runs a pipeline with change tracking and deduplication over the pages
+     */
+    async function runIncremental(store, pages) {
+        const changeTracker = createChangeTracker({ store });
+        await changeTracker.load([knownUrl]);
+
+        const sink = createMemorySink();
+        const pipeline = createPipeline({ sink, changeTracker, deduplicator: createDedupStage() });
+        for (const page of pages) {
+            await pipeline.processPage(page);
+        }
+
+        await changeTracker.save();
+        return sink.getRecords();
+    }
+
+    for (const [name, knownPage] of [
+        ['with unchanged content', { url: knownUrl, html, title: 'Install' }],
+        ['answered with 304 Not Modified', { url: knownUrl, notModified: true }]
+    ]) {
+        it(`compares new pages against pages ${name}`, async () => {
+            const store = createMemoryStore();
+            const [first] = await runIncremental(store, [{ url: knownUrl, html, title: 'Install' }]);
+
+            const [known, copy] = await runIncremental(store, [knownPage, { url: copyUrl, html, title: 'Install' }]);
+
+            assert.equal(known.status, 'unchanged');
+            assert.equal(copy.status, 'new');
+            assert.equal(copy.duplicateOf, knownUrl);
+            assert.deepEqual(copy.chunks.map(chunk => chunk.duplicateOf), first.chunks.map(chunk => chunk.chunkId));
+        });
+    }
+});
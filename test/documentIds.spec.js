@@ -0,0 +1,65 @@
+/**
+ * Tests for document and chunk IDs of pages fetched under several URLs.
+ */
+
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { createPipeline } from '../src/pipeline/pipeline.js';
+import { createMemorySink } from '../src/pipeline/stages.js';
+import { createUrlNormalizer } from '../src/crawler/urlNormalizer.js';
+
+const html = `<html><head><title>Docs</title></head><body><main><article><h1>Docs</h1>
+${Array.from({ length: 6 }, (_, i) => `<p>Section ${i + 1} of the documentation explains how the service is installed, configured and deployed.</p>`).join('\n')}
+</article></main></body></html>`;
+
+/**
+ * Processes the same page under each URL and returns the page records
+ */
+async function processUnder(urls, pageOptions = {}, pipelineOptions = {}) {
+    const sink = createMemorySink();
+    const pipeline = createPipeline({ sink, ...pipelineOptions });
+
+    for (const url of urls) {
+        await pipeline.processPage({ url, html, title: 'Docs', ...pageOptions });
+    }
+
+    return sink.getRecords();
+}
+
+describe('Document IDs', () => {
+    it('gives index files, trailing slashes and tracking parameters the same IDs', async () => {
+        const records = await processUnder([
+            'https://example.com/docs/',
+            'https://example.com/docs/index.html',
+            'https://example.com/docs?utm_source=newsletter',
+            'https://example.com/docs#install'
+        ]);
+
+        assert.equal(records.length, 4);
+        assert.equal(new Set(records.map(record => record.documentId)).size, 1);
+        assert.equal(new Set(records.map(record => record.chunks.map(chunk => chunk.chunkId).join())).size, 1);
+
+        for (const record of records) {
+            assert.ok(record.chunks.every(chunk => chunk.documentId === record.documentId));
+        }
+    });
+
+    it('strips the configured query parameters', async () => {
+        const urlNormalizer = createUrlNormalizer({ removeQueryParams: ['session'] });
+        const records = await processUnder([
+            'https://example.com/docs?session=1',
+            'https://example.com/docs?session=2'
+        ], {}, { urlNormalizer });
+
+        assert.equal(records[0].documentId, records[1].documentId);
+    });
+
+    it('derives the IDs from the canonical URL', async () => {
+        const [alias] = await processUnder(['https://mirror.example.com/guide'], { canonicalUrl: 'https://example.com/docs' });
+        const [canonical] = await processUnder(['https://example.com/docs']);
+
+        assert.equal(alias.documentId, canonical.documentId);
+        assert.deepEqual(alias.chunks.map(chunk => chunk.chunkId), canonical.chunks.map(chunk => chunk.chunkId));
+    });
+});
@@ -0,0 +1,61 @@
+/**
+ * Tests for error categorization by status code, error code and message.
+ */
+
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+
+import {
+    CrawlerError,
+    ErrorCategory,
+    categorizeError,
+    categorizeStatusCode
+} from '../src/utils/errorHandler.js';
+
+/**
+ * Error with a Node.js error code
+ */
+function withCode(message, code) {
+    return Object.assign(new Error(message), { code });
+}
+
+describe('categorizeError TLS failures', () => {
+    for (const code of ['CERT_HAS_EXPIRED', 'DEPTH_ZERO_SELF_SIGNED_CERT', 'ERR_TLS_CERT_ALTNAME_INVALID', 'ERR_SSL_WRONG_VERSION_NUMBER']) {
+        it(`puts ${code} in the TLS category`, () => {
+            assert.equal(categorizeError(withCode('request failed', code)), ErrorCategory.TLS);
+        });
+    }
+
+    it('recognizes TLS failures wrapped in another error', () => {
+        const error = new Error('fetch failed', { cause: withCode('certificate has expired', 'CERT_HAS_EXPIRED') });
+        assert.equal(categorizeError(error), ErrorCategory.TLS);
+    });
+
+    it('recognizes Playwright certificate errors by message', () => {
+        assert.equal(categorizeError(new Error('page.goto: net::ERR_CERT_DATE_INVALID at https://example.com')), ErrorCategory.TLS);
+    });
+
+    it('keeps other Playwright net::ERR_* errors in the network category', () => {
+        assert.equal(categorizeError(new Error('page.goto: net::ERR_CONNECTION_REFUSED at https://example.com')), ErrorCategory.NETWORK);
+    });
+
+    it('does not retry TLS errors', () => {
+        assert.equal(new CrawlerError('certificate has expired', ErrorCategory.TLS).retryable, false);
+        assert.equal(new CrawlerError('connection reset', ErrorCategory.NETWORK).retryable, true);
+    });
+});
+
+describe('categorizeStatusCode', () => {
+    it('maps error status codes', () => {
+        assert.equal(categorizeStatusCode(429), ErrorCategory.RATE_LIMIT);
+        assert.equal(categorizeStatusCode(504), ErrorCategory.TIMEOUT);
+        assert.equal(categorizeStatusCode(502), ErrorCategory.SERVER_ERROR);
+        assert.equal(categorizeStatusCode(404), ErrorCategory.CLIENT_ERROR);
+    });
+
+    it('falls back to the unknown category', () => {
+        assert.equal(categorizeStatusCode(302), ErrorCategory.UNKNOWN);
+        assert.equal(categorizeStatusCode(null), ErrorCategory.UNKNOWN);
+        assert.equal(new CrawlerError('moved', categorizeStatusCode(301)).category, ErrorCategory.UNKNOWN);
+    });
+});
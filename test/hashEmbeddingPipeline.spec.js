@@ -0,0 +1,100 @@
+/**
+ * Tests for the hash embedding provider in a pipeline built from Actor
+ * input. Pages are handed to processPage() directly, so nothing is crawled.
+ */
+
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { createConfigManager } from '../src/config/configManager.js';
+import { createPipelineFromConfig } from '../src/pipeline/pipeline.js';
+import { createMemorySink } from '../src/pipeline/stages.js';
+
+const topics = ['Installation', 'Configuration', 'Deployment'];
+
+/**
+ * Fetched documentation page about a topic
+ */
+function createPage(topic) {
+    const paragraphs = Array.from({ length: 8 }, (_, i) =>
+        `<p>${topic} step ${i + 1}: this guide explains the ${topic.toLowerCase()} of the service in detail, with the options that matter most and the defaults that work for most projects.</p>`
+    ).join('\n');
+
+    return {
+        url: `https://docs.example.com/${topic.toLowerCase()}`,
+        title: topic,
+        html: `<html><head><title>${topic}</title></head><body><main><article><h1>${topic}</h1>\n${paragraphs}</article></main></body></html>`,
+        userData: { depth: 1 }
+    };
+}
+
+/**
+ * Builds a pipeline with hash embeddings and an in-memory sink
+ */
+function createHashPipeline() {
+    const configManager = createConfigManager();
+    configManager.parseAndValidate({
+        startUrls: [{ url: 'https://docs.example.com/' }],
+        crawlerType: 'http',
+        chunkSize: 400,
+        chunkOverlap: 0,
+        embeddingProvider: 'hash'
+    });
+
+    const sink = createMemorySink();
+    return { pipeline: createPipelineFromConfig(configManager, { sink }), sink };
+}
+
+describe('Pipeline with embeddingProvider "hash"', () => {
+    it('attaches a vector and embedding metadata to every chunk', async () => {
+        const { pipeline, sink } = createHashPipeline();
+
+        for (const topic of topics) {
+            await pipeline.processPage(createPage(topic));
+        }
+
+        const records = sink.getRecords();
+        assert.equal(records.length, topics.length);
+
+        for (const record of records) {
+            assert.equal(record.status, 'success');
+            assert.ok(record.chunks.length > 1, `${record.url} should be split into several chunks`);
+
+            for (const chunk of record.chunks) {
+                assert.equal(chunk.vector.length, 384);
+                assert.ok(chunk.vector.every(Number.isFinite));
+                assert.deepEqual(chunk.metadata.embedding, { provider: 'hash', model: 'hash-384', dimensions: 384 });
+            }
+        }
+
+        const stats = pipeline.getStats();
+        const totalChunks = records.reduce((sum, record) => sum + record.chunks.length, 0);
+        assert.equal(stats.embeddedChunks, totalChunks);
+        assert.equal(stats.embeddingCacheHits, 0);
+        assert.equal(stats.embeddingTokens, 0);
+    });
+
+    it('serves re-embedded chunks from the cache', async () => {
+        const { pipeline, sink } = createHashPipeline();
+
+        for (const topic of topics) {
+            await pipeline.processPage(createPage(topic));
+        }
+        const firstRun = sink.getRecords();
+        const totalChunks = firstRun.reduce((sum, record) => sum + record.chunks.length, 0);
+
+        for (const topic of topics) {
+            await pipeline.processPage(createPage(topic));
+        }
+        const secondRun = sink.getRecords().slice(topics.length);
+
+        const stats = pipeline.getStats();
+        assert.equal(stats.embeddedChunks, totalChunks);
+        assert.equal(stats.embeddingCacheHits, totalChunks);
+
+        // Cached vectors are the ones computed the first time
+        secondRun.forEach((record, i) => {
+            assert.deepEqual(record.chunks.map(chunk => chunk.vector), firstRun[i].chunks.map(chunk => chunk.vector));
+        });
+    });
+});
@@ -0,0 +1,119 @@
+/**
+ * Tests for incremental mode when a known page is crawled under an alias
+ * URL first. Crawls a local HTTP server; Crawlee storage goes to a
+ * temporary directory.
+ */
+
+import { describe, it, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import http from 'node:http';
+import { once } from 'node:events';
+import { mkdtempSync, rmSync } from 'node:fs';
+import { tmpdir } from 'node:os';
+import { join } from 'node:path';
+
+import { createPipeline } from '../src/pipeline/pipeline.js';
+import { createMemorySink } from '../src/pipeline/stages.js';
+import { createChangeTracker } from '../src/pipeline/changeTracker.js';
+import { createWebCrawler } from '../src/crawler/webCrawler.js';
+
+/**
+ * Key-value store that keeps values in memory
+ */
+function createMemoryStore() {
+    const values = new Map();
+    return {
+        getValue: async key => values.get(key) ?? null,
+        setValue: async (key, value) => {
+            values.set(key, structuredClone(value));
+        }
+    };
+}
+
+/**
+ * Documentation page, optionally declaring a canonical URL
+ */
+function createHtml(canonicalUrl = null) {
+    const paragraphs = Array.from({ length: 6 }, (_, i) =>
+        `<p>Step ${i + 1} of the installation guide explains how to install and configure the service for production use.</p>`
+    ).join('\n');
+
+    return `<html><head><title>Install</title>${canonicalUrl ? `<link rel="canonical" href="${canonicalUrl}">` : ''}</head>`
+        + `<body><main><article><h1>Install</h1>\n${paragraphs}</article></main></body></html>`;
+}
+
+describe('Incremental mode with alias URLs', () => {
+    let server;
+    let origin;
+    let storageDir;
+
+    before(async () => {
+        storageDir = mkdtempSync(join(tmpdir(), 'rag-spider-test-'));
+        process.env.CRAWLEE_STORAGE_DIR = storageDir;
+
+        server = http.createServer((req, res) => {
+            const pathname = new URL(req.url, origin).pathname;
+
+            if (pathname === '/docs/install') {
+                res.writeHead(200, { 'Content-Type': 'text/html' });
+                return res.end(createHtml());
+            }
+
+            if (pathname === '/latest/install') {
+                res.writeHead(200, { 'Content-Type': 'text/html' });
+                return res.end(createHtml(`${origin}/docs/install`));
+            }
+
+            res.writeHead(404, { 'Content-Type': 'text/html' });
+            res.end('<html><body>Not found</body></html>');
+        });
+
+        server.listen(0, '127.0.0.1');
+        await once(server, 'listening');
+        origin = `http://127.0.0.1:${server.address().port}`;
+    });
+
+    after(() => {
+        server.close();
+        rmSync(storageDir, { recursive: true, force: true });
+    });
+
+    it('reports the known page as unchanged when its alias is crawled first', async () => {
+        const store = createMemoryStore();
+        const knownUrl = `${origin}/docs/install`;
+        const aliasUrl = `${origin}/latest/install`;
+        const startUrls = [aliasUrl, knownUrl];
+
+        // Previous run: the page was crawled under its own URL
+        const previousTracker = createChangeTracker({ store });
+        await previousTracker.load(startUrls);
+        const previous = createPipeline({ sink: createMemorySink(), changeTracker: previousTracker });
+        const { record: previousRecord } = await previous.processPage({ url: knownUrl, html: createHtml(), title: 'Install' });
+        await previousTracker.save();
+        assert.equal(previousRecord.status, 'new');
+
+        // This run crawls the alias (declaring the known URL as canonical) before the known URL
+        const changeTracker = createChangeTracker({ store });
+        const fetcher = createWebCrawler({
+            crawlerType: 'http',
+            maxConcurrency: 1,
+            maxRequestRetries: 0,
+            respectRobotsTxt: false,
+            politeness: { maxRequestsPerSecond: 0 },
+            changeTracker
+        });
+        const sink = createMemorySink();
+        const pipeline = createPipeline({ fetcher, sink, changeTracker, urlNormalizer: fetcher.urlNormalizer });
+
+        await pipeline.run(startUrls);
+
+        const records = sink.getRecords();
+        assert.deepEqual(records.map(record => [record.url, record.status]), [[aliasUrl, 'unchanged']]);
+        assert.equal(records[0].documentId, previousRecord.documentId);
+        assert.equal(fetcher.stats.canonicalDuplicateUrls, 1);
+
+        const stats = pipeline.getStats();
+        assert.equal(stats.deletedPages, 0);
+        assert.equal(stats.newPages, 0);
+    });
+});
@@ -0,0 +1,38 @@
+/**
+ * Tests for link handling in the Markdown output.
+ */
+
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { createMarkdownConverter } from '../src/extraction/markdownConverter.js';
+
+const html = `<p>
+<a href="/docs?utm_source=mail&amp;mc_cid=1&amp;gclid=x&amp;_ga=2">Docs</a>
+<a href="/install?ref=v2&amp;source=cli&amp;hs_id=3">Install</a>
+</p>`;
+
+/**
+ * Converts the test links and returns the resulting link URLs
+ */
+function convertLinks(options = {}) {
+    const converter = createMarkdownConverter({ stripTrackingParams: true, ...options });
+    const { markdown } = converter.convert(html, { url: 'https://docs.example.com/' });
+    return [...markdown.matchAll(/\]\(([^)]+)\)/g)].map(match => match[1]);
+}
+
+describe('MarkdownConverter tracking parameters', () => {
+    it('strips the default tracking parameters and keeps ref and source', () => {
+        assert.deepEqual(convertLinks(), [
+            'https://docs.example.com/docs',
+            'https://docs.example.com/install?ref=v2&source=cli&hs_id=3'
+        ]);
+    });
+
+    it('strips additional parameters in addition to the defaults', () => {
+        assert.deepEqual(convertLinks({ extraTrackingParams: ['ref', 'hs_*'] }), [
+            'https://docs.example.com/docs',
+            'https://docs.example.com/install?source=cli'
+        ]);
+    });
+});
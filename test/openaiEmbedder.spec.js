@@ -0,0 +1,169 @@
+/**
+ * Tests for the OpenAI-compatible embedding provider against a local mock
+ * of the /v1/embeddings endpoint. Retries sleep on an injected fake clock.
+ */
+
+import { describe, it, before, after, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import http from 'node:http';
+import { once } from 'node:events';
+
+import { createEmbedder, EmbeddingError } from '../src/processing/embedder.js';
+
+/**
+ * Fake clock that records requested sleeps and advances instantly
+ */
+function createFakeClock() {
+    const clock = {
+        time: 0,
+        sleeps: [],
+        now: () => clock.time,
+        sleep: async ms => {
+            clock.sleeps.push(ms);
+            clock.time += ms;
+        }
+    };
+    return clock;
+}
+
+/**
+ * Vector the mock server returns for a text
+ */
+function vectorFor(text) {
+    return [text.length, text.charCodeAt(0), 1];
+}
+
+describe('OpenAIEmbeddingProvider', () => {
+    let server;
+    let baseUrl;
+    let requests;
+    // Responses to send before answering normally: { status, headers, body }
+    let queuedResponses;
+
+    before(async () => {
+        server = http.createServer(async (req, res) => {
+            let raw = '';
+            for await (const chunk of req) {
+                raw += chunk;
+            }
+            const body = JSON.parse(raw);
+            requests.push({ method: req.method, url: req.url, headers: req.headers, body });
+
+            const queued = queuedResponses.shift();
+            if (queued) {
+                res.writeHead(queued.status, { 'Content-Type': 'application/json', ...queued.headers });
+                return res.end(JSON.stringify(queued.body || {}));
+            }
+
+            // Answer in reverse order so the provider has to sort by index
+            const data = body.input.map((text, index) => ({ object: 'embedding', index, embedding: vectorFor(text) })).reverse();
+            res.writeHead(200, { 'Content-Type': 'application/json' });
+            res.end(JSON.stringify({
+                object: 'list',
+                data,
+                model: body.model,
+                usage: { prompt_tokens: 25000 * body.input.length, total_tokens: 25000 * body.input.length }
+            }));
+        });
+
+        server.listen(0, '127.0.0.1');
+        await once(server, 'listening');
+        baseUrl = `http://127.0.0.1:${server.address().port}/v1`;
+    });
+
+    after(() => {
+        server.close();
+    });
+
+    beforeEach(() => {
+        requests = [];
+        queuedResponses = [];
+    });
+
+    /**
+     * Creates an embedder for the mock server
+     */
+    function createOpenAIEmbedder(options = {}) {
+        return createEmbedder({
+            provider: 'openai',
+            model: 'text-embedding-3-small',
+            baseUrl,
+            apiKey: 'test-key',
+            ...options
+        });
+    }
+
+    it('posts texts in batches and returns vectors in input order', async () => {
+        const embedder = createOpenAIEmbedder({ batchSize: 2 });
+        const texts = ['alpha', 'beta', 'gamma'];
+
+        const vectors = await embedder.embed(texts);
+
+        assert.deepEqual(vectors, texts.map(vectorFor));
+        assert.equal(requests.length, 2);
+        assert.deepEqual(requests.map(request => request.body.input), [['alpha', 'beta'], ['gamma']]);
+
+        const [first] = requests;
+        assert.equal(first.method, 'POST');
+        assert.equal(first.url, '/v1/embeddings');
+        assert.equal(first.headers.authorization, 'Bearer test-key');
+        assert.equal(first.body.model, 'text-embedding-3-small');
+        assert.equal(first.body.encoding_format, 'float');
+        assert.equal(embedder.getInfo().dimensions, 3);
+    });
+
+    it('waits for Retry-After on 429 and retries the batch', async () => {
+        const clock = createFakeClock();
+        const embedder = createOpenAIEmbedder({ retry: { maxRetries: 3, baseDelay: 100, jitter: false, clock } });
+        queuedResponses.push({
+            status: 429,
+            headers: { 'Retry-After': '2' },
+            body: { error: { message: 'Rate limit reached' } }
+        });
+
+        const vectors = await embedder.embed(['delta', 'epsilon']);
+
+        assert.deepEqual(vectors, [vectorFor('delta'), vectorFor('epsilon')]);
+        assert.equal(requests.length, 2);
+        assert.deepEqual(requests[1].body.input, ['delta', 'epsilon']);
+        assert.deepEqual(clock.sleeps, [2000]);
+    });
+
+    it('does not retry client errors', async () => {
+        const clock = createFakeClock();
+        const embedder = createOpenAIEmbedder({ retry: { maxRetries: 3, clock } });
+        queuedResponses.push({ status: 401, body: { error: { message: 'Invalid API key' } } });
+
+        await assert.rejects(embedder.embed(['zeta']), EmbeddingError);
+
+        assert.equal(requests.length, 1);
+        assert.deepEqual(clock.sleeps, []);
+    });
+
+    it('accumulates reported usage and its cost across batches', async () => {
+        const embedder = createOpenAIEmbedder({ batchSize: 2 });
+
+        await embedder.embed(['eta', 'theta', 'iota']);
+        await embedder.embed(['kappa']);
+
+        assert.deepEqual(embedder.provider.usage, { promptTokens: 100000, totalTokens: 100000, requests: 3 });
+
+        const stats = embedder.getStats();
+        assert.equal(stats.batches, 3);
+        assert.equal(stats.embeddedTexts, 4);
+        assert.equal(stats.usageTokens, 100000);
+        // text-embedding-3-small: $0.00002 per 1K tokens
+        assert.equal(stats.estimatedCost, 0.002);
+    });
+
+    it('serves repeated texts from the cache without a request', async () => {
+        const embedder = createOpenAIEmbedder();
+
+        await embedder.embed(['lambda', 'mu']);
+        const vectors = await embedder.embed(['mu', 'lambda', 'mu']);
+
+        assert.deepEqual(vectors, [vectorFor('mu'), vectorFor('lambda'), vectorFor('mu')]);
+        assert.equal(requests.length, 1);
+        assert.equal(embedder.getStats().cacheHits, 3);
+    });
+});
@@ -0,0 +1,76 @@
+/**
+ * Tests for processing a single URL fetched from a local HTTP server
+ * whose robots.txt disallows part of the site.
+ */
+
+import { describe, it, before, after, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import http from 'node:http';
+import { once } from 'node:events';
+
+import { processSingleUrl, CrawlerIntegrationError } from '../src/crawler/crawlerIntegration.js';
+
+const html = `<html><head><title>Guide</title></head><body><main><article><h1>Guide</h1>
+${Array.from({ length: 6 }, (_, i) => `<p>Part ${i + 1} of the guide explains how the service is installed, configured and deployed.</p>`).join('\n')}
+</article></main></body></html>`;
+
+describe('processSingleUrl', () => {
+    let server;
+    let origin;
+    let requestedPaths;
+
+    before(async () => {
+        server = http.createServer((req, res) => {
+            requestedPaths.push(req.url);
+
+            if (req.url === '/robots.txt') {
+                res.writeHead(200, { 'Content-Type': 'text/plain' });
+                return res.end('User-agent: *\nDisallow: /private/\n');
+            }
+
+            res.writeHead(200, { 'Content-Type': 'text/html' });
+            res.end(html);
+        });
+
+        server.listen(0, '127.0.0.1');
+        await once(server, 'listening');
+        origin = `http://127.0.0.1:${server.address().port}`;
+    });
+
+    after(() => {
+        server.close();
+    });
+
+    beforeEach(() => {
+        requestedPaths = [];
+    });
+
+    it('fetches and processes pages allowed by robots.txt', async () => {
+        const result = await processSingleUrl(`${origin}/docs/guide`);
+
+        assert.deepEqual(requestedPaths, ['/robots.txt', '/docs/guide']);
+        assert.ok(result.chunks.length > 0);
+    });
+
+    it('does not fetch pages disallowed by robots.txt', async () => {
+        await assert.rejects(
+            processSingleUrl(`${origin}/private/guide`),
+            error => error instanceof CrawlerIntegrationError && /robots\.txt/.test(error.message)
+        );
+
+        assert.deepEqual(requestedPaths, ['/robots.txt']);
+    });
+
+    it('fetches disallowed pages when respectRobotsTxt is false', async () => {
+        await processSingleUrl(`${origin}/private/guide`, { respectRobotsTxt: false });
+
+        assert.deepEqual(requestedPaths, ['/private/guide']);
+    });
+
+    it('does not check robots.txt for pre-fetched HTML', async () => {
+        const result = await processSingleUrl(`${origin}/private/guide`, { html });
+
+        assert.deepEqual(requestedPaths, []);
+        assert.ok(result.chunks.length > 0);
+    });
+});
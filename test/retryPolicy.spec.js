@@ -0,0 +1,182 @@
+/**
+ * Tests for RetryPolicy backoff, jitter, Retry-After and retry budgets.
+ * The clock and random source are injected, so no test actually waits.
+ */
+
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+
+import {
+    RetryPolicy,
+    CrawlerError,
+    ErrorCategory,
+    ErrorSeverity,
+    JitterMode
+} from '../src/utils/errorHandler.js';
+
+/**
+ * Fake clock that records requested sleeps and advances instantly
+ */
+function createFakeClock() {
+    const clock = {
+        time: 0,
+        sleeps: [],
+        now: () => clock.time,
+        sleep: async ms => {
+            clock.sleeps.push(ms);
+            clock.time += ms;
+        }
+    };
+    return clock;
+}
+
+/**
+ * Operation that always fails with a CrawlerError
+ */
+function failing(category, context = {}) {
+    let calls = 0;
+    const operation = async () => {
+        calls++;
+        throw new CrawlerError('failed', category, ErrorSeverity.MEDIUM, context);
+    };
+    operation.calls = () => calls;
+    return operation;
+}
+
+/**
+ * Runs an operation through the policy and returns the recorded sleeps
+ */
+async function sleepsFor(policy, clock, operation, operationId = 'op') {
+    await assert.rejects(policy.executeWithRetry(operation, operationId), CrawlerError);
+    return clock.sleeps;
+}
+
+describe('RetryPolicy backoff', () => {
+    it('grows delays exponentially by backoffMultiplier', async () => {
+        const clock = createFakeClock();
+        const policy = new RetryPolicy({ maxRetries: 5, baseDelay: 100, maxDelay: 100000, backoffMultiplier: 3, jitter: JitterMode.NONE, clock });
+
+        assert.deepEqual(await sleepsFor(policy, clock, failing(ErrorCategory.NETWORK)), [100, 300, 900, 2700]);
+    });
+
+    it('caps delays at maxDelay', async () => {
+        const clock = createFakeClock();
+        const policy = new RetryPolicy({ maxRetries: 6, baseDelay: 1000, maxDelay: 5000, jitter: false, clock });
+
+        assert.deepEqual(await sleepsFor(policy, clock, failing(ErrorCategory.TIMEOUT)), [1000, 2000, 4000, 5000, 5000]);
+    });
+
+    it('scales the capped delay by the random source with full jitter', async () => {
+        const clock = createFakeClock();
+        const policy = new RetryPolicy({ maxRetries: 4, baseDelay: 1000, maxDelay: 3000, jitter: JitterMode.FULL, clock, random: () => 0.5 });
+
+        assert.deepEqual(await sleepsFor(policy, clock, failing(ErrorCategory.NETWORK)), [500, 1000, 1500]);
+    });
+
+    it('treats jitter: true as full jitter', () => {
+        const policy = new RetryPolicy({ jitter: true, random: () => 0.25 });
+
+        assert.equal(policy.config.jitter, JitterMode.FULL);
+        assert.equal(policy.calculateDelay(3), 1000);
+    });
+
+    it('draws decorrelated delays between baseDelay and three times the previous delay', async () => {
+        const clock = createFakeClock();
+        const policy = new RetryPolicy({ maxRetries: 5, baseDelay: 1000, maxDelay: 8000, jitter: JitterMode.DECORRELATED, clock, random: () => 0.5 });
+
+        // 1000 + 0.5 * (3 * previous - 1000), starting from previous = baseDelay, capped at 8000
+        assert.deepEqual(await sleepsFor(policy, clock, failing(ErrorCategory.NETWORK)), [2000, 3500, 5750, 8000]);
+    });
+
+    it('keeps decorrelated delays within [baseDelay, maxDelay]', () => {
+        const policy = new RetryPolicy({ baseDelay: 200, maxDelay: 1000, jitter: JitterMode.DECORRELATED, random: () => 0 });
+        assert.equal(policy.calculateDelay(1, 900), 200);
+
+        policy.config.random = () => 0.999;
+        assert.equal(policy.calculateDelay(5, 900), 1000);
+    });
+
+    it('does not retry non-retryable categories', async () => {
+        const clock = createFakeClock();
+        const policy = new RetryPolicy({ clock });
+        const operation = failing(ErrorCategory.CLIENT_ERROR, { statusCode: 404 });
+
+        assert.deepEqual(await sleepsFor(policy, clock, operation), []);
+        assert.equal(operation.calls(), 1);
+    });
+});
+
+describe('RetryPolicy Retry-After', () => {
+    for (const statusCode of [429, 503]) {
+        it(`waits for Retry-After on ${statusCode} when it exceeds the backoff`, async () => {
+            const clock = createFakeClock();
+            const policy = new RetryPolicy({ maxRetries: 3, baseDelay: 1000, jitter: false, clock });
+            const category = statusCode === 429 ? ErrorCategory.RATE_LIMIT : ErrorCategory.SERVER_ERROR;
+
+            const sleeps = await sleepsFor(policy, clock, failing(category, { statusCode, retryAfterMs: 7000 }));
+            assert.deepEqual(sleeps, [7000, 7000]);
+        });
+    }
+
+    it('keeps the backoff when it is longer than Retry-After', () => {
+        const policy = new RetryPolicy({ baseDelay: 1000, jitter: false });
+        const error = new CrawlerError('slow down', ErrorCategory.RATE_LIMIT, ErrorSeverity.LOW, { statusCode: 429, retryAfterMs: 500 });
+
+        assert.equal(policy.getRetryDelay(error, 3), 4000);
+    });
+
+    it('caps Retry-After at maxRetryAfter', () => {
+        const policy = new RetryPolicy({ baseDelay: 10, jitter: false, maxRetryAfter: 60000 });
+        const error = new CrawlerError('slow down', ErrorCategory.RATE_LIMIT, ErrorSeverity.LOW, { statusCode: 429, retryAfterMs: 3600000 });
+
+        assert.equal(policy.getRetryDelay(error, 1), 60000);
+    });
+
+    it('ignores Retry-After on other status codes', () => {
+        const policy = new RetryPolicy({ baseDelay: 1000, jitter: false });
+        const error = new CrawlerError('oops', ErrorCategory.SERVER_ERROR, ErrorSeverity.MEDIUM, { statusCode: 500, retryAfterMs: 9000 });
+
+        assert.equal(policy.getRetryDelay(error, 1), 1000);
+    });
+});
+
+describe('RetryPolicy retry budgets', () => {
+    it('stops retrying a category once its budget is used up', async () => {
+        const clock = createFakeClock();
+        const policy = new RetryPolicy({ maxRetries: 4, baseDelay: 100, jitter: false, clock, retryBudgets: { [ErrorCategory.RATE_LIMIT]: 4 } });
+
+        const first = failing(ErrorCategory.RATE_LIMIT);
+        await assert.rejects(policy.executeWithRetry(first, 'a'));
+        assert.equal(first.calls(), 4);
+
+        // One retry left in the budget
+        const second = failing(ErrorCategory.RATE_LIMIT);
+        await assert.rejects(policy.executeWithRetry(second, 'b'));
+        assert.equal(second.calls(), 2);
+
+        const third = failing(ErrorCategory.RATE_LIMIT);
+        await assert.rejects(policy.executeWithRetry(third, 'c'));
+        assert.equal(third.calls(), 1);
+
+        assert.deepEqual(policy.getRetryBudgets()[ErrorCategory.RATE_LIMIT], { budget: 4, used: 4, remaining: 0 });
+    });
+
+    it('leaves other categories unlimited', async () => {
+        const clock = createFakeClock();
+        const policy = new RetryPolicy({ maxRetries: 3, baseDelay: 100, jitter: false, clock, retryBudgets: { [ErrorCategory.RATE_LIMIT]: 0 } });
+
+        const operation = failing(ErrorCategory.TIMEOUT);
+        await assert.rejects(policy.executeWithRetry(operation, 'op'));
+
+        assert.equal(operation.calls(), 3);
+        assert.deepEqual(policy.getRetryBudgets()[ErrorCategory.TIMEOUT], { budget: null, used: 2, remaining: null });
+    });
+
+    it('spends budgets through consumeRetryBudget', () => {
+        const policy = new RetryPolicy({ retryBudgets: { [ErrorCategory.NETWORK]: 1 } });
+
+        assert.equal(policy.consumeRetryBudget(ErrorCategory.NETWORK), true);
+        assert.equal(policy.consumeRetryBudget(ErrorCategory.NETWORK), false);
+        assert.equal(policy.getRemainingBudget(ErrorCategory.NETWORK), 0);
+    });
+});
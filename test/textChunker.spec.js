@@ -0,0 +1,55 @@
+/**
+ * Tests for the maxTokensPerChunk limit with atomic code blocks and tables.
+ */
+
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { createTextChunker } from '../src/processing/textChunker.js';
+
+const codeLines = Array.from({ length: 40 }, (_, i) => `const value${i} = compute(${i}, "item-${i}");`);
+const tableRows = Array.from({ length: 30 }, (_, i) => `| option${i} | ${i * 10} | Sets the value of option ${i} |`);
+
+const markdown = [
+    '# Configuration',
+    'The crawler reads its settings from the input below.',
+    '```javascript',
+    ...codeLines,
+    '```',
+    'Every option is listed in this table:',
+    '| Name | Default | Description |',
+    '| --- | --- | --- |',
+    ...tableRows
+].join('\n');
+
+describe('TextChunker maxTokensPerChunk with atomicBlocks', () => {
+    it('re-opens fences and repeats table headers when re-splitting by tokens', async () => {
+        // Chunks fit chunkSize (characters) but not maxTokensPerChunk
+        const chunker = createTextChunker({ chunkSize: 5000, chunkOverlap: 0, maxTokensPerChunk: 120, atomicBlocks: true });
+        const result = await chunker.chunk(markdown);
+
+        assert.ok(result.chunks.length > 2);
+        assert.deepEqual(chunker.validateChunks(result.chunks).errors, []);
+
+        const codeChunks = result.chunks.filter(chunk => chunk.content.includes('const value'));
+        assert.ok(codeChunks.length > 1);
+        for (const chunk of codeChunks) {
+            assert.match(chunk.content, /^```javascript$/m);
+        }
+
+        const tableChunks = result.chunks.filter(chunk => chunk.content.includes('| option'));
+        assert.ok(tableChunks.length > 1);
+        for (const chunk of tableChunks) {
+            assert.match(chunk.content, /^\| Name \| Default \| Description \|\n\| --- \| --- \| --- \|$/m);
+        }
+    });
+
+    it('keeps every code and table line', async () => {
+        const chunker = createTextChunker({ chunkSize: 5000, chunkOverlap: 0, maxTokensPerChunk: 120, atomicBlocks: true });
+        const content = (await chunker.chunk(markdown)).chunks.map(chunk => chunk.content).join('\n');
+
+        for (const line of [...codeLines, ...tableRows]) {
+            assert.ok(content.includes(line), `missing line: ${line}`);
+        }
+    });
+});
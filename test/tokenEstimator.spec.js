@@ -0,0 +1,51 @@
+/**
+ * Tests for per-model tokenizer lookup and custom tokenizer registration.
+ * Registrations are global, so every test uses its own model name.
+ */
+
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { createTokenEstimator, registerTokenizer, Tokenizer } from '../src/processing/tokenEstimator.js';
+
+/**
+ * Counts space-separated words as tokens
+ */
+function countWords(text) {
+    return text.split(' ').length;
+}
+
+describe('TokenEstimator tokenizers', () => {
+    it('uses the tokenizer of the model family', () => {
+        const estimator = createTokenEstimator();
+
+        assert.equal(estimator.getTokenizer('gpt-4o-mini').name, Tokenizer.O200K);
+        assert.equal(estimator.getTokenizer('text-embedding-3-small').name, Tokenizer.CL100K);
+        assert.equal(estimator.getTokenizer('llama-3-70b').name, Tokenizer.HEURISTIC);
+    });
+
+    it('uses a tokenizer registered after the model was first used', async () => {
+        const estimator = createTokenEstimator({ model: 'acme-embed-1' });
+        const text = 'one two three four five six seven eight nine ten';
+
+        const before = await estimator.estimateTokens(text);
+        assert.equal(before.tokenizer, Tokenizer.HEURISTIC);
+
+        registerTokenizer('acme-embed-1', countWords, { name: 'acme' });
+
+        assert.equal(estimator.countTokens(text), 10);
+        const after = await estimator.estimateTokens(text);
+        assert.equal(after.tokenizer, 'acme');
+        assert.equal(after.tokenCount, 10);
+    });
+
+    it('maps a model pattern to a built-in tokenizer', () => {
+        const estimator = createTokenEstimator();
+        assert.equal(estimator.getTokenizer('acme-chat-2').name, Tokenizer.HEURISTIC);
+
+        registerTokenizer(/^acme-chat-/, Tokenizer.CL100K);
+
+        assert.equal(estimator.getTokenizer('acme-chat-2').name, Tokenizer.CL100K);
+        assert.equal(estimator.countTokens('hello world', 'acme-chat-2'), 2);
+    });
+});
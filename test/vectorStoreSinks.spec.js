@@ -0,0 +1,418 @@
+/**
+ * Tests for the vector store sinks. The REST sinks (Qdrant, Chroma,
+ * Weaviate) talk to a local stub server; the pgvector sink gets a fake
+ * connection pool that records its queries.
+ */
+
+import { describe, it, before, after, beforeEach, mock } from 'node:test';
+import assert from 'node:assert/strict';
+import http from 'node:http';
+import { once } from 'node:events';
+import { createHash } from 'node:crypto';
+
+import { VectorStoreError } from '../src/vectorStores/vectorStoreSink.js';
+import { createQdrantSink } from '../src/vectorStores/qdrantSink.js';
+import { createChromaSink } from '../src/vectorStores/chromaSink.js';
+import { createWeaviateSink } from '../src/vectorStores/weaviateSink.js';
+import { createPgvectorSink } from '../src/vectorStores/pgvectorSink.js';
+import { toUuid } from '../src/utils/contentIds.js';
+
+const documentId = createHash('sha256').update('https://docs.example.com/install').digest('hex');
+
+/**
+ * Page record with embedded chunks
+ */
+function createRecord(chunkCount, status = 'success') {
+    const chunks = Array.from({ length: chunkCount }, (_, i) => ({
+        chunkId: createHash('sha256').update(`${documentId}-${i}`).digest('hex'),
+        documentId,
+        chunkIndex: i,
+        content: `Chunk ${i} of the installation guide`,
+        tokens: 8,
+        wordCount: 6,
+        vector: [i, 1, 0]
+    }));
+
+    return {
+        url: 'https://docs.example.com/install',
+        documentId,
+        title: 'Install',
+        status,
+        totalChunks: chunks.length,
+        chunks
+    };
+}
+
+/**
+ * Sink options without retries
+ */
+function sinkOptions(options = {}) {
+    return { collection: 'docs', retry: { maxRetries: 0 }, ...options };
+}
+
+// Keep the sinks' progress logs out of the test report
+before(() => {
+    mock.method(console, 'log', () => {});
+});
+
+after(() => {
+    mock.restoreAll();
+});
+
+describe('REST vector store sinks', () => {
+    let server;
+    let baseUrl;
+    let requests;
+    // Answers a request ({ method, path, body }) with { status, body }
+    let respond;
+
+    before(async () => {
+        server = http.createServer(async (req, res) => {
+            let raw = '';
+            for await (const chunk of req) {
+                raw += chunk;
+            }
+            const request = { method: req.method, path: req.url, body: raw ? JSON.parse(raw) : undefined };
+            requests.push(request);
+
+            const { status = 200, body = {} } = respond(request) || {};
+            res.writeHead(status, { 'Content-Type': 'application/json' });
+            res.end(JSON.stringify(body));
+        });
+
+        server.listen(0, '127.0.0.1');
+        await once(server, 'listening');
+        baseUrl = `http://127.0.0.1:${server.address().port}`;
+    });
+
+    after(() => {
+        server.close();
+    });
+
+    beforeEach(() => {
+        requests = [];
+        respond = () => null;
+    });
+
+    describe('QdrantSink', () => {
+        const deletePath = '/collections/docs/points/delete?wait=true';
+        const upsertPath = '/collections/docs/points?wait=true';
+
+        it('creates a missing collection, deletes stale chunks and upserts in batches', async () => {
+            respond = ({ method, path }) => method === 'GET' && path === '/collections/docs' ? { status: 404 } : null;
+            const sink = createQdrantSink(sinkOptions({ url: baseUrl, batchSize: 2 }));
+            const record = createRecord(3);
+            const uuids = record.chunks.map(chunk => toUuid(chunk.chunkId));
+
+            await sink.write(record);
+            await sink.close();
+
+            assert.deepEqual(requests.map(request => `${request.method} ${request.path}`), [
+                'GET /collections/docs',
+                'PUT /collections/docs',
+                'PUT /collections/docs/index?wait=true',
+                `POST ${deletePath}`,
+                `PUT ${upsertPath}`,
+                `PUT ${upsertPath}`
+            ]);
+            assert.deepEqual(requests[1].body, { vectors: { size: 3, distance: 'Cosine' } });
+            assert.deepEqual(requests[3].body, {
+                filter: {
+                    must: [{ key: 'documentId', match: { value: documentId } }],
+                    must_not: [{ has_id: uuids }]
+                }
+            });
+
+            const upserted = requests.slice(4).map(request => request.body.points);
+            assert.deepEqual(upserted.map(points => points.map(point => point.id)), [uuids.slice(0, 2), uuids.slice(2)]);
+            assert.deepEqual(upserted[0][1].vector, [1, 1, 0]);
+            assert.equal(upserted[0][1].payload.content, record.chunks[1].content);
+            assert.equal(upserted[0][1].payload.chunkId, record.chunks[1].chunkId);
+            assert.equal(upserted[0][1].payload.documentId, documentId);
+            assert.deepEqual(sink.getStats(), { upsertedChunks: 3, batches: 2, replacedDocuments: 1, deletedDocuments: 0 });
+        });
+
+        it('deletes all chunks of deleted and duplicate pages', async () => {
+            const sink = createQdrantSink(sinkOptions({ url: baseUrl }));
+            const allChunks = { filter: { must: [{ key: 'documentId', match: { value: documentId } }] } };
+
+            await sink.write(createRecord(0, 'deleted'));
+            await sink.write(createRecord(0, 'duplicate'));
+
+            assert.deepEqual(requests.map(request => [request.path, request.body]), [
+                [deletePath, allChunks],
+                [deletePath, allChunks]
+            ]);
+            assert.equal(sink.getStats().deletedDocuments, 2);
+        });
+
+        it('does not upsert buffered chunks of a page deleted later in the run', async () => {
+            const sink = createQdrantSink(sinkOptions({ url: baseUrl }));
+
+            await sink.write(createRecord(2));
+            await sink.write(createRecord(0, 'deleted'));
+            await sink.close();
+
+            assert.ok(requests.every(request => request.path !== upsertPath));
+            assert.equal(sink.getStats().upsertedChunks, 0);
+        });
+
+        it('deletes all chunks of a written page left without chunks', async () => {
+            const sink = createQdrantSink(sinkOptions({ url: baseUrl }));
+
+            await sink.write(createRecord(0, 'updated'));
+            await sink.write(createRecord(0, 'unchanged'));
+
+            assert.equal(requests.length, 1);
+            assert.equal(requests[0].path, deletePath);
+            assert.equal(requests[0].body.filter.must_not, undefined);
+        });
+
+        it('tolerates deletes from a missing collection', async () => {
+            respond = () => ({ status: 404, body: { status: { error: 'Not found: Collection `docs` does not exist!' } } });
+            const sink = createQdrantSink(sinkOptions({ url: baseUrl }));
+
+            await sink.write(createRecord(0, 'deleted'));
+
+            assert.equal(requests.length, 1);
+            assert.equal(sink.getStats().deletedDocuments, 1);
+        });
+
+        it('sends the API key header', async () => {
+            respond = () => ({ status: 404 });
+            const sink = createQdrantSink(sinkOptions({ url: baseUrl, apiKey: 'secret' }));
+            let headers;
+            server.once('request', req => {
+                headers = req.headers;
+            });
+
+            await sink.write(createRecord(0, 'deleted'));
+
+            assert.equal(headers['api-key'], 'secret');
+        });
+    });
+
+    describe('ChromaSink', () => {
+        const collectionsPath = '/api/v2/tenants/default_tenant/databases/default_database/collections';
+
+        it('gets or creates the collection, deletes stale chunks and upserts in batches', async () => {
+            respond = ({ path }) => path === collectionsPath ? { body: { id: 'c1', name: 'docs' } } : null;
+            const sink = createChromaSink(sinkOptions({ url: baseUrl, batchSize: 2 }));
+            const record = createRecord(3);
+            const chunkIds = record.chunks.map(chunk => chunk.chunkId);
+
+            await sink.write(record);
+            await sink.close();
+
+            assert.deepEqual(requests.map(request => `${request.method} ${request.path}`), [
+                `POST ${collectionsPath}`,
+                `POST ${collectionsPath}/c1/delete`,
+                `POST ${collectionsPath}/c1/upsert`,
+                `POST ${collectionsPath}/c1/upsert`
+            ]);
+            assert.deepEqual(requests[0].body, { name: 'docs', get_or_create: true, metadata: { 'hnsw:space': 'cosine' } });
+            assert.deepEqual(requests[1].body, {
+                where: { $and: [{ documentId: { $eq: documentId } }, { chunkId: { $nin: chunkIds } }] }
+            });
+
+            const [first, second] = requests.slice(2).map(request => request.body);
+            assert.deepEqual(first.ids, chunkIds.slice(0, 2));
+            assert.deepEqual(second.ids, chunkIds.slice(2));
+            assert.deepEqual(first.embeddings, [[0, 1, 0], [1, 1, 0]]);
+            assert.deepEqual(first.documents, record.chunks.slice(0, 2).map(chunk => chunk.content));
+            assert.equal(first.metadatas[0].chunkId, chunkIds[0]);
+        });
+
+        it('deletes all chunks of a deleted page from an existing collection', async () => {
+            respond = ({ method }) => method === 'GET' ? { body: { id: 'c1', name: 'docs' } } : null;
+            const sink = createChromaSink(sinkOptions({ url: baseUrl }));
+
+            await sink.write(createRecord(0, 'deleted'));
+
+            assert.deepEqual(requests.map(request => [request.method, request.path, request.body]), [
+                ['GET', `${collectionsPath}/docs`, undefined],
+                ['POST', `${collectionsPath}/c1/delete`, { where: { documentId: { $eq: documentId } } }]
+            ]);
+        });
+
+        it('skips deletes when the collection does not exist', async () => {
+            respond = () => ({ status: 404, body: { error: 'NotFoundError' } });
+            const sink = createChromaSink(sinkOptions({ url: baseUrl }));
+
+            await sink.write(createRecord(0, 'duplicate'));
+
+            assert.deepEqual(requests.map(request => request.method), ['GET']);
+            assert.equal(sink.getStats().deletedDocuments, 1);
+        });
+    });
+
+    describe('WeaviateSink', () => {
+        it('creates a missing class, deletes stale chunks and upserts in batches', async () => {
+            respond = ({ method }) => method === 'GET' ? { status: 404 } : { body: [] };
+            const sink = createWeaviateSink(sinkOptions({ url: baseUrl, batchSize: 2 }));
+            const record = createRecord(3);
+            const chunkIds = record.chunks.map(chunk => chunk.chunkId);
+
+            await sink.write(record);
+            await sink.close();
+
+            assert.deepEqual(requests.map(request => `${request.method} ${request.path}`), [
+                'GET /v1/schema/Docs',
+                'POST /v1/schema',
+                'DELETE /v1/batch/objects',
+                'POST /v1/batch/objects',
+                'POST /v1/batch/objects'
+            ]);
+            assert.equal(requests[1].body.class, 'Docs');
+            assert.equal(requests[1].body.vectorizer, 'none');
+            assert.deepEqual(requests[2].body, {
+                match: {
+                    class: 'Docs',
+                    where: {
+                        operator: 'And',
+                        operands: [
+                            { path: ['documentId'], operator: 'Equal', valueText: documentId },
+                            ...chunkIds.map(id => ({ path: ['chunkId'], operator: 'NotEqual', valueText: id }))
+                        ]
+                    }
+                },
+                output: 'minimal'
+            });
+
+            const batches = requests.slice(3).map(request => request.body.objects);
+            assert.deepEqual(batches.map(objects => objects.map(object => object.id)), [
+                chunkIds.slice(0, 2).map(toUuid),
+                chunkIds.slice(2).map(toUuid)
+            ]);
+            assert.equal(batches[0][0].class, 'Docs');
+            assert.deepEqual(batches[0][0].vector, [0, 1, 0]);
+            assert.equal(batches[0][0].properties.content, record.chunks[0].content);
+        });
+
+        it('deletes all chunks of a deleted page from an existing class', async () => {
+            respond = ({ method }) => method === 'GET' ? { body: { class: 'Docs' } } : null;
+            const sink = createWeaviateSink(sinkOptions({ url: baseUrl }));
+
+            await sink.write(createRecord(0, 'deleted'));
+
+            assert.equal(requests.length, 2);
+            assert.equal(requests[1].method, 'DELETE');
+            assert.deepEqual(requests[1].body.match.where, { path: ['documentId'], operator: 'Equal', valueText: documentId });
+        });
+
+        it('skips deletes when the class does not exist', async () => {
+            respond = () => ({ status: 404 });
+            const sink = createWeaviateSink(sinkOptions({ url: baseUrl }));
+
+            await sink.write(createRecord(0, 'deleted'));
+
+            assert.deepEqual(requests.map(request => request.method), ['GET']);
+        });
+
+        it('rejects batches with failed objects', async () => {
+            respond = ({ method, path }) => {
+                if (method === 'GET') {
+                    return { body: { class: 'Docs' } };
+                }
+                if (method === 'POST' && path === '/v1/batch/objects') {
+                    return { body: [{ result: { errors: { error: [{ message: 'vector lengths don\'t match' }] } } }] };
+                }
+                return null;
+            };
+            const sink = createWeaviateSink(sinkOptions({ url: baseUrl }));
+
+            await sink.write(createRecord(1));
+
+            await assert.rejects(sink.close(), error => error instanceof VectorStoreError && /vector lengths/.test(error.message));
+        });
+    });
+});
+
+describe('PgvectorSink', () => {
+    /**
+     * Fake pg pool that records queries and fails those matching `failOn`
+     */
+    function createFakePool(failOn = null, error = null) {
+        const pool = {
+            queries: [],
+            ended: false,
+            query: async (sql, params = []) => {
+                pool.queries.push({ sql: sql.replace(/\s+/g, ' ').trim(), params });
+                if (failOn && failOn.test(sql)) {
+                    throw error;
+                }
+                return { rows: [], rowCount: 0 };
+            },
+            end: async () => {
+                pool.ended = true;
+            }
+        };
+        return pool;
+    }
+
+    it('creates the table, deletes stale chunks and upserts in batches', async () => {
+        const pool = createFakePool();
+        const sink = createPgvectorSink(sinkOptions({ pool, batchSize: 2 }));
+        const record = createRecord(3);
+        const chunkIds = record.chunks.map(chunk => chunk.chunkId);
+
+        await sink.write(record);
+        await sink.close();
+
+        const statements = pool.queries.map(query => query.sql);
+        assert.equal(statements[0], 'CREATE EXTENSION IF NOT EXISTS vector');
+        assert.match(statements[1], /^CREATE TABLE IF NOT EXISTS docs \(.*embedding vector\(3\) NOT NULL/);
+        assert.match(statements[2], /^CREATE INDEX IF NOT EXISTS docs_document_id_idx/);
+        assert.match(statements[3], /^CREATE INDEX IF NOT EXISTS docs_embedding_idx .* USING hnsw/);
+
+        assert.equal(statements[4], 'DELETE FROM docs WHERE document_id = $1 AND NOT (id = ANY($2::text[]))');
+        assert.deepEqual(pool.queries[4].params, [documentId, chunkIds]);
+
+        const inserts = pool.queries.slice(5);
+        assert.equal(inserts.length, 2);
+        assert.match(inserts[0].sql, /^INSERT INTO docs .* VALUES \(\$1, \$2, \$3, \$4::jsonb, \$5::vector\), \(\$6, .* ON CONFLICT \(id\) DO UPDATE/);
+        assert.deepEqual(inserts.map(insert => insert.params.length), [10, 5]);
+
+        const [id, rowDocumentId, content, metadata, vector] = inserts[1].params;
+        assert.equal(id, chunkIds[2]);
+        assert.equal(rowDocumentId, documentId);
+        assert.equal(content, record.chunks[2].content);
+        assert.equal(JSON.parse(metadata).chunkId, chunkIds[2]);
+        assert.equal(vector, '[2,1,0]');
+
+        // The pool was passed in, so closing the sink leaves it open
+        assert.equal(pool.ended, false);
+    });
+
+    it('deletes all rows of deleted and duplicate pages', async () => {
+        const pool = createFakePool();
+        const sink = createPgvectorSink(sinkOptions({ pool }));
+
+        await sink.write(createRecord(0, 'deleted'));
+        await sink.write(createRecord(0, 'duplicate'));
+
+        assert.deepEqual(pool.queries.map(query => query.params), [[documentId, []], [documentId, []]]);
+        assert.equal(sink.getStats().deletedDocuments, 2);
+    });
+
+    it('tolerates deletes from a missing table', async () => {
+        const pool = createFakePool(/^DELETE/, Object.assign(new Error('relation "docs" does not exist'), { code: '42P01' }));
+        const sink = createPgvectorSink(sinkOptions({ pool }));
+
+        await sink.write(createRecord(0, 'deleted'));
+
+        assert.equal(pool.queries.length, 1);
+        assert.equal(sink.getStats().deletedDocuments, 1);
+    });
+
+    it('wraps other query errors', async () => {
+        const pool = createFakePool(/^DELETE/, Object.assign(new Error('permission denied for table docs'), { code: '42501' }));
+        const sink = createPgvectorSink(sinkOptions({ pool }));
+
+        await assert.rejects(sink.write(createRecord(0, 'deleted')), VectorStoreError);
+    });
+
+    it('rejects table names that are not plain identifiers', () => {
+        assert.throws(() => createPgvectorSink({ collection: 'docs; DROP TABLE docs' }), VectorStoreError);
+    });
+});